@@ -0,0 +1,138 @@
+/**
+ * Conversation Specs
+ * End-to-end conversations through the webhook, queue and plugins
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const { createConversationTester } = require('../utils/conversationTester');
+
+let bot;
+
+beforeAll(async () => {
+  bot = await createConversationTester({ config: { security: { adminUIDs: ['1000'] } } });
+});
+
+afterAll(() => bot.close());
+
+beforeEach(() => bot.reset());
+
+describe('help', () => {
+  test('offers a quick reply per category and lists its commands', async () => {
+    const user = bot.user('2001');
+    await user.send('/help');
+
+    const titles = user.lastReply().quickReplies.map(reply => reply.title);
+    expect(titles).toEqual(expect.arrayContaining(['General', 'Fun', '📋 All Commands']));
+
+    const [reply] = await user.tapQuickReply('Fun');
+    expect(reply.text).toContain('Send a random inspirational quote');
+    expect(reply.text).not.toContain('Check if the bot is running');
+  });
+
+  test('lists every command from the All Commands quick reply', async () => {
+    const user = bot.user('2002');
+    await user.send('/help');
+
+    const [reply] = await user.tapQuickReply('📋 All Commands');
+    expect(reply.text).toContain('Send a random inspirational quote');
+    expect(reply.text).toContain('Check if the bot is running');
+  });
+});
+
+describe('webhook redelivery', () => {
+  test('handles a redelivered message once', async () => {
+    const user = bot.user('2003');
+    const event = bot.factory.createMessageEvent(user.psid, bot.pageId, '/ping');
+
+    await bot.deliver({ messaging: [event] });
+    await bot.deliver({ messaging: [event] });
+
+    expect(user.replies()).toHaveLength(1);
+  });
+
+  test('handles a message again when its reply failed with a retryable error', async () => {
+    const { handleMessagingEvent } = require('../handlres/index');
+    const user = bot.user('2006');
+    const event = bot.factory.createMessageEvent(user.psid, bot.pageId, '/ping');
+
+    bot.failNext(190, { path: '/me/messages' });
+    await expect(handleMessagingEvent(event, 'job-1')).rejects.toMatchObject({ isAuthError: true });
+    expect(user.replies()).toEqual([]);
+
+    // The queue retries the job once the outbound queue accepts calls again
+    bot.fbApi.queue.resume();
+    await handleMessagingEvent(event, 'job-1');
+    expect(user.replies()).toHaveLength(1);
+  });
+
+  test('marks a message handled when its reply failed for good', async () => {
+    const { handleMessagingEvent } = require('../handlres/index');
+    const user = bot.user('2007');
+    const event = bot.factory.createMessageEvent(user.psid, bot.pageId, '/ping');
+
+    bot.failNext(100, { path: '/me/messages' });
+    await handleMessagingEvent(event, 'job-2');
+    const replies = user.replies().length;
+
+    await bot.deliver({ messaging: [event] });
+    expect(user.replies()).toHaveLength(replies);
+  });
+});
+
+describe('webhook', () => {
+  test('asks Facebook to redeliver events that could not be stored', async () => {
+    const { webhookQueue } = require('../utils/jobQueue');
+    const user = bot.user('2008');
+    const body = bot.factory.createPageWebhook(bot.pageId, {
+      messaging: [bot.factory.createMessageEvent(user.psid, bot.pageId, '/ping')],
+    });
+    const flush = jest.spyOn(webhookQueue, 'flush').mockRejectedValueOnce(new Error('ENOSPC'));
+
+    try {
+      const response = await bot.request(bot.app).post('/webhook').send(body);
+      expect(response.status).toBe(500);
+    } finally {
+      flush.mockRestore();
+    }
+    // The event is still handled from memory; the redelivery is a duplicate
+    await require('../utils/sandbox').waitForIdle();
+    expect(user.replies()).toHaveLength(1);
+  });
+});
+
+describe('referrals', () => {
+  test('answers a Get Started tap from an m.me ref link with the ref welcome only', async () => {
+    const user = bot.user('2009');
+    const event = bot.factory.createPostbackEvent(user.psid, bot.pageId, 'GET_STARTED');
+    event.postback.referral = { ref: 'games', source: 'SHORTLINK', type: 'OPEN_THREAD' };
+
+    await bot.deliver({ messaging: [event] });
+
+    expect(user.texts()).toEqual(['🎲 Welcome! Pick a game to get started:']);
+  });
+});
+
+describe('comments', () => {
+  test('sends a private reply to a comment asking for a DM', async () => {
+    const user = bot.user('2004', { name: 'Dana' });
+    const { commentId, replies } = await user.comment('Please dm me the price');
+
+    expect(replies).toHaveLength(1);
+    expect(replies[0].commentId).toBe(commentId);
+    expect(replies[0].text).toContain('Hi Dana!');
+    expect(replies[0].quickReplies.map(reply => reply.payload)).toContain('HELP_MENU');
+  });
+});
+
+describe('handover', () => {
+  test('does not reply while the bot is paused for the user', async () => {
+    const user = bot.user('2005');
+    await bot.userStore.pauseBot(user.psid, { reason: 'handover' });
+
+    expect(await user.send('/ping')).toEqual([]);
+
+    await bot.userStore.resumeBot(user.psid);
+    expect(await user.send('/ping')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Dashboard Route Specs
+ * Token checks and page selection of the Messenger Profile and webhook
+ * subscription routes
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const { createConversationTester } = require('../utils/conversationTester');
+
+let bot;
+
+beforeAll(async () => {
+  bot = await createConversationTester({
+    config: {
+      security: { dashboardToken: 'dash-secret' },
+      pages: [{ id: '200', name: 'Second page', pageAccessToken: 'token-200' }],
+    },
+  });
+});
+
+afterAll(() => bot.close());
+
+beforeEach(() => bot.reset());
+
+const get = (path, token) => {
+  const request = bot.request(bot.app).get(path);
+  return token ? request.set('X-Dashboard-Token', token) : request;
+};
+
+describe.each(['/subscriptions', '/messenger-profile'])('GET %s', (path) => {
+  test('needs the dashboard token', async () => {
+    expect((await get(path)).status).toBe(401);
+    expect((await get(path, 'wrong')).status).toBe(401);
+    expect((await get(path, 'dash-secret')).status).toBe(200);
+  });
+
+  test('answers 404 for a page the bot does not serve', async () => {
+    const response = await get(`${path}?pageId=999`, 'dash-secret');
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('page selection', () => {
+  test('previews the Messenger Profile of the page in ?pageId=', async () => {
+    const response = await get('/messenger-profile?pageId=200', 'dash-secret');
+
+    expect(response.status).toBe(200);
+    expect(bot.calls({ method: 'GET', path: '/messenger_profile' })).toHaveLength(1);
+  });
+
+  test('checks the subscriptions of the page in ?pageId=', async () => {
+    const response = await get('/subscriptions?pageId=200', 'dash-secret');
+
+    expect(response.status).toBe(200);
+    expect(bot.calls({ method: 'GET', path: '/subscribed_apps' }).map(call => call.path))
+      .toEqual(['/200/subscribed_apps']);
+  });
+
+  test('uses the default page without ?pageId=', async () => {
+    await get('/subscriptions', 'dash-secret');
+
+    expect(bot.calls({ method: 'GET', path: '/subscribed_apps' }).map(call => call.path))
+      .toEqual([`/${bot.pageId}/subscribed_apps`]);
+  });
+
+  test('subscribes the missing fields of the selected page', async () => {
+    const response = await bot.request(bot.app)
+      .post('/subscriptions?pageId=200')
+      .set('X-Dashboard-Token', 'dash-secret');
+
+    expect(response.status).toBe(200);
+    expect(bot.calls({ method: 'POST', path: '/subscribed_apps' }).map(call => call.path))
+      .toEqual(['/200/subscribed_apps']);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Dedupe Store Specs
+ * Claim and complete semantics of the memory, file and Redis stores
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('../utils/sandbox');
+
+const sandbox = createSandbox({ config: { logging: { level: 'error' } } });
+const { MemoryDedupeStore, FileDedupeStore, RedisDedupeStore } = require('../utils/dedupeStore');
+
+afterAll(() => sandbox.cleanup());
+
+let counter = 0;
+const nextFile = () => path.join(sandbox.dir, `dedupe-${++counter}.json`);
+
+describe.each([
+  ['memory', () => new MemoryDedupeStore()],
+  ['file', () => new FileDedupeStore(nextFile(), { flushMs: 0 })],
+])('%s store', (name, create) => {
+  let store;
+
+  beforeEach(() => {
+    store = create();
+  });
+
+  afterEach(() => store.close());
+
+  test('adds a key once', async () => {
+    expect(await store.add('mid.1', 60000)).toBe(true);
+    expect(await store.add('mid.1', 60000)).toBe(false);
+    await store.remove('mid.1');
+    expect(await store.add('mid.1', 60000)).toBe(true);
+  });
+
+  test('lets only the owner of a claim claim it again', async () => {
+    expect(await store.claim('mid.2', 'job-1', 60000)).toBe(true);
+    expect(await store.claim('mid.2', 'job-2', 60000)).toBe(false);
+    expect(await store.claim('mid.2', 'job-1', 60000)).toBe(true);
+  });
+
+  test('keeps a completed key from being claimed', async () => {
+    await store.claim('mid.3', 'job-1', 60000);
+    await store.complete('mid.3', 60000);
+
+    expect(await store.claim('mid.3', 'job-1', 60000)).toBe(false);
+  });
+
+  test('frees a key when its claim expires', async () => {
+    await store.claim('mid.4', 'job-1', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    expect(await store.claim('mid.4', 'job-2', 60000)).toBe(true);
+  });
+});
+
+describe('file store', () => {
+  test('keeps handled keys across restarts', async () => {
+    const file = nextFile();
+    const store = new FileDedupeStore(file, { flushMs: 0 });
+    await store.complete('mid.5', 60000);
+    await store.close();
+
+    const restarted = new FileDedupeStore(file);
+    expect(await restarted.add('mid.5', 60000)).toBe(false);
+    await restarted.close();
+  });
+
+  test('loads files that map keys to their expiry', async () => {
+    const file = nextFile();
+    fs.writeFileSync(file, JSON.stringify({ 'mid.6': Date.now() + 60000, 'mid.7': Date.now() - 1 }));
+
+    const store = new FileDedupeStore(file);
+    expect(await store.claim('mid.6', 'job-1', 60000)).toBe(false);
+    expect(await store.claim('mid.7', 'job-1', 60000)).toBe(true);
+    await store.close();
+  });
+});
+
+describe('redis store', () => {
+  test('works from memory while Redis cannot be reached', async () => {
+    const store = new RedisDedupeStore('redis://127.0.0.1:1', 'test:', { retryMs: 60000 });
+
+    expect(await store.add('mid.8', 60000)).toBe(true);
+    expect(await store.add('mid.8', 60000)).toBe(false);
+    expect(store.getStatus()).toMatchObject({ type: 'redis', degraded: true });
+    await store.close();
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Facebook API Error Specs
+ * Classification of failed Graph API calls
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const { AxiosError } = require('axios');
+const { FacebookApiError } = require('../utils/facebookApiError');
+
+// An axios error for a Graph API error response
+function axiosError(status, error) {
+  const response = { status, data: { error }, headers: {}, config: {} };
+  return new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_REQUEST', {}, {}, response);
+}
+
+describe('classification', () => {
+  test.each([
+    ['an expired token', 'auth', { code: 190, status: 400 }],
+    ['a session key error', 'auth', { code: 102, status: 400 }],
+    ['a rate limit', 'retryable', { code: 613, status: 400 }],
+    ['a spam block', 'retryable', { code: 368, status: 400 }],
+    ['a transient error', 'retryable', { code: 100, status: 400, isTransient: true }],
+    ['HTTP 429', 'retryable', { status: 429 }],
+    ['a server error', 'retryable', { code: 2, status: 503 }],
+    ['a network failure', 'retryable', {}],
+    ['an invalid parameter', 'permanent', { code: 100, status: 400 }],
+    ['a missing permission', 'permanent', { code: 10, status: 403 }],
+  ])('treats %s as %s', (name, classification, details) => {
+    const error = new FacebookApiError({ message: name, ...details });
+
+    expect(error.classification).toBe(classification);
+    expect(error.retryable).toBe(classification === 'retryable');
+    expect(error.isAuthError).toBe(classification === 'auth');
+    expect(error.permanent).toBe(classification === 'permanent');
+  });
+
+  test.each([
+    [{ code: 551 }],
+    [{ code: 10, subcode: 2018108 }],
+    [{ code: 100, subcode: 2018001 }],
+    [{ code: 200, subcode: 1545041 }],
+  ])('marks %p as recipient unavailable', (details) => {
+    const error = new FacebookApiError({ message: 'Unavailable', status: 400, ...details });
+
+    expect(error.isRecipientUnavailable).toBe(true);
+    expect(error.permanent).toBe(true);
+  });
+});
+
+describe('fromAxiosError', () => {
+  test('copies the Graph error fields', () => {
+    const error = FacebookApiError.fromAxiosError(axiosError(400, {
+      message: 'Invalid OAuth access token.',
+      type: 'OAuthException',
+      code: 190,
+      error_subcode: 463,
+      fbtrace_id: 'trace-1',
+    }), '/me/messages', 'post', '1234');
+
+    expect(error).toBeInstanceOf(FacebookApiError);
+    expect(error.toJSON()).toEqual({
+      name: 'FacebookApiError',
+      message: 'Invalid OAuth access token.',
+      code: 190,
+      subcode: 463,
+      fbtraceId: 'trace-1',
+      type: 'OAuthException',
+      status: 400,
+      endpoint: '/me/messages',
+      recipientId: '1234',
+      classification: 'auth',
+    });
+    expect(error.method).toBe('POST');
+  });
+
+  test('treats a request without a response as retryable', () => {
+    const cause = new AxiosError('connect ECONNREFUSED', 'ECONNREFUSED');
+    const error = FacebookApiError.fromAxiosError(cause, '/me/messages', 'post');
+
+    expect(error.message).toBe('No response from Facebook API: connect ECONNREFUSED');
+    expect(error.retryable).toBe(true);
+    expect(error.cause).toBe(cause);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Instagram Specs
+ * DMs and comments from the Instagram account linked to the page
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const { createConversationTester } = require('../utils/conversationTester');
+const { adaptMessage, supportsChannel } = require('../utils/channels');
+const { waitForIdle } = require('../utils/sandbox');
+
+const INSTAGRAM_ID = '17840000000000001';
+
+let bot;
+
+beforeAll(async () => {
+  bot = await createConversationTester({ config: { facebook: { instagramId: INSTAGRAM_ID } } });
+});
+
+afterAll(() => bot.close());
+
+beforeEach(() => bot.reset());
+
+describe('messages', () => {
+  test('answers an Instagram DM on Instagram', async () => {
+    const user = bot.user('6001', { channel: 'instagram' });
+
+    const replies = await user.send('/ping');
+
+    expect(replies).toHaveLength(1);
+    expect(replies[0].recipientId).toBe('6001');
+  });
+
+  test('ignores webhooks of an Instagram account no page is linked to', async () => {
+    const body = bot.factory.createInstagramWebhook('999', {
+      messaging: [bot.factory.createMessageEvent('6002', '999', '/ping')],
+    });
+
+    const response = await bot.request(bot.app).post(bot.webhookPath).send(body);
+
+    expect(response.status).toBe(200);
+    await waitForIdle();
+    expect(bot.user('6002').replies()).toEqual([]);
+  });
+});
+
+describe('comments', () => {
+  test('passes Instagram comments to the comment plugins in the page comment shape', async () => {
+    const user = bot.user('6003', { name: 'dana.ig', channel: 'instagram' });
+
+    const { commentId, replies } = await user.comment('Please dm me the price');
+
+    expect(replies).toHaveLength(1);
+    expect(replies[0]).toMatchObject({ commentId });
+    expect(replies[0].text).toContain('Hi dana.ig!');
+  });
+
+  test('skips comments written by the Instagram account itself', async () => {
+    const change = bot.factory.createInstagramCommentChange(INSTAGRAM_ID, 'Play a game with us!');
+
+    await bot.deliver({ changes: [change] }, 'instagram');
+
+    expect(bot.outbox()).toEqual([]);
+    expect(bot.commentReplies()).toEqual([]);
+  });
+});
+
+describe('adaptMessage', () => {
+  const buttonTemplate = {
+    attachment: {
+      type: 'template',
+      payload: {
+        template_type: 'button',
+        text: 'Pick one',
+        buttons: [
+          { type: 'postback', title: 'Play', payload: 'PLAY' },
+          { type: 'web_url', title: 'Website', url: 'https://example.com' },
+        ],
+      },
+    },
+  };
+
+  test('sends a button template as text with quick replies on Instagram', () => {
+    expect(adaptMessage(buttonTemplate, 'instagram')).toEqual({
+      text: 'Pick one\nWebsite: https://example.com',
+      quick_replies: [{ content_type: 'text', title: 'Play', payload: 'PLAY' }],
+    });
+  });
+
+  test('leaves Messenger messages unchanged', () => {
+    expect(adaptMessage(buttonTemplate, 'facebook')).toBe(buttonTemplate);
+  });
+
+  test('refuses templates Instagram cannot show', () => {
+    const receipt = { attachment: { type: 'template', payload: { template_type: 'receipt' } } };
+
+    expect(() => adaptMessage(receipt, 'instagram')).toThrow(expect.objectContaining({ code: 'INVALID_VALUE' }));
+  });
+});
+
+describe('supportsChannel', () => {
+  test('runs plugins without a declaration on Messenger only', () => {
+    expect(supportsChannel({ config: {} }, 'facebook')).toBe(true);
+    expect(supportsChannel({ config: {} }, 'instagram')).toBe(false);
+    expect(supportsChannel({ config: { channels: ['facebook', 'instagram'] } }, 'instagram')).toBe(true);
+    expect(supportsChannel({ channels: ['instagram'] }, 'facebook')).toBe(false);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Job Queue Specs
+ * Journal persistence, replay and per-key ordering of the durable queue
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('../utils/sandbox');
+
+const sandbox = createSandbox({ config: { logging: { level: 'error' } } });
+const { JobQueue } = require('../utils/jobQueue');
+
+let file;
+let counter = 0;
+const queues = [];
+
+// A queue on this test's file, written out before the sandbox goes away
+const createQueue = (options = {}) => {
+  const queue = new JobQueue({ file, ...options });
+  queues.push(queue);
+  return queue;
+};
+
+beforeEach(() => {
+  counter++;
+  file = path.join(sandbox.dir, `queue-${counter}.json`);
+});
+
+afterAll(async () => {
+  await Promise.allSettled(queues.map(queue => queue.flush()));
+  sandbox.cleanup();
+});
+
+describe('journal', () => {
+  test('replays queued jobs and retry state after a restart', async () => {
+    const queue = createQueue();
+    const first = queue.enqueue('messaging', { n: 1 });
+    queue.enqueue('messaging', { n: 2 });
+    queue.setProcessor(async (job) => {
+      if (job.id === first.id) throw new Error('Graph API down');
+    });
+    await queue.drain();
+    await queue.flush();
+
+    const restarted = createQueue();
+    restarted.load();
+    expect(restarted.jobs).toHaveLength(1);
+    expect(restarted.jobs[0]).toMatchObject({ id: first.id, attempts: 1, lastError: 'Graph API down' });
+  });
+
+  test('skips a line cut short by a crash', async () => {
+    const queue = createQueue();
+    queue.enqueue('messaging', { n: 1 });
+    await queue.flush();
+    fs.appendFileSync(file, '{"op":"add","job":{"id":"torn"');
+
+    const restarted = createQueue();
+    restarted.load();
+    expect(restarted.jobs.map(job => job.payload)).toEqual([{ n: 1 }]);
+  });
+
+  test('loads the single-object format of older queue files', () => {
+    fs.writeFileSync(file, JSON.stringify({
+      jobs: [{ id: 'a', kind: 'messaging', payload: {}, attempts: 0, nextAttemptAt: 0 }],
+      deadLetters: [{ id: 'b', kind: 'change', attempts: 5 }],
+    }));
+
+    const queue = createQueue();
+    queue.load();
+    expect(queue.jobs.map(job => job.id)).toEqual(['a']);
+    expect(queue.deadLetters.map(job => job.id)).toEqual(['b']);
+  });
+
+  test('rejects flush when the journal cannot be written', async () => {
+    // A directory where the file should be makes every write fail
+    fs.mkdirSync(file);
+    const queue = createQueue();
+    queue.enqueue('messaging', {});
+
+    await expect(queue.flush()).rejects.toThrow();
+    fs.rmdirSync(file);
+    await expect(queue.flush()).resolves.toBeUndefined();
+    expect(fs.readFileSync(file, 'utf-8')).toContain('"op":"snapshot"');
+  });
+});
+
+describe('lanes', () => {
+  const getLane = job => ({ key: job.payload.sender, timestamp: job.payload.timestamp });
+
+  test('runs a lane\'s jobs by event timestamp, whatever order they arrived in', async () => {
+    const queue = createQueue();
+    const order = [];
+    queue.setProcessor(async job => order.push(job.payload.name), { getLane });
+    queue.enqueue('messaging', { sender: 'a', timestamp: 30, name: 'third' });
+    queue.enqueue('messaging', { sender: 'a', timestamp: 10, name: 'first' });
+    queue.enqueue('messaging', { sender: 'a', timestamp: 20, name: 'second' });
+
+    await queue.drain();
+
+    expect(order).toEqual(['first', 'second', 'third']);
+  });
+
+  test('holds back a lane while its earliest job waits for a retry', async () => {
+    const queue = createQueue({ baseDelayMs: 60000 });
+    const order = [];
+    queue.setProcessor(async (job) => {
+      if (job.payload.name === 'a1') throw new Error('Graph API down');
+      order.push(job.payload.name);
+    }, { getLane });
+    queue.enqueue('messaging', { sender: 'a', timestamp: 1, name: 'a1' });
+    queue.enqueue('messaging', { sender: 'a', timestamp: 2, name: 'a2' });
+    queue.enqueue('messaging', { sender: 'b', timestamp: 3, name: 'b1' });
+
+    await queue.drain();
+
+    expect(order).toEqual(['b1']);
+    expect(queue.jobs.map(job => job.payload.name)).toEqual(['a1', 'a2']);
+  });
+});
+
+describe('retries', () => {
+  test('moves a job to the dead letters after maxAttempts', async () => {
+    const queue = createQueue({ maxAttempts: 2, baseDelayMs: 1 });
+    queue.enqueue('messaging', {});
+    queue.setProcessor(async () => {
+      throw new Error('boom');
+    });
+
+    await queue.drain();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await queue.drain();
+
+    expect(queue.jobs).toEqual([]);
+    expect(queue.getStats()).toMatchObject({ failed: 1, retried: 1, deadLettered: 1 });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Message Builder Specs
+ * Messenger limits checked by the builders
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const {
+  MessageBuilder,
+  Button,
+  Element,
+  MessageValidationError,
+  LIMITS,
+} = require('../utils/messageBuilder');
+const { splitText } = require('../utils/messageFormat');
+
+describe('MessageBuilder', () => {
+  test('builds a text message with quick replies', () => {
+    const message = MessageBuilder.text('Pick one')
+      .quickReply('Yes', 'YES')
+      .quickReply('No', 'NO')
+      .build();
+
+    expect(message).toEqual({
+      text: 'Pick one',
+      quick_replies: [
+        { content_type: 'text', title: 'Yes', payload: 'YES' },
+        { content_type: 'text', title: 'No', payload: 'NO' },
+      ],
+    });
+  });
+
+  test('rejects more than 13 quick replies', () => {
+    const builder = MessageBuilder.text('Too many');
+    for (let i = 0; i <= LIMITS.QUICK_REPLIES; i++) builder.quickReply(`Option ${i}`, `OPT_${i}`);
+
+    expect(() => builder.build()).toThrow(MessageValidationError);
+    expect(() => builder.build()).toThrow(expect.objectContaining({ code: 'LIMIT_EXCEEDED' }));
+  });
+
+  test('rejects a fourth button on a button template', () => {
+    const builder = MessageBuilder.buttons('Choose');
+    ['A', 'B', 'C', 'D'].forEach(title => builder.addButton(Button.postback(title, title)));
+
+    expect(() => builder.build()).toThrow(expect.objectContaining({ code: 'LIMIT_EXCEEDED' }));
+  });
+
+  test('requires a title on generic template elements', () => {
+    const builder = MessageBuilder.generic().addElement(Element.create(''));
+
+    expect(() => builder.build()).toThrow(expect.objectContaining({ code: 'MISSING_FIELD' }));
+  });
+
+  test('measures text the way splitText does', () => {
+    // 1000 emoji are 2000 UTF-16 code units: at the limit, one chunk
+    const atLimit = '😀'.repeat(LIMITS.TEXT_LENGTH / 2);
+    expect(() => MessageBuilder.text(atLimit).build()).not.toThrow();
+    expect(splitText(atLimit, LIMITS.TEXT_LENGTH)).toHaveLength(1);
+
+    const overLimit = `${atLimit}!`;
+    expect(() => MessageBuilder.text(overLimit).build()).toThrow(MessageValidationError);
+    expect(splitText(overLimit, LIMITS.TEXT_LENGTH)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Message Format Specs
+ * Markup styles, escapes and splitting of long text
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const { formatText, escapeMarkup, splitText, textLength } = require('../utils/messageFormat');
+
+describe('formatText', () => {
+  test('converts markup to Unicode letters by default', () => {
+    expect(formatText('*Hi* `x1`')).toBe('𝗛𝗶 𝚡𝟷');
+  });
+
+  test('removes the markers in plain style', () => {
+    expect(formatText('*Hi* `x1`', 'plain')).toBe('Hi x1');
+  });
+
+  test('keeps the markers in none style', () => {
+    expect(formatText('*Hi* `x1`', 'none')).toBe('*Hi* `x1`');
+  });
+
+  test.each(['unicode', 'plain', 'none'])('drops the escape backslashes in %s style', (style) => {
+    const nickname = escapeMarkup('*star*_`dev`');
+    expect(formatText(`Top: ${nickname}`, style)).toBe('Top: *star*_`dev`');
+  });
+});
+
+describe('splitText', () => {
+  test('keeps text within the limit in one chunk', () => {
+    expect(splitText('short', 10)).toEqual(['short']);
+  });
+
+  test('breaks at line boundaries', () => {
+    expect(splitText('aaaa\nbbbb\ncccc', 9)).toEqual(['aaaa\nbbbb', 'cccc']);
+  });
+
+  test('breaks a long line at the last space', () => {
+    expect(splitText('one two three', 8)).toEqual(['one two', 'three']);
+  });
+
+  test('counts in the unit of textLength and never splits a surrogate pair', () => {
+    const text = '😀'.repeat(5);
+    const chunks = splitText(text, 4);
+
+    expect(textLength('😀')).toBe(2);
+    expect(chunks).toEqual(['😀😀', '😀😀', '😀']);
+    chunks.forEach(chunk => expect(textLength(chunk)).toBeLessThanOrEqual(4));
+  });
+});
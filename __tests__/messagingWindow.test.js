@@ -0,0 +1,79 @@
+/**
+ * Messaging Window Specs
+ * The 24-hour window, message tags and human agent sends
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const { createConversationTester } = require('../utils/conversationTester');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let bot;
+
+beforeAll(async () => {
+  bot = await createConversationTester({ config: { security: { adminUIDs: ['1000'] } } });
+});
+
+afterAll(() => bot.close());
+
+beforeEach(() => bot.reset());
+
+const lastWrote = (psid, daysAgo) => bot.userStore.recordInteraction(psid, Date.now() - daysAgo * DAY_MS);
+
+describe('sendMessage', () => {
+  test('sends within 24 hours of the user\'s last message', async () => {
+    await lastWrote('3001', 0.5);
+
+    await bot.fbApi.sendMessage('3001', 'Hello again');
+
+    expect(bot.user('3001').lastReply()).toMatchObject({ text: 'Hello again', messagingType: 'RESPONSE' });
+  });
+
+  test('refuses an untagged send after 24 hours', async () => {
+    await lastWrote('3002', 2);
+
+    await expect(bot.fbApi.sendMessage('3002', 'Hello again'))
+      .rejects.toMatchObject({ name: 'MessagingWindowError', code: 'OUTSIDE_MESSAGING_WINDOW' });
+    expect(bot.user('3002').replies()).toEqual([]);
+  });
+
+  test('sends with a tag that allows it', async () => {
+    await lastWrote('3003', 30);
+
+    await bot.fbApi.sendMessage('3003', 'Balance updated', 'text', { tag: 'ACCOUNT_UPDATE' });
+
+    expect(bot.user('3003').lastReply()).toMatchObject({ messagingType: 'MESSAGE_TAG', tag: 'ACCOUNT_UPDATE' });
+  });
+
+  test('sends to users with no recorded interaction', async () => {
+    await bot.fbApi.sendMessage('3004', 'Welcome back');
+
+    expect(bot.user('3004').lastReply()).toMatchObject({ text: 'Welcome back', messagingType: 'RESPONSE' });
+  });
+
+  test('tags human agent sends outside the 24-hour window with HUMAN_AGENT', async () => {
+    await lastWrote('3005', 0.5);
+    await lastWrote('3006', 3);
+    await lastWrote('3007', 8);
+
+    await bot.fbApi.sendMessage('3005', 'An agent will reply', 'text', { humanAgent: true });
+    await bot.fbApi.sendMessage('3006', 'An agent will reply', 'text', { humanAgent: true });
+    await expect(bot.fbApi.sendMessage('3007', 'An agent will reply', 'text', { humanAgent: true }))
+      .rejects.toMatchObject({ code: 'OUTSIDE_MESSAGING_WINDOW' });
+
+    expect(bot.user('3005').lastReply()).toMatchObject({ messagingType: 'RESPONSE', tag: undefined });
+    expect(bot.user('3006').lastReply()).toMatchObject({ messagingType: 'MESSAGE_TAG', tag: 'HUMAN_AGENT' });
+  });
+});
+
+describe('handover', () => {
+  test('tells a user who wrote days ago about the handover with the HUMAN_AGENT tag', async () => {
+    await lastWrote('3010', 3);
+
+    await bot.user('1000').send('/handover 3010');
+
+    expect(bot.user('3010').lastReply()).toMatchObject({ messagingType: 'MESSAGE_TAG', tag: 'HUMAN_AGENT' });
+    expect(await bot.userStore.getBotPause('3010')).toMatchObject({ reason: 'handover' });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Multi-page Specs
+ * Routing of webhook entries to the configuration of their page
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const { createConversationTester } = require('../utils/conversationTester');
+const { waitForIdle } = require('../utils/sandbox');
+
+let bot;
+
+beforeAll(async () => {
+  bot = await createConversationTester({
+    config: { pages: [{ id: '200', name: 'Second page', pageAccessToken: 'token-200', prefix: '!' }] },
+  });
+});
+
+afterAll(() => bot.close());
+
+beforeEach(() => bot.reset());
+
+// Post a message to a page and wait until it is handled
+async function sendToPage(pageId, psid, text) {
+  const body = bot.factory.createPageWebhook(pageId, {
+    messaging: [bot.factory.createMessageEvent(psid, pageId, text)],
+  });
+  const response = await bot.request(bot.app).post(bot.webhookPath).send(body);
+  await waitForIdle();
+  return response;
+}
+
+describe('routing', () => {
+  test('answers with the token of the page the event was for', async () => {
+    bot.mock.accessToken = 'token-200';
+    try {
+      await sendToPage('200', '7001', '!ping');
+    } finally {
+      bot.mock.accessToken = null;
+    }
+
+    expect(bot.user('7001').replies()).toHaveLength(1);
+  });
+
+  test('uses the prefix of each page', async () => {
+    await sendToPage('200', '7002', '!ping');
+    await sendToPage(bot.pageId, '7003', '!ping');
+
+    expect(bot.user('7002').texts()[0]).toContain('Pong');
+    expect(bot.user('7003').texts()[0]).not.toContain('Pong');
+  });
+
+  test('keeps user records apart per page', async () => {
+    await sendToPage('200', '7004', '!ping');
+    await sendToPage(bot.pageId, '7004', '/ping');
+
+    const keys = Object.keys(bot.userStore.users).filter(key => key.includes('7004'));
+    expect(keys).toHaveLength(2);
+  });
+
+  test('ignores entries of pages the bot does not serve', async () => {
+    const response = await sendToPage('999', '7005', '/ping');
+
+    expect(response.status).toBe(200);
+    expect(bot.user('7005').replies()).toEqual([]);
+  });
+});
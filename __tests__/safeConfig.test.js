@@ -0,0 +1,88 @@
+/**
+ * Configuration Specs
+ * Page views of the merged configuration and reloading of config.json
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const fs = require('fs');
+const { createSandbox } = require('../utils/sandbox');
+
+const config = {
+  logging: { level: 'error' },
+  facebook: { pageId: '100', pageAccessToken: 'token-100', instagramId: '900' },
+  bot: { prefix: '/' },
+  pages: [
+    { id: '200', name: 'Second page', pageAccessToken: 'token-200', prefix: '!', adminUIDs: ['7'] },
+    { id: '300', pageAccessToken: 'token-300', instagramId: '901' },
+  ],
+};
+const sandbox = createSandbox({ config });
+const { getConfig, getPageConfig, getInstagramPageConfig, reloadConfig } = require('../utils/safeConfig');
+const { runWithPage } = require('../utils/pageContext');
+
+afterAll(() => sandbox.cleanup());
+
+// Rewrite the sandbox config.json with changes on top of the original
+const writeConfig = (changes) => {
+  fs.writeFileSync(process.env.CONFIG_FILE, JSON.stringify({ ...sandbox.config, ...changes }, null, 2));
+};
+
+describe('pages', () => {
+  test('applies the settings of the page in context', () => {
+    const page = runWithPage('200', () => getConfig());
+
+    expect(page.facebook).toMatchObject({ pageId: '200', pageAccessToken: 'token-200' });
+    expect(page.bot.prefix).toBe('!');
+    expect(page.security.adminUIDs).toEqual(['7']);
+    expect(getConfig().facebook).toMatchObject({ pageId: '100', pageAccessToken: 'token-100' });
+  });
+
+  test('knows only the pages in the configuration', () => {
+    expect(getPageConfig('300').facebook.pageAccessToken).toBe('token-300');
+    expect(getPageConfig('100').facebook.pageAccessToken).toBe('token-100');
+    expect(getPageConfig('999')).toBeNull();
+  });
+
+  test('finds the page of an Instagram account', () => {
+    expect(getInstagramPageConfig('901').facebook.pageId).toBe('300');
+    expect(getInstagramPageConfig('900').facebook.pageId).toBe('100');
+    expect(getInstagramPageConfig('999')).toBeNull();
+  });
+});
+
+describe('caching', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    writeConfig({});
+    reloadConfig();
+  });
+
+  test('returns the same frozen view without checking the file on every call', () => {
+    const first = getConfig();
+    const stat = jest.spyOn(fs, 'statSync');
+
+    for (let i = 0; i < 100; i++) expect(getConfig()).toBe(first);
+
+    expect(stat).not.toHaveBeenCalled();
+    expect(Object.isFrozen(first.facebook)).toBe(true);
+    expect(Object.isFrozen(first.pages[0])).toBe(true);
+  });
+
+  test('picks up edits of config.json within a second', () => {
+    const now = Date.now();
+    getConfig();
+    writeConfig({ bot: { prefix: '#' } });
+    jest.spyOn(Date, 'now').mockReturnValue(now + 1000);
+
+    expect(getConfig().bot.prefix).toBe('#');
+  });
+
+  test('reloads right away after reloadConfig', () => {
+    getConfig();
+    writeConfig({ bot: { prefix: '$' } });
+    reloadConfig();
+
+    expect(getConfig().bot.prefix).toBe('$');
+  });
+});
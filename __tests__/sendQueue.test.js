@@ -0,0 +1,108 @@
+/**
+ * Send Queue Specs
+ * Backoff, retries and pauses of the outbound Graph API queue
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const { createSandbox } = require('../utils/sandbox');
+
+const sandbox = createSandbox({ config: { logging: { level: 'error' } } });
+const { SendQueue } = require('../utils/sendQueue');
+const { FacebookApiError } = require('../utils/facebookApiError');
+
+afterAll(() => sandbox.cleanup());
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const graphError = (code, status = 400) => new FacebookApiError({ message: `Graph error ${code}`, code, status });
+
+// An execute function failing with the given errors, then resolving 'ok'
+function failing(...errors) {
+  const execute = jest.fn(async () => {
+    if (errors.length > 0) throw errors.shift();
+    return 'ok';
+  });
+  return execute;
+}
+
+const message = { pageId: '100', recipientId: '1', isMessage: true };
+
+describe('backoff', () => {
+  test('grows exponentially with jitter up to maxDelayMs', () => {
+    const queue = new SendQueue({ baseDelayMs: 100, maxDelayMs: 1000 });
+
+    for (let i = 0; i < 20; i++) {
+      expect(queue.getBackoffDelay(1)).toBeGreaterThanOrEqual(50);
+      expect(queue.getBackoffDelay(1)).toBeLessThanOrEqual(100);
+      expect(queue.getBackoffDelay(3)).toBeGreaterThanOrEqual(200);
+      expect(queue.getBackoffDelay(3)).toBeLessThanOrEqual(400);
+      expect(queue.getBackoffDelay(10)).toBeLessThanOrEqual(1000);
+    }
+  });
+
+  test('retries a server error until the call succeeds', async () => {
+    const queue = new SendQueue({ baseDelayMs: 1 });
+    const execute = failing(graphError(2, 500), graphError(2, 503));
+
+    await expect(queue.schedule(message, execute)).resolves.toBe('ok');
+    expect(execute).toHaveBeenCalledTimes(3);
+    expect(queue.getStats()).toMatchObject({ sent: 1, retried: 2, failed: 0 });
+  });
+
+  test('gives up after maxRetries', async () => {
+    const queue = new SendQueue({ baseDelayMs: 1, maxRetries: 1 });
+    const execute = failing(graphError(2, 500), graphError(2, 500), graphError(2, 500));
+
+    await expect(queue.schedule(message, execute)).rejects.toMatchObject({ status: 500 });
+    expect(execute).toHaveBeenCalledTimes(2);
+  });
+
+  test('throttles the whole page on a rate limit', async () => {
+    const queue = new SendQueue({ baseDelayMs: 50 });
+    const first = queue.schedule(message, failing(graphError(613)));
+    await delay(5);
+
+    expect(queue.getStats().pages['100'].state).toBe('throttled');
+    const other = jest.fn(async () => 'ok');
+    const second = queue.schedule({ ...message, recipientId: '2' }, other);
+    await delay(5);
+    expect(other).not.toHaveBeenCalled();
+
+    await expect(Promise.all([first, second])).resolves.toEqual(['ok', 'ok']);
+    expect(queue.getStats()).toMatchObject({ throttled: 1, retried: 1 });
+  });
+});
+
+describe('pauses', () => {
+  test('pauses a page on a token error and lifts the pause when a probe succeeds', async () => {
+    const queue = new SendQueue({ authRetryMs: 30 });
+
+    await expect(queue.schedule(message, failing(graphError(190)))).rejects.toMatchObject({ code: 190 });
+
+    const refused = jest.fn(async () => 'ok');
+    await expect(queue.schedule({ pageId: '100' }, refused))
+      .rejects.toMatchObject({ code: 190, refused: true, isAuthError: true });
+    expect(refused).not.toHaveBeenCalled();
+    expect(queue.getStats().pages['100'].state).toBe('paused');
+    // Other pages keep working
+    await expect(queue.schedule({ pageId: '200' }, failing())).resolves.toBe('ok');
+
+    await delay(35);
+    await expect(queue.schedule(message, failing())).resolves.toBe('ok');
+    expect(queue.getStats().pages['100'].state).toBe('ok');
+  });
+
+  test('refuses messages after a spam block but lets other calls through', async () => {
+    const queue = new SendQueue({ spamBlockPauseMs: 60000 });
+
+    await expect(queue.schedule(message, failing(graphError(368)))).rejects.toMatchObject({ code: 368 });
+
+    await expect(queue.schedule(message, failing())).rejects.toMatchObject({ code: 368, refused: true });
+    await expect(queue.schedule({ pageId: '100' }, failing())).resolves.toBe('ok');
+    expect(queue.getStats().pages['100'].state).toBe('blocked');
+
+    queue.resume();
+    await expect(queue.schedule(message, failing())).resolves.toBe('ok');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Sender Lane Specs
+ * Per-sender ordering, concurrency cap and timeouts
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const { createSandbox } = require('../utils/sandbox');
+
+const sandbox = createSandbox({ config: { logging: { level: 'error' } } });
+const { SenderLanes } = require('../utils/senderLanes');
+
+afterAll(() => sandbox.cleanup());
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('SenderLanes', () => {
+  test('runs one sender\'s tasks in timestamp order, one at a time', async () => {
+    const lanes = new SenderLanes();
+    const log = [];
+    const task = name => async () => {
+      log.push(`${name} start`);
+      await delay(5);
+      log.push(`${name} end`);
+    };
+
+    await Promise.all([
+      lanes.run('psid:1', 300, task('c')),
+      lanes.run('psid:1', 100, task('a')),
+      lanes.run('psid:1', 200, task('b')),
+    ]);
+
+    expect(log).toEqual(['a start', 'a end', 'b start', 'b end', 'c start', 'c end']);
+  });
+
+  test('runs different senders in parallel up to the concurrency cap', async () => {
+    const lanes = new SenderLanes({ concurrency: 2 });
+    let running = 0;
+    let peak = 0;
+    const task = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(5);
+      running--;
+    };
+
+    await Promise.all(['1', '2', '3', '4'].map(psid => lanes.run(`psid:${psid}`, 1, task)));
+
+    expect(peak).toBe(2);
+    expect(lanes.getStats()).toMatchObject({ active: 0, completed: 4 });
+  });
+
+  test('fails a task that runs past the timeout and frees its lane', async () => {
+    const lanes = new SenderLanes({ timeoutMs: 20 });
+    let finishHung;
+    const hung = lanes.run('psid:1', 1, () => new Promise(resolve => {
+      finishHung = resolve;
+    }));
+    const next = lanes.run('psid:1', 2, async () => 'next');
+
+    await expect(hung).rejects.toMatchObject({ code: 'EVENT_TIMEOUT' });
+    await expect(next).resolves.toBe('next');
+    expect(lanes.getStats()).toMatchObject({ active: 0, overdue: 1, timedOut: 1 });
+
+    finishHung();
+    await delay(0);
+    expect(lanes.getStats()).toMatchObject({ overdue: 0, completed: 1 });
+  });
+});
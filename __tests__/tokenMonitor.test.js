@@ -0,0 +1,101 @@
+/**
+ * Token Monitor Specs
+ * Inspection of page tokens, their scopes and their expiry
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const { createConversationTester } = require('../utils/conversationTester');
+
+const TOKEN = 'sandbox-token';
+const DAY_S = 24 * 60 * 60;
+
+let bot;
+let tokenMonitor;
+
+beforeAll(async () => {
+  bot = await createConversationTester({
+    config: {
+      facebook: { appId: '200000000000001', appSecret: 'app-secret' },
+      security: { adminUIDs: ['1000'] },
+    },
+  });
+  ({ tokenMonitor } = require('../utils/tokenMonitor'));
+});
+
+afterAll(() => bot.close());
+
+beforeEach(() => bot.reset());
+
+const check = async () => (await tokenMonitor.checkAll())[0];
+
+describe('inspection', () => {
+  test('reports a working page token', async () => {
+    expect(await check()).toMatchObject({
+      pageId: bot.pageId,
+      method: 'debug_token',
+      valid: true,
+      problems: [],
+      missingScopes: [],
+    });
+    expect(tokenMonitor.hasInvalidToken()).toBe(false);
+  });
+
+  test('lists required scopes the token lacks', async () => {
+    bot.mock.setTokenInfo(TOKEN, { scopes: ['pages_messaging'] });
+
+    expect(await check()).toMatchObject({ valid: true, missingScopes: ['pages_manage_engagement'] });
+  });
+
+  test('marks a revoked token invalid', async () => {
+    bot.mock.setTokenInfo(TOKEN, { is_valid: false });
+
+    const result = await check();
+    expect(result.valid).toBe(false);
+    expect(result.problems[0]).toContain('session has been invalidated');
+    expect(tokenMonitor.hasInvalidToken()).toBe(true);
+  });
+
+  test('marks a token of another page invalid', async () => {
+    bot.mock.setTokenInfo(TOKEN, { profile_id: '999' });
+
+    expect(await check()).toMatchObject({ valid: false, problems: ['The token belongs to page 999'] });
+  });
+
+  test('keeps the last result when the inspection itself fails', async () => {
+    await check();
+    bot.failNext(2, { path: '/debug_token', count: 0 });
+
+    expect(await check()).toMatchObject({ valid: true, checkError: expect.any(String) });
+  });
+
+  test('counts a page paused after a token error as invalid', async () => {
+    await check();
+    bot.failNext(190, { path: '/me/messages' });
+    await expect(bot.fbApi.sendMessage('1000', 'Hello')).rejects.toMatchObject({ code: 190 });
+
+    expect(tokenMonitor.isInvalid(bot.pageId)).toBe(true);
+    expect(tokenMonitor.getStatus()[0].valid).toBe(false);
+  });
+});
+
+describe('expiry', () => {
+  test('warns the admins once about a token expiring soon', async () => {
+    bot.mock.setTokenInfo(TOKEN, { expires_at: Math.floor(Date.now() / 1000) + 2 * DAY_S });
+
+    await check();
+    await check();
+
+    const warnings = bot.user('1000').texts();
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toContain('expires on');
+  });
+
+  test('does not warn about a token with time left', async () => {
+    bot.mock.setTokenInfo(TOKEN, { expires_at: Math.floor(Date.now() / 1000) + 30 * DAY_S });
+
+    await check();
+
+    expect(bot.user('1000').replies()).toEqual([]);
+  });
+});
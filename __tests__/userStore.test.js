@@ -0,0 +1,44 @@
+/**
+ * User Store Specs
+ * Operation timing for /metrics
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const { createSandbox } = require('../utils/sandbox');
+
+const sandbox = createSandbox({ config: { logging: { level: 'error' } }, userStore: 'memory' });
+const userStore = require('../models/userStore');
+const { register } = require('../utils/metrics');
+
+afterAll(() => sandbox.cleanup());
+
+// Number of recorded timings per operation
+async function timings() {
+  const metric = await register.getSingleMetric('fbbot_user_store_operation_duration_seconds').get();
+  const counts = {};
+  for (const { metricName, labels, value } of metric.values) {
+    if (metricName.endsWith('_count')) counts[labels.operation] = value;
+  }
+  return counts;
+}
+
+describe('timing', () => {
+  beforeAll(() => userStore.init());
+
+  beforeEach(() => register.resetMetrics());
+
+  test('records an operation that calls another one once', async () => {
+    await userStore.setBalance('4001', 50);
+    await userStore.getBalance('4001');
+
+    expect(await timings()).toEqual({ setBalance: 1, getBalance: 1 });
+  });
+
+  test('records each of several concurrent operations', async () => {
+    await Promise.all([userStore.getUser('4002'), userStore.getBalance('4002'), userStore.getUser('4003')]);
+    await userStore.getUser('4002');
+
+    expect(await timings()).toEqual({ getUser: 3, getBalance: 1 });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Webhook Signature Specs
+ * X-Hub-Signature-256 checks on webhook deliveries
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const { createConversationTester } = require('../utils/conversationTester');
+const { signPayload, verifySignature } = require('../utils/webhookSignature');
+const { waitForIdle } = require('../utils/sandbox');
+
+const APP_SECRET = 'app-secret';
+
+let bot;
+
+beforeAll(async () => {
+  bot = await createConversationTester({ config: { facebook: { appSecret: APP_SECRET } } });
+});
+
+afterAll(() => bot.close());
+
+beforeEach(() => bot.reset());
+
+// Post a body with the given signature header, or none
+const post = (body, signature) => {
+  const request = bot.request(bot.app)
+    .post(bot.webhookPath)
+    .set('Content-Type', 'application/json');
+  return (signature ? request.set('X-Hub-Signature-256', signature) : request).send(body);
+};
+
+const pingBody = psid => JSON.stringify(bot.factory.createPageWebhook(bot.pageId, {
+  messaging: [bot.factory.createMessageEvent(psid, bot.pageId, '/ping')],
+}));
+
+describe('verifySignature', () => {
+  const body = Buffer.from('{"object":"page"}');
+
+  test('accepts the signature Meta computes', () => {
+    expect(verifySignature(body, signPayload(body, APP_SECRET), APP_SECRET)).toEqual({ valid: true, reason: null });
+  });
+
+  test.each([
+    ['a missing header', undefined, 'missing X-Hub-Signature-256 header'],
+    ['a header without sha256=', 'sha1=abc', 'malformed signature header'],
+    ['another secret', signPayload(body, 'other-secret'), 'signature mismatch'],
+    ['a truncated digest', signPayload(body, APP_SECRET).slice(0, 20), 'signature mismatch'],
+  ])('rejects %s', (name, header, reason) => {
+    expect(verifySignature(body, header, APP_SECRET)).toEqual({ valid: false, reason });
+  });
+});
+
+describe('webhook', () => {
+  test('handles a signed delivery', async () => {
+    const body = pingBody('5001');
+    const response = await post(body, signPayload(body, APP_SECRET));
+
+    expect(response.status).toBe(200);
+    await waitForIdle();
+    expect(bot.user('5001').replies()).toHaveLength(1);
+  });
+
+  test('rejects unsigned and tampered deliveries without handling them', async () => {
+    const body = pingBody('5002');
+    const signature = signPayload(body, APP_SECRET);
+
+    expect((await post(body)).status).toBe(403);
+    expect((await post(body.replace('/ping', '/help'), signature)).status).toBe(403);
+    expect((await post(body, signPayload(body, 'other-secret'))).status).toBe(403);
+    expect(bot.user('5002').replies()).toEqual([]);
+  });
+});
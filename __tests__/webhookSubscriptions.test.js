@@ -0,0 +1,50 @@
+/**
+ * Webhook Subscription Specs
+ * Required webhook fields and their diff with the page subscription
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const { getRequiredFields, diffSubscription, CORE_FIELDS } = require('../utils/webhookSubscriptions');
+
+// getPlugins stand-in returning `counts[type]` plugins
+const pluginsOf = counts => type => new Array(counts[type] || 0).fill({});
+
+describe('getRequiredFields', () => {
+  test('needs the core fields without plugins', () => {
+    expect(getRequiredFields(pluginsOf({})).map(entry => entry.field))
+      .toEqual(['messages', 'messaging_postbacks', 'messaging_handovers', 'standby']);
+  });
+
+  test('adds the field of each loaded plugin type once, with every reason', () => {
+    const required = getRequiredFields(pluginsOf({ commands: 9, comments: 1, feedEvents: 2, reactions: 0 }));
+
+    expect(required.find(entry => entry.field === 'messages').reasons)
+      .toEqual(['incoming messages', '9 commands plugins']);
+    expect(required.find(entry => entry.field === 'feed').reasons)
+      .toEqual(['1 comments plugin', '2 feedEvents plugins']);
+    expect(required.map(entry => entry.field)).not.toContain('message_reactions');
+    expect(required).toHaveLength(CORE_FIELDS.length + 1);
+  });
+});
+
+describe('diffSubscription', () => {
+  const required = getRequiredFields(pluginsOf({ comments: 1 }));
+
+  test('lists required fields that are not subscribed', () => {
+    const { missing, extra } = diffSubscription(['messages', 'feed'], required);
+
+    expect(missing.map(entry => entry.field)).toEqual(['messaging_postbacks', 'messaging_handovers', 'standby']);
+    expect(extra).toEqual([]);
+  });
+
+  test('lists subscribed fields nothing uses', () => {
+    const subscribed = [...required.map(entry => entry.field), 'message_reads'];
+
+    expect(diffSubscription(subscribed, required)).toEqual({ missing: [], extra: ['message_reads'] });
+  });
+
+  test('needs everything when the app is not subscribed', () => {
+    expect(diffSubscription([], required).missing).toEqual(required);
+  });
+});
@@ -11,6 +11,10 @@ const { getConfig } = require('../utils/safeConfig');
 const fbApi = require('../utils/fbApi');
 const logger = require('../utils/logger');
 const { MessageTracker } = require('../utils/trackers');
+const { createDedupeStore } = require('../utils/dedupeStore');
+const { recordWebhookEvent, timePlugin } = require('../utils/metrics');
+const { isFacebookApiError } = require('../utils/facebookApiError');
+const { runWithPage, getCurrentChannel } = require('../utils/pageContext');
 
 // Load the user store. This provides perâ€‘user state such as command
 // prefixes, nicknames and game balances. If a MongoDB connection is
@@ -18,14 +22,20 @@ const { MessageTracker } = require('../utils/trackers');
 // models/userStore.js for details.
 const userStore = require('../models/userStore');
 
-const messageTracker = new MessageTracker();
-
 // Load an initial configuration. This will be refreshed at runtime in
 // handlers to pick up any changes on disk. We deliberately call
 // getConfig() here to ensure that config.json exists and falls back to
 // defaults; however the returned object should not be mutated.
 let config = getConfig();
 
+// Seen message, comment and postback IDs are kept in a persistent store so
+// that Facebook retries are recognised across restarts and cold starts.
+const messageTracker = new MessageTracker({
+  store: createDedupeStore(),
+  ttlMs: config.dedupe && config.dedupe.ttlMs,
+  claimTtlMs: config.dedupe && config.dedupe.claimTtlMs,
+});
+
 // Command prefix matching
 // Parse a command by stripping a given prefix from the beginning of the
 // message text. Returns an object containing the command name, argument
@@ -42,6 +52,86 @@ function parseCommand(text, prefix) {
   return { command, args, original: text };
 }
 
+// Note an interaction started by the user. It opens the 24-hour
+// messaging window for sends to them, a user who messages the page can be
+// reached again even if an earlier send failed because they had blocked
+// it, and an open private-reply thread is linked to them.
+async function recordInbound(senderId, timestamp) {
+  if (!senderId) return;
+  try {
+    await userStore.recordInteraction(senderId, timestamp);
+    if (await userStore.clearUnreachable(senderId)) {
+      logger.info(`📬 User ${senderId} is reachable again`);
+    }
+    // An answer to a private reply ties the comment thread to the PSID
+    const thread = await userStore.linkPrivateReply(senderId);
+    if (thread) {
+      logger.info(`🔗 Private reply thread for comment ${thread.commentId} linked to ${senderId}`);
+    }
+  } catch (error) {
+    logger.warn(`Could not record interaction for ${senderId}:`, error.message);
+  }
+}
+
+// True while automated replies to the user are paused because a human
+// handles the conversation (see the /handover command). Fails open when
+// the user store cannot be read.
+async function isBotPaused(senderId) {
+  if (!senderId) return false;
+  try {
+    const pause = await userStore.getBotPause(senderId);
+    if (pause) {
+      logger.info(`⏸️ Bot paused for ${senderId} (${pause.reason}), not replying`);
+    }
+    return !!pause;
+  } catch (error) {
+    logger.warn(`Could not check whether the bot is paused for ${senderId}:`, error.message);
+    return false;
+  }
+}
+
+// Mark the user unreachable if a send to them failed because they cannot
+// be messaged. Returns true in that case.
+async function recordDeliveryFailure(senderId, error) {
+  if (!isFacebookApiError(error)) return false;
+  try {
+    if (await userStore.recordDeliveryFailure(senderId, error)) {
+      logger.warn(`🚫 User ${senderId} marked unreachable: ${error.message}`);
+      return true;
+    }
+  } catch (storeError) {
+    logger.warn(`Could not mark ${senderId} unreachable:`, storeError.message);
+  }
+  return false;
+}
+
+// Tell the user that handling their event failed. Skipped when the
+// failure means no message can reach them: the user is unreachable, the
+// token is invalid or the outbound queue refuses sends.
+async function sendErrorReply(senderId, error, text) {
+  if (await recordDeliveryFailure(senderId, error)) return;
+  if (isFacebookApiError(error) && (error.isAuthError || error.refused)) return;
+  try {
+    await fbApi.sendMessage(senderId, text);
+  } catch (replyError) {
+    await recordDeliveryFailure(senderId, replyError);
+  }
+}
+
+// Failures worth another attempt: Graph rate limits, outages and network
+// errors, token errors and sends refused while the outbound queue is
+// paused for one, and a MongoDB user store that cannot be reached. Handlers rethrow these so that the
+// queue retries the job (see runOnce); other failures get an error reply
+// and the event counts as handled.
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+function isRetryableError(error) {
+  if (!error) return false;
+  if (isFacebookApiError(error)) return error.retryable || error.isAuthError || error.refused;
+  return /^Mongo(Network|ServerSelection|NotConnected|Timeout)/.test(error.name || '') ||
+    NETWORK_ERROR_CODES.includes(error.code);
+}
+
 // Handle incoming messages
 async function handleMessage(message, senderId, recipientId, timestamp) {
   try {
@@ -95,9 +185,10 @@ async function handleMessage(message, senderId, recipientId, timestamp) {
     logger.error('Error handling message:', error);
     // Error is logged and the server continues to run
     messageTracker.trackMessage(senderId, 'message', false);
+    if (isRetryableError(error)) throw error;
     
     // Send error message to user
-    await fbApi.sendMessage(senderId, 
+    await sendErrorReply(senderId, error,
       'Sorry, I encountered an error processing your message. Please try again.'
     );
   }
@@ -120,13 +211,17 @@ async function handlePostback(postback, senderId, recipientId, timestamp) {
     // Load postback plugins
     const postbackPlugins = require('../utils/pluginLoader').getPostbackPlugins();
     
-    // Find matching plugin
+    // Find matching plugin. A plugin payload ending in '_' is a prefix:
+    // HELP_CATEGORY_ handles HELP_CATEGORY_FUN, HELP_CATEGORY_GAMES, ...
     for (const plugin of postbackPlugins) {
       if (plugin.payload === payload || 
-          (typeof payload === 'object' && payload.action === plugin.payload)) {
+          (typeof payload === 'object' && payload.action === plugin.payload) ||
+          (typeof payload === 'string' && plugin.payload.endsWith('_') && payload.startsWith(plugin.payload))) {
         
         // Execute plugin
-        await plugin.start(senderId, recipientId, payload);
+        await timePlugin('postbacks', plugin.meta.name, () =>
+          plugin.start(senderId, recipientId, payload)
+        );
         
         // Track successful handling
         messageTracker.trackMessage(senderId, 'postback', true);
@@ -142,6 +237,8 @@ async function handlePostback(postback, senderId, recipientId, timestamp) {
   } catch (error) {
     logger.error('Error handling postback:', error);
     messageTracker.trackMessage(senderId, 'postback', false);
+    if (isRetryableError(error)) throw error;
+    await recordDeliveryFailure(senderId, error);
   }
 }
 
@@ -157,7 +254,9 @@ async function handleComment(commentData, pageId) {
     
     // Try each plugin until one handles the comment
     for (const plugin of commentPlugins) {
-      const handled = await plugin.run(commentData);
+      const handled = await timePlugin('comments', plugin.meta.name, () =>
+        plugin.run(commentData)
+      );
       if (handled) {
         // Track successful handling
         messageTracker.trackMessage(senderId, 'comment', true);
@@ -171,6 +270,542 @@ async function handleComment(commentData, pageId) {
   } catch (error) {
     logger.error('Error handling comment:', error);
     messageTracker.trackMessage(commentData.senderId, 'comment', false);
+    if (isRetryableError(error)) throw error;
+  }
+}
+
+// Execute a job from the durable webhook queue (see utils/jobQueue.js).
+// Throwing here makes the queue retry the job with backoff. The job runs
+// in the context of its entry's page and channel, so configuration, Graph
+// API calls and user records are those of that page, and replies go out
+// on the channel the event came from.
+async function processWebhookJob(job) {
+  const { pageId, event, change, channel = 'facebook' } = job.payload || {};
+  
+  return runWithPage(pageId, () => {
+    switch (job.kind) {
+      case 'messaging':
+        return handleMessagingEvent(event, job.id);
+      case 'standby':
+        return handleStandbyEvent(event);
+      case 'change':
+        return handleFeedChange(change, pageId, job.id);
+      default:
+        throw new Error(`Unknown webhook job kind: ${job.kind}`);
+    }
+  }, channel);
+}
+
+// Get the execution lane and ordering timestamp for a webhook job. Events
+// from one user share a lane keyed by their PSID; for echoes the user is
+// the recipient. Feed changes are keyed by their author.
+function getWebhookJobLane(job) {
+  const { event, change } = job.payload || {};
+  
+  if ((job.kind === 'messaging' || job.kind === 'standby') && event) {
+    const isEcho = event.message && event.message.is_echo;
+    const user = isEcho ? event.recipient : event.sender;
+    return {
+      key: `psid:${(user && user.id) || 'unknown'}`,
+      timestamp: event.timestamp || job.createdAt,
+    };
+  }
+  
+  const value = (change && change.value) || {};
+  const createdTime = Number(value.created_time);
+  return {
+    key: `feed:${(value.from && value.from.id) || 'unknown'}`,
+    // Feed created_time is in seconds
+    timestamp: createdTime ? createdTime * 1000 : job.createdAt,
+  };
+}
+
+// Route a single entry.changes item. Newly added comments keep going to
+// the comment plugins; every feed change is also offered to the feed
+// event plugins as a normalised event. jobId identifies the queue job
+// handling the change, see runOnce.
+async function handleFeedChange(change, pageId, jobId) {
+  if (getCurrentChannel() === 'instagram') {
+    return handleInstagramChange(change, pageId, jobId);
+  }
+  if (change.field !== 'feed') {
+    recordWebhookEvent(`change_${change.field}`);
+    logger.debug(`Unhandled change field: ${change.field}`);
+    return;
+  }
+  
+  const feedEvent = normalizeFeedEvent(change.value || {}, pageId);
+  recordWebhookEvent(`feed_${feedEvent.item || 'unknown'}`);
+  
+  if (feedEvent.item === 'comment' && feedEvent.verb === 'add') {
+    const { commentId } = feedEvent;
+    return runOnce(
+      commentId && `comment ${commentId}`,
+      {
+        isDuplicate: () => messageTracker.isDuplicateComment(commentId, jobId),
+        complete: () => messageTracker.completeComment(commentId),
+        release: () => messageTracker.releaseComment(commentId),
+      },
+      async () => {
+        await handleComment({
+          commentId,
+          postId: feedEvent.postId,
+          senderId: feedEvent.senderId,
+          senderName: feedEvent.senderName,
+          message: feedEvent.message,
+          createdAt: feedEvent.createdAt,
+          channel: 'facebook',
+        }, pageId);
+        await handleFeedEvent(feedEvent);
+      },
+    );
+  }
+  
+  await handleFeedEvent(feedEvent);
+}
+
+// Route a change of the page's Instagram account. New comments, also on
+// live videos, go to the comment plugins in the same shape as page
+// comments; comments by the account itself are skipped so the bot never
+// answers its own replies.
+async function handleInstagramChange(change, pageId, jobId) {
+  if (change.field !== 'comments' && change.field !== 'live_comments') {
+    recordWebhookEvent(`instagram_${change.field}`);
+    logger.debug(`Unhandled Instagram change field: ${change.field}`);
+    return;
+  }
+  recordWebhookEvent('instagram_comment');
+  
+  const value = change.value || {};
+  const from = value.from || {};
+  const commentId = value.id;
+  if (from.id && from.id === String(getConfig().facebook.instagramId || '')) {
+    return;
+  }
+  return runOnce(
+    commentId && `comment ${commentId}`,
+    {
+      isDuplicate: () => messageTracker.isDuplicateComment(commentId, jobId),
+      complete: () => messageTracker.completeComment(commentId),
+      release: () => messageTracker.releaseComment(commentId),
+    },
+    () => handleComment({
+      commentId,
+      postId: value.media && value.media.id,
+      parentId: value.parent_id,
+      senderId: from.id,
+      senderName: from.username,
+      message: value.text || '',
+      channel: 'instagram',
+    }, pageId),
+  );
+}
+
+// Run a handler at most once per event. The event is claimed for the
+// queue job handling it and only marked handled once the handler
+// succeeds; Facebook redeliveries are skipped while it is claimed or
+// handled. If the handler throws, which the message, postback and
+// comment handlers do for retryable failures (see isRetryableError), the
+// claim is released so that the queue's retry of the job goes through. If the process dies instead,
+// the retry of the same job may take over its own claim. Events without
+// an ID (label is empty) are always handled.
+async function runOnce(label, { isDuplicate, complete, release }, handler) {
+  if (!label) {
+    return handler();
+  }
+  if (await isDuplicate()) {
+    logger.info(`⏭️ Skipping duplicate ${label}`);
+    return;
+  }
+  let result;
+  try {
+    result = await handler();
+  } catch (error) {
+    await release();
+    throw error;
+  }
+  await complete();
+  return result;
+}
+
+// Build the normalised event object handed to feed event plugins. The
+// raw webhook value differs per item, so plugins should prefer these
+// fields and fall back to `raw` only for item-specific details.
+function normalizeFeedEvent(value, pageId) {
+  const from = value.from || {};
+  
+  return {
+    pageId,
+    item: value.item,               // comment, reaction, post, status, photo, video, share, ...
+    verb: value.verb,               // add, edited, remove, hide, unhide, ...
+    postId: value.post_id,
+    commentId: value.comment_id,
+    parentId: value.parent_id,
+    senderId: from.id,
+    senderName: from.name,
+    // True for posts, comments and reactions made by the page itself
+    isPageAuthor: !!pageId && from.id === pageId,
+    message: value.message || '',
+    reactionType: value.reaction_type,
+    link: value.link,
+    photoUrl: value.photo,
+    videoId: value.video_id,
+    published: value.published,
+    createdAt: value.created_time || Date.now(),
+    raw: value,
+  };
+}
+
+// Handle feed events (comment edits and removals, reactions, visitor
+// posts, shares, page posts, ...)
+async function handleFeedEvent(feedEvent) {
+  try {
+    const { item, verb, postId, senderId } = feedEvent;
+    
+    logger.info(`📰 Feed ${item}:${verb} on ${postId || 'page'} by ${senderId || 'unknown'}`);
+    
+    const feedPlugins = require('../utils/pluginLoader').getFeedEventPlugins(item, verb);
+    
+    // Try each subscribed plugin until one handles the event
+    for (const plugin of feedPlugins) {
+      const handled = await timePlugin('feedEvents', plugin.meta.name, () =>
+        plugin.run(feedEvent)
+      );
+      if (handled) {
+        messageTracker.trackMessage(senderId, 'feedEvents', true);
+        return;
+      }
+    }
+  } catch (error) {
+    logger.error('Error handling feed event:', error);
+    messageTracker.trackMessage(feedEvent.senderId, 'feedEvents', false);
+  }
+}
+
+// Route a single entry.messaging event to the matching handler. Echoes
+// are checked before regular messages so the bot never answers itself.
+// jobId identifies the queue job handling the event, see runOnce.
+async function handleMessagingEvent(event, jobId) {
+  const senderId = event.sender && event.sender.id;
+  const recipientId = event.recipient && event.recipient.id;
+  const timestamp = event.timestamp || Date.now();
+  const type = getMessagingEventType(event);
+  
+  recordWebhookEvent(type);
+  
+  switch (type) {
+    case 'echo':
+      return handleEcho(event.message, senderId, recipientId, timestamp);
+      
+    case 'message': {
+      const mid = event.message.mid;
+      return runOnce(
+        mid && `message ${mid}`,
+        {
+          isDuplicate: () => messageTracker.isDuplicate(mid, jobId),
+          complete: () => messageTracker.completeMessage(mid),
+          release: () => messageTracker.releaseMessage(mid),
+        },
+        async () => {
+          await recordInbound(senderId, timestamp);
+          if (await isBotPaused(senderId)) return;
+          return handleMessage({ ...event.message, channel: getCurrentChannel() }, senderId, recipientId, timestamp);
+        },
+      );
+    }
+      
+    case 'postback': {
+      const { payload, mid } = event.postback;
+      return runOnce(
+        `postback ${mid || payload}`,
+        {
+          isDuplicate: () => messageTracker.isDuplicatePostback(senderId, payload, timestamp, mid, jobId),
+          complete: () => messageTracker.completePostback(senderId, payload, timestamp, mid),
+          release: () => messageTracker.releasePostback(senderId, payload, timestamp, mid),
+        },
+        async () => {
+          await recordInbound(senderId, timestamp);
+          if (await isBotPaused(senderId)) return;
+          // Get Started taps from an m.me ref link carry the referral here.
+          // A referral plugin's welcome replaces the Get Started reply.
+          if (event.postback.referral &&
+              await handleReferral(event.postback.referral, senderId, recipientId, timestamp)) {
+            return;
+          }
+          return handlePostback(event.postback, senderId, recipientId, timestamp);
+        },
+      );
+    }
+      
+    case 'delivery':
+      return handleDelivery(event.delivery, senderId, recipientId, timestamp);
+    case 'read':
+      return handleRead(event.read, senderId, recipientId, timestamp);
+    case 'reaction':
+      await recordInbound(senderId, timestamp);
+      if (await isBotPaused(senderId)) return;
+      return handleReaction(event.reaction, senderId, recipientId, timestamp);
+    case 'referral':
+      await recordInbound(senderId, timestamp);
+      if (await isBotPaused(senderId)) return;
+      return handleReferral(event.referral, senderId, recipientId, timestamp);
+    case 'optin':
+      await recordInbound(senderId, timestamp);
+      if (await isBotPaused(senderId)) return;
+      return handleOptin(event.optin, senderId, recipientId, timestamp);
+    case 'account_linking':
+      return handleAccountLinking(event.account_linking, senderId, recipientId, timestamp);
+    case 'pass_thread_control':
+    case 'take_thread_control':
+    case 'request_thread_control':
+      return handleThreadControl(type, event[type], senderId);
+      
+    default:
+      logger.debug(`Unhandled messaging event from ${senderId}: ${Object.keys(event).join(', ')}`);
+  }
+}
+
+// Handle thread control changes of the handover protocol. The bot stays
+// paused for a user while another app (e.g. the Page Inbox) owns their
+// thread and resumes once the thread is passed back.
+async function handleThreadControl(type, data = {}, senderId) {
+  try {
+    switch (type) {
+      case 'pass_thread_control':
+        // Only sent to the app that now owns the thread
+        if (await userStore.resumeBot(senderId)) {
+          logger.info(`▶️ Thread of ${senderId} passed back by app ${data.previous_owner_app_id}, bot resumed`);
+        }
+        break;
+      case 'take_thread_control':
+        await userStore.pauseBot(senderId, {
+          reason: 'taken',
+          by: data.new_owner_app_id || null,
+          note: data.metadata,
+        });
+        logger.info(`⏸️ Thread of ${senderId} taken by app ${data.new_owner_app_id}, bot paused`);
+        break;
+      case 'request_thread_control': {
+        config = getConfig();
+        const appId = data.requested_owner_app_id;
+        logger.info(`🙋 App ${appId} requested the thread of ${senderId}`);
+        if (!config.handover || !config.handover.passOnRequest || !appId) break;
+        await userStore.pauseBot(senderId, { reason: 'requested', by: appId, note: data.metadata });
+        try {
+          await fbApi.passThreadControl(senderId, appId, data.metadata);
+        } catch (error) {
+          await userStore.resumeBot(senderId);
+          throw error;
+        }
+        break;
+      }
+    }
+  } catch (error) {
+    logger.error(`Error handling ${type} for ${senderId}:`, error.message);
+  }
+}
+
+// Handle an event from entry.standby: activity in a thread another app
+// owns. Nothing is answered; user activity still counts as an interaction
+// and the user is marked paused, in case the thread left the bot without
+// a take_thread_control event.
+async function handleStandbyEvent(event) {
+  const senderId = event.sender && event.sender.id;
+  const type = getMessagingEventType(event);
+  recordWebhookEvent(`standby_${type}`);
+  if (!['message', 'postback', 'reaction', 'referral', 'optin'].includes(type)) return;
+
+  await recordInbound(senderId, event.timestamp || Date.now());
+  try {
+    if (!(await userStore.getBotPause(senderId))) {
+      await userStore.pauseBot(senderId, { reason: 'standby' });
+      logger.info(`⏸️ ${type} from ${senderId} arrived on standby, bot paused`);
+    }
+  } catch (error) {
+    logger.warn(`Could not pause the bot for ${senderId}:`, error.message);
+  }
+}
+
+// Determine the type of an entry.messaging event
+function getMessagingEventType(event) {
+  if (event.message) {
+    return event.message.is_echo ? 'echo' : 'message';
+  }
+  const types = [
+    'postback', 'delivery', 'read', 'reaction', 'referral', 'optin', 'account_linking',
+    'pass_thread_control', 'take_thread_control', 'request_thread_control',
+  ];
+  return types.find(type => event[type]) || 'unknown';
+}
+
+// Run the plugins of an event type until one reports it handled the event
+async function runEventPlugins(type, eventData) {
+  const plugins = require('../utils/pluginLoader').getEventPlugins(type);
+  
+  for (const plugin of plugins) {
+    const handled = await timePlugin(type, plugin.meta.name, () =>
+      plugin.run(eventData)
+    );
+    if (handled) {
+      messageTracker.trackMessage(eventData.senderId, type, true);
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+// Handle message echoes (messages sent by the page, including our own)
+async function handleEcho(message, senderId, recipientId, timestamp) {
+  try {
+    // For echoes the sender is the page and the recipient is the user
+    const echoData = {
+      pageId: senderId,
+      senderId,
+      recipientId,
+      timestamp,
+      mid: message.mid,
+      text: message.text || '',
+      appId: message.app_id,
+      metadata: message.metadata,
+      attachments: message.attachments || [],
+    };
+    
+    logger.debug(`🔁 Echo to ${recipientId}: ${echoData.text.substring(0, 100)}`);
+    
+    await runEventPlugins('echoes', echoData);
+  } catch (error) {
+    logger.error('Error handling echo:', error);
+    messageTracker.trackMessage(senderId, 'echoes', false);
+  }
+}
+
+// Handle delivery receipts
+async function handleDelivery(delivery, senderId, recipientId, timestamp) {
+  try {
+    const deliveryData = {
+      senderId,
+      recipientId,
+      timestamp,
+      mids: delivery.mids || [],
+      watermark: delivery.watermark,
+    };
+    
+    logger.debug(`📬 Delivery to ${senderId} up to ${delivery.watermark}`);
+    
+    await runEventPlugins('deliveries', deliveryData);
+  } catch (error) {
+    logger.error('Error handling delivery:', error);
+    messageTracker.trackMessage(senderId, 'deliveries', false);
+  }
+}
+
+// Handle read receipts
+async function handleRead(read, senderId, recipientId, timestamp) {
+  try {
+    const readData = {
+      senderId,
+      recipientId,
+      timestamp,
+      watermark: read.watermark,
+    };
+    
+    logger.debug(`👀 Read by ${senderId} up to ${read.watermark}`);
+    
+    await runEventPlugins('reads', readData);
+  } catch (error) {
+    logger.error('Error handling read:', error);
+    messageTracker.trackMessage(senderId, 'reads', false);
+  }
+}
+
+// Handle message reactions
+async function handleReaction(reaction, senderId, recipientId, timestamp) {
+  try {
+    const reactionData = {
+      senderId,
+      recipientId,
+      timestamp,
+      mid: reaction.mid,
+      action: reaction.action, // 'react' or 'unreact'
+      reaction: reaction.reaction,
+      emoji: reaction.emoji,
+    };
+    
+    logger.info(`😀 Reaction from ${senderId}: ${reaction.action} ${reaction.emoji || reaction.reaction || ''}`);
+    
+    await runEventPlugins('reactions', reactionData);
+  } catch (error) {
+    logger.error('Error handling reaction:', error);
+    messageTracker.trackMessage(senderId, 'reactions', false);
+  }
+}
+
+// Handle referrals (m.me ref links, ads, chat plugin, ...). Returns true
+// when a plugin handled the referral.
+async function handleReferral(referral, senderId, recipientId, timestamp) {
+  try {
+    const referralData = {
+      senderId,
+      recipientId,
+      timestamp,
+      ref: referral.ref || '',
+      source: referral.source,
+      type: referral.type,
+      adId: referral.ad_id,
+      refererUri: referral.referer_uri,
+    };
+    
+    logger.info(`🔗 Referral from ${senderId}: ${referralData.source || 'unknown'} ${referralData.ref}`);
+    
+    return await runEventPlugins('referrals', referralData);
+  } catch (error) {
+    logger.error('Error handling referral:', error);
+    messageTracker.trackMessage(senderId, 'referrals', false);
+    return false;
+  }
+}
+
+// Handle opt-ins (checkbox plugin, Send to Messenger, notification requests)
+async function handleOptin(optin, senderId, recipientId, timestamp) {
+  try {
+    const optinData = {
+      senderId,
+      recipientId,
+      timestamp,
+      ref: optin.ref,
+      userRef: optin.user_ref,
+      type: optin.type,
+      payload: optin.payload,
+      notificationMessagesToken: optin.notification_messages_token,
+    };
+    
+    logger.info(`✅ Opt-in from ${senderId || optin.user_ref}: ${optin.type || optin.ref || ''}`);
+    
+    await runEventPlugins('optins', optinData);
+  } catch (error) {
+    logger.error('Error handling opt-in:', error);
+    messageTracker.trackMessage(senderId, 'optins', false);
+  }
+}
+
+// Handle account linking and unlinking
+async function handleAccountLinking(accountLinking, senderId, recipientId, timestamp) {
+  try {
+    const linkingData = {
+      senderId,
+      recipientId,
+      timestamp,
+      status: accountLinking.status, // 'linked' or 'unlinked'
+      authorizationCode: accountLinking.authorization_code,
+    };
+    
+    logger.info(`🔐 Account ${accountLinking.status} for ${senderId}`);
+    
+    await runEventPlugins('accountLinking', linkingData);
+  } catch (error) {
+    logger.error('Error handling account linking:', error);
+    messageTracker.trackMessage(senderId, 'accountLinking', false);
   }
 }
 
@@ -237,7 +872,9 @@ async function handleCommand(commandData, senderId, recipientId) {
       }
       
       // Execute command
-      await plugin.start(senderId, args, commandData.original);
+      await timePlugin('commands', plugin.meta.name, () =>
+        plugin.start(senderId, args, commandData.original)
+      );
       return;
     }
   }
@@ -266,10 +903,40 @@ async function handleUnknownCommand(command, senderId) {
   await fbApi.sendMessage(senderId, helpText);
 }
 
+// State of the dedupe store behind duplicate detection, for /health
+function getDedupeStatus() {
+  return messageTracker.getStoreStatus();
+}
+
+// Release resources held by the handlers during graceful shutdown
+async function close() {
+  await messageTracker.close();
+  await fbApi.close();
+}
+
 module.exports = {
+  close,
+  getDedupeStatus,
+  processWebhookJob,
+  getWebhookJobLane,
+  handleMessagingEvent,
+  handleStandbyEvent,
+  handleThreadControl,
+  getMessagingEventType,
+  isRetryableError,
   handleMessage,
   handlePostback,
   handleComment,
+  handleFeedChange,
+  handleFeedEvent,
+  normalizeFeedEvent,
+  handleEcho,
+  handleDelivery,
+  handleRead,
+  handleReaction,
+  handleReferral,
+  handleOptin,
+  handleAccountLinking,
   handleQuickReply,
   handleAttachments,
   handleCommand,
@@ -15,21 +15,37 @@
 
 const express = require('express');
 const bodyParser = require('body-parser');
-// Removed crypto import and signature verification because the bot must
-// never depend on Facebook App Secret or verify request signatures.
-// Instead, we simply accept all webhook requests. See README for details.
 
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const path = require('path');
 
-const { getConfig, getMissingConfigKeys } = require('./utils/safeConfig');
+const {
+  getConfig,
+  getPageConfig,
+  getInstagramPageConfig,
+  getMissingConfigKeys,
+} = require('./utils/safeConfig');
 const logger = require('./utils/logger');
 const fbApi = require('./utils/fbApi');
 const pluginLoader = require('./utils/pluginLoader');
 const userStore = require('./models/userStore');
-const { setupHealthChecks } = require('./utils/healthMonitor');
+const { healthMonitor, setupHealthChecks } = require('./utils/healthMonitor');
+const { webhookQueue } = require('./utils/jobQueue');
+const metrics = require('./utils/metrics');
+const { senderLanes } = require('./utils/senderLanes');
+// Signature checks only run when facebook.appSecret is configured. Without
+// a secret every webhook request is accepted, as before.
+const {
+  verifySignature,
+  recordResult: recordSignatureResult,
+  getSignatureStats,
+} = require('./utils/webhookSignature');
+const { requireDashboardToken } = require('./utils/dashboardAuth');
+const { tokenMonitor } = require('./utils/tokenMonitor');
+const { getRequiredFields } = require('./utils/webhookSubscriptions');
+const { runWithPage } = require('./utils/pageContext');
 
 // Initialise configuration. It will be reloaded on demand in certain
 // handlers to pick up any changes made on disk while the server is running.
@@ -61,10 +77,17 @@ app.use(
 // Response compression
 app.use(compression());
 
-// Body parsers: do not verify signatures or rely on app secrets. We simply
-// parse incoming JSON and URL encoded bodies. Removing the verify
-// callback ensures the bot does not depend on Facebook App Secret.
-app.use(bodyParser.json({ limit: '5mb' }));
+// Body parsers. The verify callback keeps a copy of the raw JSON body so
+// the webhook route can check X-Hub-Signature-256 when an app secret is
+// configured. Nothing is rejected here; verification happens in the route.
+app.use(
+  bodyParser.json({
+    limit: '5mb',
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Serve static assets for the dashboard. This route works even when the
@@ -73,12 +96,26 @@ app.use('/dashboard', express.static(path.join(__dirname, 'public', 'dashboard')
 
 // Status endpoint providing a JSON overview of the bot's state. Used by the
 // dashboard and external health checks. Always succeeds without throwing.
-app.get('/status', (req, res) => {
+// Page tokens are inspected here when due, which covers serverless mode
+// where no scheduler runs; TOKEN_INVALID means a token was rejected.
+app.get('/status', async (req, res) => {
   // Reload configuration to reflect changes on disk
   config = getConfig();
   const missing = getMissingConfigKeys();
   const callbackUrl = `${req.protocol}://${req.get('host')}${webhookPath}`;
-  const status = missing.length === 0 ? 'READY' : 'SETUP REQUIRED';
+  let tokens = [];
+  try {
+    tokens = await tokenMonitor.checkDue();
+  } catch (err) {
+    logger.error('Error inspecting page tokens:', err.message);
+  }
+  let status = 'READY';
+  if (missing.length > 0) {
+    status = 'SETUP REQUIRED';
+  } else if (tokens.some((token) => token.valid === false)) {
+    status = 'TOKEN_INVALID';
+  }
+  const signatureEnabled = !!(config.facebook && config.facebook.appSecret);
   const pageInfo = {
     id: (config.facebook && config.facebook.pageId) || '',
     name: (config.app && config.app.name) || 'FB Page Bot',
@@ -89,10 +126,144 @@ app.get('/status', (req, res) => {
     callbackUrl,
     verifyToken: (config.facebook && config.facebook.verifyToken) || '',
     page: pageInfo,
+    // Pages of a multi-page setup, without their tokens
+    pages: config.pages.map(page => ({
+      id: page.id,
+      name: page.name,
+      hasToken: !!page.pageAccessToken,
+      instagramId: page.instagramId || null,
+      prefix: page.prefix || null,
+      plugins: page.plugins,
+    })),
+    // Token inspection per page: validity, bound page, scopes, expiry
+    tokens,
+    signature: { enabled: signatureEnabled, ...getSignatureStats() },
+    queue: webhookQueue.getStats(),
+    lanes: senderLanes.getStats(),
+    outbound: fbApi.getQueueStats(),
     lastError: lastRuntimeError,
   });
 });
 
+// Prometheus metrics. Disabled (404) when server.enableMetrics is false.
+app.get('/metrics', async (req, res) => {
+  config = getConfig();
+  if (!config.server || !config.server.enableMetrics) {
+    res.status(404).send('Metrics disabled');
+    return;
+  }
+  try {
+    res.set('Content-Type', metrics.contentType);
+    res.send(await metrics.getMetrics());
+  } catch (err) {
+    logger.error('Error collecting metrics:', err.message);
+    res.status(500).send('Failed to collect metrics');
+  }
+});
+
+// Liveness: the process is up and serving requests
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'alive', uptime: process.uptime() });
+});
+
+// Readiness and detailed health. Checks that are due are run on request,
+// so they are evaluated lazily in serverless mode where no scheduler runs
+// (server.js runs them periodically).
+app.get('/health/ready', async (req, res) => {
+  try {
+    if (app.get('shuttingDown')) {
+      res.status(503).json({ ready: false, shuttingDown: true });
+      return;
+    }
+    await healthMonitor.runHealthChecks();
+    const readiness = healthMonitor.getReadiness();
+    res.status(readiness.ready ? 200 : 503).json(readiness);
+  } catch (err) {
+    logger.error('Error evaluating readiness:', err.message);
+    res.status(503).json({ ready: false, error: err.message });
+  }
+});
+
+app.get('/health', async (req, res) => {
+  try {
+    await healthMonitor.runHealthChecks();
+    const health = healthMonitor.getHealthStatus();
+    const readiness = healthMonitor.getReadiness();
+    const failing = health.healthChecks.some((check) => check.status === 'unhealthy');
+    // A dedupe store working from memory (Redis unreachable) still serves
+    // traffic but misses duplicates handled by other instances
+    const dedupe = require('./handlres/index').getDedupeStatus();
+    if (dedupe.degraded) health.status = 'degraded';
+    res.status(failing || !readiness.ready ? 503 : 200).json({ ...health, dedupe, readiness });
+  } catch (err) {
+    logger.error('Error evaluating health:', err.message);
+    res.status(503).json({ status: 'unhealthy', error: err.message });
+  }
+});
+
+// Run a dashboard route for the page in ?pageId=, or the default page
+// without it. Unknown pages get a 404.
+function forDashboardPage(handler) {
+  return (req, res) => {
+    const pageId = req.query.pageId ? String(req.query.pageId) : null;
+    if (pageId) {
+      const pageConfig = getPageConfig(pageId);
+      if (!pageConfig || String(pageConfig.facebook.pageId) !== pageId) {
+        res.status(404).json({ error: `Unknown page ${pageId}` });
+        return;
+      }
+    }
+    return runWithPage(pageId, () => handler(req, res));
+  };
+}
+
+// Messenger Profile (Get Started, greeting, persistent menu, ice breakers).
+// GET previews the changes between config.messengerProfile and the page,
+// POST pushes them. Both need the dashboard token since the preview shows
+// the page's configuration.
+app.get('/messenger-profile', requireDashboardToken, forDashboardPage(async (req, res) => {
+  try {
+    res.json(await fbApi.syncMessengerProfile({ dryRun: true }));
+  } catch (err) {
+    logger.error('Error previewing messenger profile:', err.message);
+    res.status(502).json({ error: err.message });
+  }
+}));
+
+app.post('/messenger-profile', requireDashboardToken, forDashboardPage(async (req, res) => {
+  try {
+    res.json(await fbApi.syncMessengerProfile());
+  } catch (err) {
+    logger.error('Error pushing messenger profile:', err.message);
+    lastRuntimeError = err.message;
+    res.status(502).json({ error: err.message });
+  }
+}));
+
+// Webhook fields the page is subscribed to, compared with the fields the
+// bot and the page's enabled plugins need. POST subscribes the missing
+// ones.
+app.get('/subscriptions', requireDashboardToken, forDashboardPage(async (req, res) => {
+  try {
+    const required = getRequiredFields(pluginLoader.getEnabledPlugins);
+    res.json(await fbApi.syncSubscribedFields(required, { dryRun: true }));
+  } catch (err) {
+    logger.error('Error checking webhook subscriptions:', err.message);
+    res.status(502).json({ error: err.message });
+  }
+}));
+
+app.post('/subscriptions', requireDashboardToken, forDashboardPage(async (req, res) => {
+  try {
+    const required = getRequiredFields(pluginLoader.getEnabledPlugins);
+    res.json(await fbApi.syncSubscribedFields(required));
+  } catch (err) {
+    logger.error('Error subscribing webhook fields:', err.message);
+    lastRuntimeError = err.message;
+    res.status(502).json({ error: err.message });
+  }
+}));
+
 // Root route: redirect to dashboard for browsers or status for API calls
 app.get('/', (req, res) => {
   const accept = req.headers.accept || '';
@@ -126,86 +297,92 @@ app.get(webhookPath, (req, res) => {
   }
 });
 
-// Webhook event receiver (POST). Always acknowledges receipt immediately.
-app.post(webhookPath, (req, res) => {
-  res.status(200).send('EVENT_RECEIVED');
+// Webhook event receiver (POST). Every event is written to the durable
+// webhook queue before Facebook is acknowledged, then the queue is drained.
+// When an app secret is configured, requests with a missing or invalid
+// signature are rejected with 403 before anything is queued.
+app.post(webhookPath, async (req, res) => {
+  // server.js sets this flag during graceful shutdown. Facebook retries
+  // deliveries that fail, so refusing here loses nothing.
+  if (app.get('shuttingDown')) {
+    res.status(503).set('Retry-After', '30').send('Shutting down');
+    return;
+  }
   // Reload configuration to reflect any runtime changes
   config = getConfig();
-  // Skip processing if the access token is missing
-  if (!config.facebook || !config.facebook.pageAccessToken) {
-    logger.warn('⚠️ Skipping webhook event processing: pageAccessToken is missing');
-    return;
+  const appSecret = (config.facebook && config.facebook.appSecret) || '';
+  if (appSecret) {
+    const result = verifySignature(req.rawBody, req.get('x-hub-signature-256'), appSecret);
+    recordSignatureResult(result);
+    if (!result.valid) {
+      logger.warn(`❌ Rejected webhook request: ${result.reason}`);
+      res.status(403).send('Invalid signature');
+      return;
+    }
   }
   const body = req.body || {};
   try {
-    if (body.object !== 'page') return;
-    // Lazy require of handlers to isolate import errors
-    let handlers;
-    try {
-      handlers = require('./handlres/index');
-    } catch (handlerErr) {
-      logger.error('❌ Failed to load message handlers:', handlerErr.message);
-      return;
-    }
-    const { handleMessage, handlePostback, handleComment } = handlers;
-    // Process each entry asynchronously; errors will be logged
-    body.entry?.forEach((entry) => {
-      // Messaging events (messages and postbacks)
-      entry.messaging?.forEach((event) => {
-        const senderId = event.sender && event.sender.id;
-        const recipientId = event.recipient && event.recipient.id;
-        const timestamp = event.timestamp || Date.now();
-        try {
-          if (event.message) {
-            Promise.resolve(
-              handleMessage(event.message, senderId, recipientId, timestamp),
-            ).catch((err) => {
-              logger.error('Error handling message:', err.message);
-            });
-          } else if (event.postback) {
-            Promise.resolve(
-              handlePostback(event.postback, senderId, recipientId, timestamp),
-            ).catch((err) => {
-              logger.error('Error handling postback:', err.message);
-            });
-          }
-        } catch (err) {
-          logger.error('Error dispatching messaging event:', err.message);
+    // Page webhooks, and the webhooks of the Instagram account linked to
+    // a page (DMs and comments), which are handled for that page
+    const channel = body.object === 'instagram' ? 'instagram' : 'facebook';
+    if (body.object === 'page' || body.object === 'instagram') {
+      body.entry?.forEach((entry) => {
+        // Each entry is handled for its own page; skip pages the bot
+        // does not serve or has no token for
+        const pageConfig = channel === 'instagram'
+          ? getInstagramPageConfig(entry.id)
+          : getPageConfig(entry.id);
+        if (!pageConfig) {
+          const source = channel === 'instagram' ? 'Instagram account' : 'page';
+          logger.warn(`⚠️ Skipping webhook entry for unknown ${source} ${entry.id}`);
+          return;
         }
-      });
-      // Feed changes (comments)
-      entry.changes?.forEach((change) => {
-        const value = change.value || {};
-        if (change.field === 'feed' && value.item === 'comment' && value.verb === 'add') {
-          const commentId = value.comment_id;
-          const postId = value.post_id;
-          const senderId = value.from && value.from.id;
-          const senderName = value.from && value.from.name;
-          const message = value.message || '';
-          const createdAt = value.created_time || Date.now();
-          try {
-            Promise.resolve(
-              handleComment(
-                { commentId, postId, senderId, senderName, message, createdAt },
-                entry.id,
-              ),
-            ).catch((err) => {
-              logger.error('Error handling comment:', err.message);
-            });
-          } catch (err) {
-            logger.error('Error dispatching comment event:', err.message);
-          }
+        if (!pageConfig.facebook.pageAccessToken) {
+          logger.warn(`⚠️ Skipping webhook entry for page ${entry.id}: pageAccessToken is missing`);
+          return;
         }
+        const pageId = channel === 'instagram' ? pageConfig.facebook.pageId : entry.id;
+        // Messaging events (messages, postbacks, echoes, receipts,
+        // reactions, referrals, opt-ins and account linking)
+        entry.messaging?.forEach((event) => {
+          webhookQueue.enqueue('messaging', { pageId, channel, event });
+        });
+        // Events for threads another app owns (handover protocol)
+        entry.standby?.forEach((event) => {
+          webhookQueue.enqueue('standby', { pageId, channel, event });
+        });
+        // Feed changes (comments, reactions, posts, shares, ...) and
+        // Instagram comments
+        entry.changes?.forEach((change) => {
+          webhookQueue.enqueue('change', { pageId, channel, change });
+        });
       });
-    });
+    }
+  } catch (err) {
+    logger.error('Error queueing webhook event:', err.message);
+    lastRuntimeError = err.message;
+  }
+  try {
+    await webhookQueue.flush();
+    res.status(200).send('EVENT_RECEIVED');
   } catch (err) {
-    logger.error('Error processing webhook event:', err.message);
+    // The events are not on disk, so Facebook must deliver them again.
+    // Those queued in memory still run below; the redelivery is then
+    // skipped as a duplicate.
     lastRuntimeError = err.message;
+    res.status(500).send('EVENT_NOT_STORED');
   }
+  // Work through the queue after acknowledging. If the platform freezes
+  // this instance mid-way, the remaining jobs stay on disk and are picked
+  // up by the next drain.
+  webhookQueue.drain().catch((err) => {
+    logger.error('Error draining webhook queue:', err.message);
+    lastRuntimeError = err.message;
+  });
 });
 
 // Asynchronous initialisation. Load the user store, plugins and health checks.
-(async function init() {
+const ready = (async function init() {
   try {
     logger.botStart();
     await userStore
@@ -232,5 +409,34 @@ app.post(webhookPath, (req, res) => {
   }
 })();
 
+// Queued webhook jobs run in per-sender lanes: events from one user are
+// handled one at a time in timestamp order, different users in parallel.
+// The queue orders jobs by the same lane so that a sender's events reach
+// the lanes by timestamp and a retried job is not overtaken by later ones. Jobs wait for initialisation so that
+// no event is handled before the user store and plugins are loaded.
+// Handlers are required lazily to isolate import errors; a failed import
+// fails the job, which is then retried.
+webhookQueue.setProcessor((job) => {
+  let handlers;
+  try {
+    handlers = require('./handlres/index');
+  } catch (handlerErr) {
+    logger.error('❌ Failed to load message handlers:', handlerErr.message);
+    return Promise.reject(handlerErr);
+  }
+  const { key, timestamp } = handlers.getWebhookJobLane(job);
+  return senderLanes.run(key, timestamp, async () => {
+    await ready;
+    return handlers.processWebhookJob(job);
+  });
+}, {
+  getLane: job => require('./handlres/index').getWebhookJobLane(job),
+});
+
+// Pick up jobs left over from a previous instance or a frozen invocation
+ready.then(() => webhookQueue.drain()).catch((err) => {
+  logger.error('Error draining webhook queue:', err.message);
+});
+
 // Export the app for serverless platforms. This file must not call app.listen().
 module.exports = app;
\ No newline at end of file
@@ -8,15 +8,21 @@
  * persistence. The store exposes asynchronous methods for retrieving and
  * updating user records, including game balance, custom prefixes and
  * nicknames.
+ *
+ * When config.json lists several `pages`, each page has its own users:
+ * records are keyed by page ID and PSID, since a PSID is only unique
+ * within one page.
  */
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
 // Load configuration via safeConfig. We do not read config.json directly
 // because it may be missing or invalid. The getConfig() function returns
 // a merged configuration object with sensible defaults.
 const { getConfig } = require('../utils/safeConfig');
+const { timeUserStore } = require('../utils/metrics');
 
 class UserStore {
   constructor() {
@@ -32,9 +38,15 @@ class UserStore {
     const defaultFile = path.join(__dirname, '../data/users.json');
     const tmpFile = path.join(os.tmpdir(), 'users.json');
     this.file = process.env.USER_STORE_FILE || tmpFile;
+    // USER_STORE=memory keeps users in memory only, for tests and the
+    // simulator sandbox (see utils/sandbox.js)
+    this.memoryOnly = process.env.USER_STORE === 'memory';
     this.mongoClient = null;
     this.collection = null;
     this.initialized = false;
+    // Moves UID-keyed records from before `pages` was set to the default
+    // page; started on first use (see migrateLegacyUsers)
+    this.legacyMigration = null;
   }
 
   /**
@@ -45,6 +57,10 @@ class UserStore {
    */
   async init() {
     if (this.initialized) return;
+    if (this.memoryOnly) {
+      this.initialized = true;
+      return;
+    }
     // Reload configuration here in case it changed at runtime
     const currentConfig = getConfig();
     const uri = process.env.MONGODB_URI || (currentConfig.db && currentConfig.db.uri);
@@ -101,6 +117,7 @@ class UserStore {
    * modifications when not using MongoDB.
    */
   async saveToFile() {
+    if (this.memoryOnly) return;
     try {
       fs.writeFileSync(this.file, JSON.stringify(this.users, null, 2));
     } catch (err) {
@@ -108,6 +125,96 @@ class UserStore {
     }
   }
 
+  /**
+   * Name of the active storage backend, used for metrics and health checks.
+   * @returns {string} 'mongodb', 'file', 'memory' or 'uninitialized'
+   */
+  getBackend() {
+    if (this.collection) return 'mongodb';
+    if (this.memoryOnly && this.initialized) return 'memory';
+    return this.initialized ? 'file' : 'uninitialized';
+  }
+
+  /**
+   * Flush pending data and release the MongoDB connection. Called during
+   * graceful shutdown; the store initialises again on next use.
+   */
+  async close() {
+    if (this.mongoClient) {
+      await this.mongoClient.close();
+      this.mongoClient = null;
+      this.collection = null;
+    } else if (this.initialized) {
+      await this.saveToFile();
+    }
+    this.initialized = false;
+    this.legacyMigration = null;
+  }
+
+  /**
+   * Page the user records belong to. With a `pages` array in config.json
+   * users are kept per page (see utils/pageContext.js), so a PSID's
+   * balance on one page is separate from other pages'. Single-page setups
+   * keep plain UIDs.
+   * @returns {string|null} null in single-page setups
+   */
+  getScopePageId() {
+    const currentConfig = getConfig();
+    return currentConfig.pages.length > 0 ? String(currentConfig.facebook.pageId) : null;
+  }
+
+  // Key of a user in the users object: <pageId>:<uid> or the plain UID
+  key(uid) {
+    const pageId = this.getScopePageId();
+    return pageId ? `${pageId}:${uid}` : uid;
+  }
+
+  // MongoDB filter matching a user
+  filter(uid) {
+    const pageId = this.getScopePageId();
+    return pageId ? { pageId, uid } : { uid };
+  }
+
+  /**
+   * Move records kept by plain UID to the default page once `pages` is
+   * configured. Before that the bot served a single page (facebook.pageId,
+   * or the first entry of `pages`), so its users keep their balance,
+   * prefix and nickname there. A UID that already has a record on that
+   * page keeps it and the plain record is left as is.
+   */
+  migrateLegacyUsers() {
+    if (!this.getScopePageId()) return Promise.resolve();
+    if (!this.legacyMigration) this.legacyMigration = this.moveLegacyUsers();
+    return this.legacyMigration;
+  }
+
+  // Does the move for migrateLegacyUsers
+  async moveLegacyUsers() {
+    const pageId = String(getConfig(null).facebook.pageId);
+    let moved = 0;
+    if (this.collection) {
+      const legacy = await this.collection.find({ pageId: { $exists: false } }).toArray();
+      for (const user of legacy) {
+        if (await this.collection.findOne({ pageId, uid: user.uid })) continue;
+        await this.collection.updateOne({ _id: user._id }, { $set: { pageId } });
+        moved += 1;
+      }
+    } else {
+      for (const [key, user] of Object.entries(this.users)) {
+        if (user.pageId || key !== String(user.uid)) continue;
+        const scopedKey = `${pageId}:${user.uid}`;
+        if (this.users[scopedKey]) continue;
+        this.users[scopedKey] = { ...user, pageId };
+        delete this.users[key];
+        moved += 1;
+      }
+      if (moved > 0) await this.saveToFile();
+    }
+    if (moved > 0) {
+      console.log(`[UserStore] Moved ${moved} user record(s) from before multi-page setup to page ${pageId}`);
+    }
+  }
+
   /**
    * Retrieve a user record by their UID. If the user does not exist, a new
    * record is created with default values. When using MongoDB, the record
@@ -118,8 +225,10 @@ class UserStore {
    */
   async getUser(uid) {
     await this.init();
+    await this.migrateLegacyUsers();
+    const pageId = this.getScopePageId();
     if (this.collection) {
-      let user = await this.collection.findOne({ uid });
+      let user = await this.collection.findOne(this.filter(uid));
       if (!user) {
         // When creating a new user, load the current config to determine
         // the global prefix. If config.bot or config.bot.prefix is
@@ -128,6 +237,7 @@ class UserStore {
         const defaultPrefix = (currentConfig.bot && currentConfig.bot.prefix) || '/';
         user = {
           uid,
+          ...(pageId ? { pageId } : {}),
           balance: 0,
           prefix: defaultPrefix,
           nickname: '',
@@ -136,18 +246,20 @@ class UserStore {
       }
       return user;
     }
-    if (!this.users[uid]) {
+    const key = this.key(uid);
+    if (!this.users[key]) {
       const currentConfig = getConfig();
       const defaultPrefix = (currentConfig.bot && currentConfig.bot.prefix) || '/';
-      this.users[uid] = {
+      this.users[key] = {
         uid,
+        ...(pageId ? { pageId } : {}),
         balance: 0,
         prefix: defaultPrefix,
         nickname: '',
       };
       await this.saveToFile();
     }
-    return this.users[uid];
+    return this.users[key];
   }
 
   /**
@@ -160,9 +272,9 @@ class UserStore {
     const user = await this.getUser(uid);
     user.balance = Number(amount) || 0;
     if (this.collection) {
-      await this.collection.updateOne({ uid }, { $set: { balance: user.balance } }, { upsert: true });
+      await this.collection.updateOne(this.filter(uid), { $set: { balance: user.balance } }, { upsert: true });
     } else {
-      this.users[uid] = user;
+      this.users[this.key(uid)] = user;
       await this.saveToFile();
     }
     return user;
@@ -191,9 +303,9 @@ class UserStore {
     const defaultPrefix = (currentConfig.bot && currentConfig.bot.prefix) || '/';
     user.prefix = prefix || defaultPrefix;
     if (this.collection) {
-      await this.collection.updateOne({ uid }, { $set: { prefix: user.prefix } }, { upsert: true });
+      await this.collection.updateOne(this.filter(uid), { $set: { prefix: user.prefix } }, { upsert: true });
     } else {
-      this.users[uid] = user;
+      this.users[this.key(uid)] = user;
       await this.saveToFile();
     }
     return user;
@@ -221,9 +333,9 @@ class UserStore {
     const user = await this.getUser(uid);
     user.nickname = nickname;
     if (this.collection) {
-      await this.collection.updateOne({ uid }, { $set: { nickname: nickname } }, { upsert: true });
+      await this.collection.updateOne(this.filter(uid), { $set: { nickname: nickname } }, { upsert: true });
     } else {
-      this.users[uid] = user;
+      this.users[this.key(uid)] = user;
       await this.saveToFile();
     }
     return user;
@@ -239,12 +351,220 @@ class UserStore {
     return user.nickname;
   }
 
+  /**
+   * Mark a user as unreachable, e.g. after they blocked the page. The
+   * flag is cleared again by clearUnreachable when they next message the
+   * page.
+   * @param {string} uid
+   * @param {string} reason Why messages cannot be delivered
+   * @returns {Promise<Object>} Updated user record
+   */
+  async markUnreachable(uid, reason) {
+    const user = await this.getUser(uid);
+    user.unreachable = { reason: reason || 'unknown', since: new Date().toISOString() };
+    if (this.collection) {
+      await this.collection.updateOne(this.filter(uid), { $set: { unreachable: user.unreachable } }, { upsert: true });
+    } else {
+      this.users[this.key(uid)] = user;
+      await this.saveToFile();
+    }
+    return user;
+  }
+
+  /**
+   * Clear the unreachable flag. Does nothing if the flag is not set.
+   * @param {string} uid
+   * @returns {Promise<boolean>} True if the flag was cleared
+   */
+  async clearUnreachable(uid) {
+    const user = await this.getUser(uid);
+    if (!user.unreachable) return false;
+    delete user.unreachable;
+    if (this.collection) {
+      await this.collection.updateOne(this.filter(uid), { $unset: { unreachable: '' } });
+    } else {
+      this.users[this.key(uid)] = user;
+      await this.saveToFile();
+    }
+    return true;
+  }
+
+  /**
+   * Check whether messages to a user are known to fail.
+   * @param {string} uid
+   * @returns {Promise<boolean>}
+   */
+  async isUnreachable(uid) {
+    const user = await this.getUser(uid);
+    return !!user.unreachable;
+  }
+
+  /**
+   * Record a failed send to a user. Marks the user unreachable when the
+   * error says they cannot be messaged (error 551, subcode 2018108, ...)
+   * and the failed call was addressed to them.
+   * @param {string} uid
+   * @param {Error} error Error thrown by fbApi, normally a FacebookApiError
+   * @returns {Promise<boolean>} True if the user was marked unreachable
+   */
+  async recordDeliveryFailure(uid, error) {
+    if (!uid || !error || !error.isRecipientUnavailable) return false;
+    if (error.recipientId && String(error.recipientId) !== String(uid)) return false;
+    await this.markUnreachable(uid, error.message);
+    return true;
+  }
+
+  /**
+   * Record an inbound interaction (message, postback, reaction, referral
+   * or opt-in). The time opens the Messenger messaging window that
+   * fbApi.sendMessage checks. Older timestamps never move it back.
+   * @param {string} uid
+   * @param {number} [timestamp] Epoch ms of the event, defaults to now
+   * @returns {Promise<Object>} Updated user record
+   */
+  async recordInteraction(uid, timestamp) {
+    const user = await this.getUser(uid);
+    const at = Number(timestamp) || Date.now();
+    if (user.lastInteractionAt && user.lastInteractionAt >= at) return user;
+    user.lastInteractionAt = at;
+    if (this.collection) {
+      await this.collection.updateOne(this.filter(uid), { $set: { lastInteractionAt: at } }, { upsert: true });
+    } else {
+      this.users[this.key(uid)] = user;
+      await this.saveToFile();
+    }
+    return user;
+  }
+
+  /**
+   * Remember the private reply sent to a user for one of their comments.
+   * Only the latest thread is kept.
+   * @param {string} uid PSID returned by the Send API
+   * @param {Object} thread commentId, postId, commenterId, commenterName
+   * @returns {Promise<Object>} Updated user record
+   */
+  async recordPrivateReply(uid, thread) {
+    const user = await this.getUser(uid);
+    user.privateReply = {
+      commentId: thread.commentId,
+      postId: thread.postId || null,
+      commenterId: thread.commenterId || null,
+      commenterName: thread.commenterName || null,
+      sentAt: new Date().toISOString(),
+      linkedAt: null,
+    };
+    if (this.collection) {
+      await this.collection.updateOne(this.filter(uid), { $set: { privateReply: user.privateReply } }, { upsert: true });
+    } else {
+      this.users[this.key(uid)] = user;
+      await this.saveToFile();
+    }
+    return user;
+  }
+
+  /**
+   * Link the user's open private-reply thread to their PSID once they
+   * answer it. The commenter ID from the comment is added to
+   * `commenterIds` so later comments can be matched to this user.
+   * @param {string} uid PSID of the user who answered
+   * @returns {Promise<Object|null>} The thread if it was linked now, null if
+   *   there was no unlinked thread
+   */
+  async linkPrivateReply(uid) {
+    const user = await this.getUser(uid);
+    const thread = user.privateReply;
+    if (!thread || thread.linkedAt) return null;
+    thread.linkedAt = new Date().toISOString();
+    const commenterIds = user.commenterIds || [];
+    if (thread.commenterId && !commenterIds.includes(thread.commenterId)) {
+      commenterIds.push(thread.commenterId);
+    }
+    user.commenterIds = commenterIds;
+    if (this.collection) {
+      await this.collection.updateOne(
+        this.filter(uid),
+        { $set: { privateReply: thread, commenterIds } },
+        { upsert: true },
+      );
+    } else {
+      this.users[this.key(uid)] = user;
+      await this.saveToFile();
+    }
+    return thread;
+  }
+
+  /**
+   * Pause automated replies to a user while a human handles the
+   * conversation. Kept until resumeBot is called.
+   * @param {string} uid
+   * @param {Object} [details] reason (handover, taken, standby), by (admin
+   *   UID or app ID) and note
+   * @returns {Promise<Object>} Updated user record
+   */
+  async pauseBot(uid, details = {}) {
+    const user = await this.getUser(uid);
+    user.botPaused = {
+      reason: details.reason || 'handover',
+      by: details.by || null,
+      note: details.note || null,
+      since: new Date().toISOString(),
+    };
+    if (this.collection) {
+      await this.collection.updateOne(this.filter(uid), { $set: { botPaused: user.botPaused } }, { upsert: true });
+    } else {
+      this.users[this.key(uid)] = user;
+      await this.saveToFile();
+    }
+    return user;
+  }
+
+  /**
+   * Let the bot answer a user again. Does nothing if it was not paused.
+   * @param {string} uid
+   * @returns {Promise<boolean>} True if the bot was paused
+   */
+  async resumeBot(uid) {
+    const user = await this.getUser(uid);
+    if (!user.botPaused) return false;
+    delete user.botPaused;
+    if (this.collection) {
+      await this.collection.updateOne(this.filter(uid), { $unset: { botPaused: '' } });
+    } else {
+      this.users[this.key(uid)] = user;
+      await this.saveToFile();
+    }
+    return true;
+  }
+
+  /**
+   * Get the pause set by pauseBot.
+   * @param {string} uid
+   * @returns {Promise<Object|null>} { reason, by, note, since }, null if
+   *   the bot answers the user
+   */
+  async getBotPause(uid) {
+    const user = await this.getUser(uid);
+    return user.botPaused || null;
+  }
+
+  /**
+   * Time of the user's last inbound interaction.
+   * @param {string} uid
+   * @returns {Promise<number|null>} Epoch ms, null if none was recorded
+   */
+  async getLastInteraction(uid) {
+    const user = await this.getUser(uid);
+    return user.lastInteractionAt || null;
+  }
+
   /**
    * Retrieve a list of the top users ranked by balance. Returns an array
    * of user objects sorted in descending order by their `balance`. If
    * MongoDB is available, the sorting and limiting is performed in the
    * database. Otherwise, it operates on the in‑memory users object.
    *
+   * In multi-page setups only the current page's users are ranked.
+   *
    * @param {number} limit The maximum number of users to return
    * @returns {Promise<Array<Object>>}
    */
@@ -252,17 +572,20 @@ class UserStore {
     await this.init();
     // Default to 10 if an invalid limit is provided
     const max = Number(limit) > 0 ? Number(limit) : 10;
+    await this.migrateLegacyUsers();
+    const pageId = this.getScopePageId();
     if (this.collection) {
       // Fetch top users from MongoDB, sorted by balance descending
       const cursor = this.collection
-        .find({})
+        .find(pageId ? { pageId } : {})
         .sort({ balance: -1 })
         .limit(max);
       const users = await cursor.toArray();
       return users;
     }
     // Local file fallback
-    const allUsers = Object.values(this.users);
+    const allUsers = Object.values(this.users)
+      .filter(user => (pageId ? user.pageId === pageId : !user.pageId));
     // Sort by balance descending, then by uid to break ties
     const sorted = allUsers.sort((a, b) => {
       if (b.balance !== a.balance) return b.balance - a.balance;
@@ -272,4 +595,38 @@ class UserStore {
   }
 }
 
+// Record the latency of every public operation for /metrics. Wrapping the
+// prototype keeps the methods above free of timing code.
+const TIMED_OPERATIONS = [
+  'getUser',
+  'setBalance',
+  'getBalance',
+  'setPrefix',
+  'getPrefix',
+  'setNickname',
+  'getNickname',
+  'getTopUsers',
+  'markUnreachable',
+  'clearUnreachable',
+  'isUnreachable',
+  'recordInteraction',
+  'getLastInteraction',
+  'recordPrivateReply',
+  'linkPrivateReply',
+  'pauseBot',
+  'resumeBot',
+  'getBotPause',
+];
+// Operations called by another one (getBalance calls getUser) are part of
+// the outer operation's time and not recorded again.
+const timedCall = new AsyncLocalStorage();
+for (const operation of TIMED_OPERATIONS) {
+  const original = UserStore.prototype[operation];
+  UserStore.prototype[operation] = function(...args) {
+    if (timedCall.getStore()) return original.apply(this, args);
+    return timedCall.run(operation, () =>
+      timeUserStore(operation, this.getBackend(), () => original.apply(this, args)));
+  };
+}
+
 module.exports = new UserStore();
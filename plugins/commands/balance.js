@@ -19,6 +19,7 @@ module.exports = {
     usage: '/balance',
     credits: 'IRFAN + Assistant',
     dependencies: [],
+    channels: ['facebook', 'instagram'],
   },
 
   start: async function(senderId, args) {
@@ -0,0 +1,128 @@
+/**
+ * Handover Command Plugin
+ * Hands a user's conversation to a human agent and back to the bot.
+ *
+ * Usage:
+ *   /handover <uid> [note]   pause the bot and pass the thread to the
+ *                            Page Inbox (config.handover.targetAppId)
+ *   /handover resume <uid>   take the thread back and let the bot reply
+ *   /handover status <uid>   show whether the bot is paused and who owns
+ *                            the thread
+ *
+ * While the bot is paused for a user, none of their messages, postbacks,
+ * reactions or referrals get an automated reply. The pause also ends when
+ * the agent's app passes the thread back (pass_thread_control).
+ *
+ * The command is in the admin category, so the handler only runs it for
+ * users whose UID is listed in config.security.adminUIDs.
+ */
+
+const fbApi = require('../../utils/fbApi');
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/safeConfig');
+const userStore = require('../../models/userStore');
+
+const USAGE = '⚠️ Usage: /handover <uid> [note] | /handover resume <uid> | /handover status <uid>';
+
+async function handOver(senderId, uid, note, config) {
+  const handover = config.handover || {};
+  if (!handover.targetAppId) {
+    await fbApi.sendMessage(senderId, '❌ No handover target app is configured (handover.targetAppId).');
+    return;
+  }
+  if (await userStore.getBotPause(uid)) {
+    await fbApi.sendMessage(senderId, `ℹ️ The bot is already paused for ${uid}.`);
+    return;
+  }
+  if (handover.userMessage) {
+    try {
+      // The admin may hand over a thread that has been quiet for a while
+      await fbApi.sendMessage(uid, handover.userMessage, 'text', { humanAgent: true });
+    } catch (error) {
+      logger.warn(`Could not tell ${uid} about the handover:`, error.message);
+    }
+  }
+  await userStore.pauseBot(uid, { reason: 'handover', by: senderId, note });
+  try {
+    await fbApi.passThreadControl(uid, handover.targetAppId, note);
+  } catch (error) {
+    // The pause alone keeps the bot quiet; agents can still answer from
+    // the Page Inbox
+    await fbApi.sendMessage(senderId,
+      `⏸️ Bot paused for ${uid}, but the thread could not be passed to app ${handover.targetAppId}: ${error.message}`);
+    return;
+  }
+  await fbApi.sendMessage(senderId,
+    `⏸️ Conversation with ${uid} handed to app ${handover.targetAppId}. The bot stays quiet until /handover resume ${uid}.`);
+}
+
+async function resume(senderId, uid) {
+  try {
+    await fbApi.takeThreadControl(uid, `Resumed by ${senderId}`);
+  } catch (error) {
+    // Usually the bot already owns the thread
+    logger.warn(`Could not take thread control for ${uid}:`, error.message);
+  }
+  const wasPaused = await userStore.resumeBot(uid);
+  await fbApi.sendMessage(senderId, wasPaused
+    ? `▶️ The bot answers ${uid} again.`
+    : `ℹ️ The bot was not paused for ${uid}.`);
+}
+
+async function status(senderId, uid, config) {
+  const pause = await userStore.getBotPause(uid);
+  let owner;
+  try {
+    owner = await fbApi.getThreadOwner(uid);
+  } catch (error) {
+    owner = `unknown (${error.message})`;
+  }
+  const appId = config.facebook && config.facebook.appId;
+  const lines = [
+    `👤 User ${uid}`,
+    pause
+      ? `⏸️ Bot paused since ${pause.since} (${pause.reason}${pause.by ? ` by ${pause.by}` : ''})`
+      : '▶️ Bot active',
+  ];
+  if (pause && pause.note) lines.push(`📝 ${pause.note}`);
+  lines.push(`🧵 Thread owner: ${owner || 'none'}${appId && owner === String(appId) ? ' (this bot)' : ''}`);
+  await fbApi.sendMessage(senderId, lines.join('\n'));
+}
+
+module.exports = {
+  config: {
+    name: 'handover',
+    aliases: ['human'],
+    description: 'Hand a conversation to a human agent (admin only)',
+    category: 'admin',
+    usage: '/handover <uid> [note] | resume <uid> | status <uid>',
+    credits: 'IRFAN',
+    dependencies: [],
+    // Thread control is part of the Messenger handover protocol
+    channels: ['facebook'],
+  },
+
+  start: async function(senderId, args) {
+    try {
+      const config = getConfig();
+      if (!args || args.length === 0) {
+        await fbApi.sendMessage(senderId, USAGE);
+        return;
+      }
+      const action = args[0].toLowerCase();
+      if (action === 'resume' || action === 'status') {
+        if (!args[1]) {
+          await fbApi.sendMessage(senderId, USAGE);
+          return;
+        }
+        if (action === 'resume') await resume(senderId, args[1]);
+        else await status(senderId, args[1], config);
+        return;
+      }
+      await handOver(senderId, args[0], args.slice(1).join(' '), config);
+    } catch (error) {
+      logger.error('Error in handover command:', error);
+      await fbApi.sendMessage(senderId, '⚠️ Failed to update the handover. Please try again.');
+    }
+  },
+};
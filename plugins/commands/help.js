@@ -16,6 +16,7 @@ const fbApi = require('../../utils/fbApi');
 // will be used. This allows the help command to display the correct
 // prefix per user.
 const userStore = require('../../models/userStore');
+const { MessageBuilder, Button } = require('../../utils/messageBuilder');
 
 module.exports = {
   config: {
@@ -26,6 +27,7 @@ module.exports = {
     usage: '/help [command]',
     credits: 'IRFAN',
     dependencies: [],
+    channels: ['facebook', 'instagram'],
   },
 
   start: async function(senderId, args, originalMessage) {
@@ -52,7 +54,8 @@ module.exports = {
 • *Credits*: ${plugin.config.credits}
           `.trim();
           
-          await fbApi.sendMessage(senderId, details);
+          await fbApi.sendMessage(senderId, MessageBuilder.buttons(details)
+            .addButton(Button.postback('📋 Help Menu', 'HELP_MENU')));
           return;
         } else {
           await fbApi.sendMessage(senderId, 
@@ -96,23 +99,17 @@ module.exports = {
       helpMessage += `⚡ *Bot Version*: ${(config.app && config.app.version) || '1.0.0'}\n`;
       helpMessage += `👨‍💻 *Author*: ${(config.app && config.app.author) || 'Unknown'}`;
       
-      // Add quick replies for categories
-      const quickReplies = Object.keys(commandsByCategory).map(category => ({
-        content_type: 'text',
-        title: category.charAt(0).toUpperCase() + category.slice(1),
-        payload: `HELP_CATEGORY_${category.toUpperCase()}`,
-      }));
-      
-      // Add all commands quick reply
-      quickReplies.push({
-        content_type: 'text',
-        title: '📋 All Commands',
-        payload: 'HELP_ALL_COMMANDS',
-      });
-      
-      await fbApi.sendMessage(senderId, helpMessage, 'quick_replies', {
-        quickReplies,
-      });
+      // Add quick replies for categories, then one for all commands
+      const menu = MessageBuilder.text(helpMessage);
+      for (const category of Object.keys(commandsByCategory)) {
+        menu.quickReply(
+          category.charAt(0).toUpperCase() + category.slice(1),
+          `HELP_CATEGORY_${category.toUpperCase()}`,
+        );
+      }
+      menu.quickReply('📋 All Commands', 'HELP_ALL_COMMANDS');
+
+      await fbApi.sendMessage(senderId, menu);
       
     } catch (error) {
       console.error('Error in help command:', error);
@@ -11,6 +11,7 @@
 
 const fbApi = require('../../utils/fbApi');
 const userStore = require('../../models/userStore');
+const { escapeMarkup } = require('../../utils/messageFormat');
 
 module.exports = {
   config: {
@@ -21,6 +22,7 @@ module.exports = {
     usage: '/leaderboard [limit]',
     credits: 'IRFAN + Assistant',
     dependencies: [],
+    channels: ['facebook', 'instagram'],
   },
 
   start: async function(senderId, args) {
@@ -36,7 +38,8 @@ module.exports = {
       let message = '🏆 *Leaderboard*\n\n';
       topUsers.forEach((user, index) => {
         const rank = index + 1;
-        const nickname = user.nickname || '(no nick)';
+        // Nicknames are user input; keep any * or ` in them literal
+        const nickname = user.nickname ? escapeMarkup(user.nickname) : '(no nick)';
         const uid = user.uid;
         message += `${rank}. ${nickname} (UID: ${uid}) – ${user.balance}\n`;
       });
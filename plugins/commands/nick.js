@@ -22,6 +22,7 @@ module.exports = {
     usage: '/nick [nickname]',
     credits: 'IRFAN + Assistant',
     dependencies: [],
+    channels: ['facebook', 'instagram'],
   },
 
   start: async function(senderId, args) {
@@ -18,6 +18,7 @@ module.exports = {
     usage: '/ping',
     credits: 'OpenAI Assistant',
     dependencies: [],
+    channels: ['facebook', 'instagram'],
   },
   /**
    * Respond to a ping command with bot status information.
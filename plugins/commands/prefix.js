@@ -25,6 +25,7 @@ module.exports = {
     usage: '/prefix [newPrefix]',
     credits: 'IRFAN + Assistant',
     dependencies: [],
+    channels: ['facebook', 'instagram'],
   },
 
   /**
@@ -28,6 +28,7 @@ module.exports = {
     usage: '/quote',
     credits: 'OpenAI Assistant',
     dependencies: [],
+    channels: ['facebook', 'instagram'],
   },
   /**
    * Start the quote command. Selects a quote at random and sends it to the user.
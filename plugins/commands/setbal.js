@@ -27,6 +27,8 @@ module.exports = {
     usage: '/setbal <uid> <amount>',
     credits: 'IRFAN + Assistant',
     dependencies: [],
+    // adminUIDs are Messenger PSIDs
+    channels: ['facebook'],
   },
 
   start: async function(senderId, args) {
@@ -55,10 +57,20 @@ module.exports = {
       // Optionally notify the target user if they are not the admin
       if (targetUid !== senderId) {
         try {
-          await fbApi.sendMessage(targetUid, `💰 Your game balance has been updated to ${amount}.`);
+          // The user may not have messaged the page in the last 24 hours,
+          // so send as a tagged account update
+          await fbApi.sendMessage(targetUid, `💰 Your game balance has been updated to ${amount}.`, 'text', {
+            messagingType: 'MESSAGE_TAG',
+            tag: 'ACCOUNT_UPDATE',
+          });
         } catch (notifyErr) {
-          // Fail silently if the user cannot be notified (e.g. hasn't started chat)
-          console.warn('Could not notify user of balance update:', notifyErr.message);
+          // The balance is already updated. If the user blocked the page
+          // or cannot be messaged, remember that and tell the admin.
+          if (await userStore.recordDeliveryFailure(targetUid, notifyErr)) {
+            await fbApi.sendMessage(senderId, `ℹ️ User ${targetUid} could not be notified: they cannot receive messages from the page.`);
+          } else {
+            console.warn('Could not notify user of balance update:', notifyErr.message);
+          }
         }
       }
     } catch (error) {
@@ -10,6 +10,7 @@ const logger = require('../../utils/logger');
 
 module.exports = {
   name: 'DM Plugin',
+  channels: ['facebook', 'instagram'],
   keywords: ['inbox', 'dm', 'message me', 'check inbox', 'pm'],
   
   run: async function(commentData) {
@@ -28,13 +29,10 @@ module.exports = {
       
       logger.info(`💬 DM plugin triggered by ${senderName} (${senderId})`);
       
-      // Send public reply
-      await fbApi.replyToComment(commentId, 
-        `Hi ${senderName}! I've sent you a private message. Please check your inbox.`
-      );
-      
-      // Send private message with quick replies
-      const dmMessage = `Hi ${senderName}! 👋\n\nThanks for your interest! How can I help you today?`;
+      // Send a private reply with quick replies. Messenger allows one per
+      // comment, so everything goes into a single message.
+      const dmMessage = `Hi ${senderName}! 👋\n\nThanks for your interest! How can I help you today? ` +
+        'Feel free to ask any questions or use the quick replies below to get started!';
       
       const quickReplies = [
         {
@@ -59,13 +57,14 @@ module.exports = {
         },
       ];
       
-      await fbApi.sendMessage(senderId, dmMessage, 'quick_replies', {
+      await fbApi.sendPrivateReply(commentId, dmMessage, 'quick_replies', {
         quickReplies,
+        comment: commentData,
       });
       
-      // Send follow-up message
-      await fbApi.sendMessage(senderId,
-        'Feel free to ask any questions or use the quick replies above to get started!'
+      // Send public reply once the private message is out
+      await fbApi.replyToComment(commentId, 
+        `Hi ${senderName}! I've sent you a private message. Please check your inbox.`
       );
       
       logger.info(`✅ DM sent to ${senderName} (${senderId})`);
@@ -74,15 +73,9 @@ module.exports = {
     } catch (error) {
       logger.error('Error in DM comment plugin:', error);
       
-      // Try to send error notification to admin
-      try {
-        await fbApi.sendMessage(commentData.senderId,
-          'Sorry, I encountered an error sending you a message. Please try again later.'
-        );
-      } catch (e) {
-        // Ignore secondary error
-      }
-      
+      // The commenter cannot be messaged by the page or the comment
+      // already had its private reply. There is no other way to reach
+      // them in Messenger, so leave the comment to other plugins.
       return false; // Not handled successfully
     }
   },
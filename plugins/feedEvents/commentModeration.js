@@ -0,0 +1,57 @@
+/**
+ * Comment Moderation Feed Plugin
+ * Hides visitor comments that contain blocked words, both when they are
+ * first posted and when they are later edited to include one. Comments
+ * written by the page itself are never touched. The word list is empty
+ * by default, so the plugin does nothing until words are added.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const fbApi = require('../../utils/fbApi');
+const logger = require('../../utils/logger');
+
+module.exports = {
+  name: 'Comment Moderation',
+  // Feed events only come from the page feed
+  channels: ['facebook'],
+
+  // Feed item/verb pairs this plugin wants to receive
+  events: [
+    { item: 'comment', verb: 'add' },
+    { item: 'comment', verb: 'edited' },
+  ],
+
+  // Case-insensitive words that cause a comment to be hidden
+  blockedWords: [],
+
+  /**
+   * Hide the comment if its text contains a blocked word.
+   *
+   * @param {Object} feedEvent - Normalised feed event from handlres/index.js.
+   * @param {string} feedEvent.commentId - ID of the comment.
+   * @param {string} feedEvent.senderName - Name of the commenter.
+   * @param {string} feedEvent.message - Current comment text.
+   * @param {boolean} feedEvent.isPageAuthor - Whether the page wrote it.
+   * @returns {Promise<boolean>} Whether the plugin handled the event.
+   */
+  run: async function(feedEvent) {
+    try {
+      const { commentId, senderName, message, isPageAuthor, verb } = feedEvent;
+      if (isPageAuthor || this.blockedWords.length === 0) {
+        return false;
+      }
+      const lower = message.toLowerCase();
+      const blocked = this.blockedWords.find(word => lower.includes(word.toLowerCase()));
+      if (!blocked) {
+        return false;
+      }
+      await fbApi.hideComment(commentId);
+      logger.info(`🙈 Hid ${verb === 'edited' ? 'edited ' : ''}comment ${commentId} by ${senderName}`);
+      return true;
+    } catch (error) {
+      logger.error('Error in comment moderation plugin:', error);
+      return false;
+    }
+  },
+};
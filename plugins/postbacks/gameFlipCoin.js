@@ -12,6 +12,7 @@ module.exports = {
   // Unique payload identifier for this game. When the user triggers a postback
   // with this payload, the start function will run.
   payload: 'GAME_FLIP_COIN',
+  channels: ['facebook', 'instagram'],
 
   /**
    * Start the coin flip game. This function chooses a random outcome
@@ -14,6 +14,7 @@ module.exports = {
   // Unique payload identifier for the RPS game. The plugin loader will match
   // this when the postback payload's action equals 'GAME_RPS'.
   payload: 'GAME_RPS',
+  channels: ['facebook', 'instagram'],
 
   /**
    * Start the rock–paper–scissors game.
@@ -0,0 +1,40 @@
+/**
+ * Help All Commands Postback Plugin
+ * Lists every available command with its usage for the HELP_ALL_COMMANDS
+ * quick reply of the help menu and the `help` referral welcome
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const fbApi = require('../../utils/fbApi');
+
+module.exports = {
+  payload: 'HELP_ALL_COMMANDS',
+  channels: ['facebook', 'instagram'],
+
+  start: async function(senderId, recipientId, payload) {
+    try {
+      const commandPlugins = require('../../utils/pluginLoader').getCommandPlugins();
+      if (commandPlugins.length === 0) {
+        await fbApi.sendMessage(senderId, 'No commands are available right now.');
+        return;
+      }
+
+      let message = '📋 *All Commands*\n\n';
+      commandPlugins.forEach(plugin => {
+        const cmd = plugin.config;
+        message += `• *${cmd.name}* - ${cmd.description}\n`;
+        message += `  Usage: \`${cmd.usage}\`\n\n`;
+      });
+
+      message += '📝 Use `/help [command]` for detailed information';
+
+      await fbApi.sendMessage(senderId, message);
+    } catch (error) {
+      console.error('Error in help all commands postback:', error);
+      await fbApi.sendMessage(senderId,
+        'Sorry, I encountered an error listing the commands.'
+      );
+    }
+  },
+};
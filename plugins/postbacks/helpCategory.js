@@ -9,6 +9,7 @@ const fbApi = require('../../utils/fbApi');
 
 module.exports = {
   payload: 'HELP_CATEGORY_', // Prefix for category payloads
+  channels: ['facebook', 'instagram'],
   
   start: async function(senderId, recipientId, payload) {
     try {
@@ -0,0 +1,31 @@
+/**
+ * Help Menu Postback Plugin
+ * Shows the help menu for the HELP_MENU payload used by the Get Started
+ * button, the persistent menu, ice breakers and comment DM quick replies
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const fbApi = require('../../utils/fbApi');
+
+module.exports = {
+  payload: 'HELP_MENU',
+  channels: ['facebook', 'instagram'],
+
+  start: async function(senderId, recipientId, payload) {
+    try {
+      const commandPlugins = require('../../utils/pluginLoader').getCommandPlugins();
+      const help = commandPlugins.find(plugin => plugin.config.name === 'help');
+      if (!help) {
+        await fbApi.sendMessage(senderId, 'Send /help to see the available commands.');
+        return;
+      }
+      await help.start(senderId, [], null);
+    } catch (error) {
+      console.error('Error in help menu postback:', error);
+      await fbApi.sendMessage(senderId,
+        'Sorry, I encountered an error showing the help menu.'
+      );
+    }
+  },
+};
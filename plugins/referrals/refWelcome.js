@@ -0,0 +1,61 @@
+/**
+ * Referral Welcome Plugin
+ * Greets users who open the conversation through an m.me ref link, such
+ * as https://m.me/<page>?ref=games, and points them at the matching
+ * feature. Referrals without a known ref are left for other plugins.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const fbApi = require('../../utils/fbApi');
+const logger = require('../../utils/logger');
+
+module.exports = {
+  name: 'Referral Welcome',
+  // m.me links open Messenger
+  channels: ['facebook'],
+
+  // Map of ref values to welcome messages and quick replies
+  refs: {
+    games: {
+      text: '🎲 Welcome! Pick a game to get started:',
+      quickReplies: [
+        { content_type: 'text', title: '🪙 Flip Coin', payload: 'GAME_FLIP_COIN' },
+        { content_type: 'text', title: '✊✋✌️ RPS', payload: 'GAME_RPS' },
+      ],
+    },
+    help: {
+      text: '👋 Welcome! Here is what I can do:',
+      quickReplies: [
+        { content_type: 'text', title: '📋 All Commands', payload: 'HELP_ALL_COMMANDS' },
+      ],
+    },
+  },
+
+  /**
+   * Send the welcome message configured for the referral's ref.
+   *
+   * @param {Object} referralData - Normalised referral event.
+   * @param {string} referralData.senderId - PSID of the user.
+   * @param {string} referralData.ref - The ref parameter of the link.
+   * @param {string} referralData.source - Referral source, e.g. SHORTLINK.
+   * @returns {Promise<boolean>} Whether the plugin handled the referral.
+   */
+  run: async function(referralData) {
+    try {
+      const { senderId, ref } = referralData;
+      const welcome = this.refs[String(ref).toLowerCase()];
+      if (!welcome) {
+        return false;
+      }
+      await fbApi.sendMessage(senderId, welcome.text, 'quick_replies', {
+        quickReplies: welcome.quickReplies,
+      });
+      logger.info(`✅ Referral welcome "${ref}" sent to ${senderId}`);
+      return true;
+    } catch (error) {
+      logger.error('Error in referral welcome plugin:', error);
+      return false;
+    }
+  },
+};
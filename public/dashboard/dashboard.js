@@ -13,7 +13,70 @@
   const callbackUrlEl = document.getElementById('callbackUrl');
   const verifyTokenEl = document.getElementById('verifyToken');
   const missingListEl = document.getElementById('missingList');
+  const signatureStatusEl = document.getElementById('signatureStatus');
+  const tokenStatusEl = document.getElementById('tokenStatus');
+  const tokenProblemsEl = document.getElementById('tokenProblems');
+  const queueDepthEl = document.getElementById('queueDepth');
+  const failedJobsEl = document.getElementById('failedJobs');
+  const outboundQueueEl = document.getElementById('outboundQueue');
   const copyBtn = document.getElementById('copyCallback');
+  const profileStatusEl = document.getElementById('profileStatus');
+  const profileChangesEl = document.getElementById('profileChanges');
+  const previewProfileBtn = document.getElementById('previewProfile');
+  const pushProfileBtn = document.getElementById('pushProfile');
+  const subscriptionStatusEl = document.getElementById('subscriptionStatus');
+  const subscriptionFieldsEl = document.getElementById('subscriptionFields');
+  const checkSubscriptionsBtn = document.getElementById('checkSubscriptions');
+  const subscribeFieldsBtn = document.getElementById('subscribeFields');
+  const actionPageRowEl = document.getElementById('actionPageRow');
+  const actionPageEl = document.getElementById('actionPage');
+
+  // Page token inspection: validity, expiry and missing permissions
+  function describeExpiry(token) {
+    if (token.expiresAt === 0) return 'never expires';
+    if (!token.expiresAt) return 'expiry unknown';
+    const days = Math.floor((token.expiresAt - Date.now()) / 86400000);
+    return `expires ${new Date(token.expiresAt).toLocaleDateString()} (${days} days)`;
+  }
+
+  function renderTokens(tokens) {
+    tokenProblemsEl.innerHTML = '';
+    if (tokens.length === 0) {
+      tokenStatusEl.textContent = 'No token configured';
+      tokenStatusEl.style.color = '';
+      return;
+    }
+    const invalid = tokens.filter((token) => token.valid === false);
+    const unchecked = tokens.filter((token) => token.valid === null);
+    const missingScopes = tokens.some((token) => (token.missingScopes || []).length > 0);
+    if (invalid.length > 0) {
+      tokenStatusEl.textContent = `Invalid for ${invalid.length} page(s)`;
+    } else if (unchecked.length === tokens.length) {
+      tokenStatusEl.textContent = 'Not checked yet';
+    } else {
+      tokenStatusEl.textContent = tokens.length === 1
+        ? `Valid, ${describeExpiry(tokens[0])}`
+        : `Valid for ${tokens.length - unchecked.length} page(s)`;
+    }
+    tokenStatusEl.style.color = invalid.length > 0 ? '#dc3545' : missingScopes ? '#d39e00' : '';
+    tokens.forEach((token) => {
+      const page = token.pageName || token.pageId || 'default page';
+      const lines = [...(token.problems || [])];
+      if ((token.missingScopes || []).length > 0) {
+        lines.push(`Missing permissions: ${token.missingScopes.join(', ')}`);
+      }
+      if (token.scopes === null && token.valid) {
+        lines.push('Permissions unknown: set facebook.appId and appSecret to inspect them');
+      }
+      if (tokens.length > 1 && token.valid) lines.push(describeExpiry(token));
+      if (token.checkError) lines.push(`Last check failed: ${token.checkError}`);
+      lines.forEach((line) => {
+        const li = document.createElement('li');
+        li.textContent = tokens.length > 1 ? `${page}: ${line}` : line;
+        tokenProblemsEl.appendChild(li);
+      });
+    });
+  }
 
   async function updateDashboard() {
     try {
@@ -34,6 +97,15 @@
       } else {
         botStatusEl.classList.add('setup');
       }
+      // Webhook signature verification (opt-in via facebook.appSecret)
+      const signature = data.signature || {};
+      if (signature.enabled) {
+        signatureStatusEl.textContent = `Enabled (${signature.rejected || 0} rejected)`;
+      } else {
+        signatureStatusEl.textContent = 'Disabled (no app secret)';
+      }
+      renderTokens(data.tokens || []);
+      renderPages(data.pages || []);
       // Callback URL and verify token
       callbackUrlEl.textContent = data.callbackUrl || '–';
       verifyTokenEl.textContent = data.verifyToken || '–';
@@ -52,6 +124,48 @@
           missingListEl.appendChild(li);
         });
       }
+      // Durable webhook queue: pending depth and dead-lettered jobs
+      const queue = data.queue || {};
+      queueDepthEl.textContent =
+        `${queue.depth || 0} pending, ${queue.inFlight || 0} running, ${queue.processed || 0} processed`;
+      failedJobsEl.innerHTML = '';
+      const deadLetters = queue.deadLetters || [];
+      if (deadLetters.length === 0) {
+        const li = document.createElement('li');
+        li.textContent = 'None';
+        li.style.color = '#28a745';
+        failedJobsEl.appendChild(li);
+      } else {
+        deadLetters.forEach((job) => {
+          const li = document.createElement('li');
+          const failedAt = job.failedAt ? new Date(job.failedAt).toLocaleString() : '';
+          li.textContent = `${job.kind} · ${job.attempts} attempts · ${job.lastError || 'unknown error'} ${failedAt}`;
+          failedJobsEl.appendChild(li);
+        });
+        if (queue.failed > deadLetters.length) {
+          const li = document.createElement('li');
+          li.textContent = `…and ${queue.failed - deadLetters.length} more`;
+          failedJobsEl.appendChild(li);
+        }
+      }
+      // Outbound Graph API queue: pending calls and any pause or backoff
+      const outbound = data.outbound || {};
+      const pageStates = Object.values(outbound.pages || {});
+      let outboundState = 'sending normally';
+      const paused = pageStates.find((page) => page.state === 'paused');
+      const blocked = pageStates.find((page) => page.state === 'blocked');
+      const throttled = pageStates.find((page) => page.state === 'throttled');
+      if (paused) {
+        outboundState = `paused, token error: ${paused.authError}`;
+      } else if (blocked) {
+        outboundState = `messages blocked until ${new Date(blocked.blockedUntil).toLocaleTimeString()} (spam block)`;
+      } else if (throttled) {
+        outboundState = `rate limited until ${new Date(throttled.throttledUntil).toLocaleTimeString()}`;
+      }
+      outboundQueueEl.textContent =
+        `${outbound.pending || 0} pending, ${outbound.active || 0} sending, ` +
+        `${outbound.sent || 0} sent, ${outbound.failed || 0} failed · ${outboundState}`;
+      outboundQueueEl.style.color = paused || blocked ? '#dc3545' : throttled ? '#d39e00' : '';
     } catch (err) {
       console.error('Dashboard update error:', err);
     }
@@ -74,7 +188,153 @@
       });
   });
 
+  // Pages of a multi-page setup; the profile and webhook field actions
+  // run for the selected one
+  function renderPages(pages) {
+    actionPageRowEl.hidden = pages.length === 0;
+    const selected = actionPageEl.value;
+    const ids = pages.map((page) => page.id);
+    if (ids.join(',') === Array.from(actionPageEl.options).map((option) => option.value).join(',')) return;
+    actionPageEl.innerHTML = '';
+    pages.forEach((page) => {
+      const option = document.createElement('option');
+      option.value = page.id;
+      option.textContent = page.name ? `${page.name} (${page.id})` : page.id;
+      actionPageEl.appendChild(option);
+    });
+    if (ids.includes(selected)) actionPageEl.value = selected;
+  }
+
+  function withPage(url) {
+    const pageId = actionPageRowEl.hidden ? '' : actionPageEl.value;
+    return pageId ? `${url}?pageId=${encodeURIComponent(pageId)}` : url;
+  }
+
+  // Page actions and previews send security.dashboardToken when the
+  // server asks for it. The token is kept for this browser tab; requests
+  // made without a click do not prompt for it.
+  async function dashboardRequest(url, { method = 'GET', prompt = true } = {}) {
+    const headers = {};
+    const token = sessionStorage.getItem('dashboardToken');
+    if (token) headers['X-Dashboard-Token'] = token;
+    let res = await fetch(url, { method, headers });
+    if (res.status === 401 && prompt) {
+      const entered = window.prompt('Dashboard token (security.dashboardToken):');
+      if (!entered) return res;
+      sessionStorage.setItem('dashboardToken', entered);
+      res = await fetch(url, { method, headers: { 'X-Dashboard-Token': entered } });
+    }
+    return res;
+  }
+
+  function describeProfileValue(field, value) {
+    if (!value) return 'none';
+    if (field === 'get_started') return value.payload;
+    return value
+      .map((entry) => {
+        if (field === 'greeting') return `${entry.locale}: "${entry.text}"`;
+        const items = (entry.call_to_actions || []).map((item) => item.title || item.question);
+        return `${entry.locale}: ${items.join(', ')}`;
+      })
+      .join(' · ');
+  }
+
+  // Show the differences between config.messengerProfile and the page
+  function renderProfile(data) {
+    profileChangesEl.innerHTML = '';
+    const changes = data.changes || [];
+    const errors = data.errors || [];
+    if (data.applied) {
+      profileStatusEl.textContent = `Pushed ${changes.length} change(s)`;
+    } else if (changes.length === 0) {
+      profileStatusEl.textContent = 'Page is up to date';
+    } else {
+      profileStatusEl.textContent = `${changes.length} change(s) to push`;
+    }
+    changes.forEach((change) => {
+      const li = document.createElement('li');
+      li.textContent = change.action === 'remove'
+        ? `Remove ${change.field}`
+        : `Set ${change.field}: ${describeProfileValue(change.field, change.to)}`;
+      profileChangesEl.appendChild(li);
+    });
+    errors.forEach((error) => {
+      const li = document.createElement('li');
+      li.textContent = `Config error, not synced: ${error}`;
+      li.style.color = '#dc3545';
+      profileChangesEl.appendChild(li);
+    });
+  }
+
+  async function runProfileAction(push) {
+    profileStatusEl.textContent = push ? 'Pushing…' : 'Loading…';
+    try {
+      const res = await dashboardRequest(withPage('/messenger-profile'), { method: push ? 'POST' : 'GET' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      renderProfile(data);
+    } catch (err) {
+      profileStatusEl.textContent = `Failed: ${err.message}`;
+    }
+  }
+
+  previewProfileBtn.addEventListener('click', () => runProfileAction(false));
+  pushProfileBtn.addEventListener('click', () => {
+    if (window.confirm('Push the Messenger Profile from config.json to the page?')) {
+      runProfileAction(true);
+    }
+  });
+
+  // Compare the page's webhook fields with the ones the plugins need
+  function renderSubscriptions(data) {
+    subscriptionFieldsEl.innerHTML = '';
+    const missing = data.missing || [];
+    if (data.applied) {
+      subscriptionStatusEl.textContent = 'Subscribed the missing fields';
+    } else if (missing.length === 0) {
+      subscriptionStatusEl.textContent = 'All needed fields subscribed';
+    } else {
+      subscriptionStatusEl.textContent = `${missing.length} field(s) missing`;
+    }
+    missing.forEach((entry) => {
+      const li = document.createElement('li');
+      li.textContent = `Missing ${entry.field} (${entry.reasons.join(', ')})`;
+      li.style.color = '#dc3545';
+      subscriptionFieldsEl.appendChild(li);
+    });
+    const li = document.createElement('li');
+    li.textContent = `Subscribed: ${(data.subscribed || []).join(', ') || 'none'}`;
+    li.style.color = missing.length === 0 ? '#28a745' : '';
+    subscriptionFieldsEl.appendChild(li);
+    if ((data.extra || []).length > 0) {
+      const extra = document.createElement('li');
+      extra.textContent = `Not used by the bot: ${data.extra.join(', ')}`;
+      subscriptionFieldsEl.appendChild(extra);
+    }
+  }
+
+  async function runSubscriptionAction(subscribe, prompt = true) {
+    subscriptionStatusEl.textContent = subscribe ? 'Subscribing…' : 'Loading…';
+    try {
+      const res = await dashboardRequest(withPage('/subscriptions'), { method: subscribe ? 'POST' : 'GET', prompt });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      renderSubscriptions(data);
+    } catch (err) {
+      subscriptionStatusEl.textContent = `Failed: ${err.message}`;
+    }
+  }
+
+  checkSubscriptionsBtn.addEventListener('click', () => runSubscriptionAction(false));
+  subscribeFieldsBtn.addEventListener('click', () => runSubscriptionAction(true));
+  actionPageEl.addEventListener('change', () => {
+    profileChangesEl.innerHTML = '';
+    profileStatusEl.textContent = '–';
+    runSubscriptionAction(false, false);
+  });
+
   // Initial load and periodic refresh
   updateDashboard();
+  runSubscriptionAction(false, false);
   setInterval(updateDashboard, 5000);
 })();
\ No newline at end of file
@@ -6,20 +6,129 @@
  * serverless app from `index.js` and calls `listen()` on the configured
  * port and host. Errors are caught and logged instead of crashing the
  * process.
+ *
+ * Unlike serverless deployments, which drain the webhook queue and
+ * evaluate health checks on request, a long-lived server also polls the
+ * queue so that retries with backoff run on schedule, and runs the health
+ * checks and page token inspection periodically.
+ *
+ * On SIGTERM or SIGINT the server shuts down gracefully: it stops
+ * accepting webhooks, gives in-flight handlers up to
+ * `server.shutdownGracePeriodMs` to finish, flushes the user store, closes
+ * plugin watchers and database connections, then exits. Events that did
+ * not finish in time stay in the durable webhook queue and are processed
+ * after the restart.
  */
 
 const app = require('./index');
+const { webhookQueue } = require('./utils/jobQueue');
+const { senderLanes } = require('./utils/senderLanes');
+const { healthMonitor } = require('./utils/healthMonitor');
+const { tokenMonitor } = require('./utils/tokenMonitor');
+const pluginLoader = require('./utils/pluginLoader');
+const userStore = require('./models/userStore');
+const logger = require('./utils/logger');
 const { getConfig } = require('./utils/safeConfig');
 const config = getConfig();
 
 // Determine the host and port from configuration or environment
 const port = process.env.PORT || (config.server && config.server.port) || 3000;
 const host = (config.server && config.server.host) || '0.0.0.0';
+const gracePeriodMs = (config.server && config.server.shutdownGracePeriodMs) || 10000;
+
+// Exit codes: 0 clean shutdown, 1 shutdown errors or grace period exceeded
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+
+let server = null;
+let shuttingDown = false;
 
 try {
-  app.listen(port, host, () => {
+  server = app.listen(port, host, () => {
     console.log(`🚀 Server listening on http://${host}:${port}`);
+    webhookQueue.start();
+    if (config.server && config.server.enableHealthCheck) {
+      healthMonitor.startScheduler(config.server.healthCheckIntervalMs);
+    }
+    if (config.tokenCheck.enabled) {
+      tokenMonitor.start(config.tokenCheck.intervalMs);
+    }
   });
 } catch (err) {
   console.error('Failed to start server:', err);
-}
\ No newline at end of file
+}
+
+// Resolve with true once `promise` settles, or false after `ms`
+function waitFor(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), ms);
+  });
+  return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run one shutdown step, logging instead of aborting on failure
+async function runStep(name, step) {
+  try {
+    await step();
+    logger.info(`✅ Shutdown: ${name}`);
+    return true;
+  } catch (err) {
+    logger.error(`❌ Shutdown: ${name} failed:`, err.message);
+    return false;
+  }
+}
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warn(`⚠️ Received ${signal} again, forcing exit`);
+    process.exit(EXIT_ERROR);
+  }
+  shuttingDown = true;
+  logger.info(`🛑 Received ${signal}, shutting down (grace period ${gracePeriodMs}ms)`);
+  let clean = true;
+
+  // 1. Stop accepting webhooks. New deliveries get a 503 and are retried
+  // by Facebook; the listener stops taking new connections.
+  app.set('shuttingDown', true);
+  webhookQueue.stop();
+  healthMonitor.stopScheduler();
+  tokenMonitor.stop();
+  const serverClosed = server
+    ? new Promise((resolve) => server.close(resolve))
+    : Promise.resolve();
+  if (server && server.closeIdleConnections) {
+    server.closeIdleConnections();
+  }
+
+  // 2. Let in-flight handler work finish. Jobs still running after the
+  // grace period remain in the durable queue and are retried on restart.
+  const drained = await waitFor(senderLanes.onIdle(), gracePeriodMs);
+  if (drained) {
+    logger.info('✅ Shutdown: in-flight events finished');
+  } else {
+    const { active, queued } = senderLanes.getStats();
+    logger.warn(`⚠️ Shutdown: ${active + queued} event(s) unfinished, left in the webhook queue`);
+    clean = false;
+  }
+  clean = (await runStep('webhook queue written', () => webhookQueue.flush())) && clean;
+
+  // 3. Flush the JSON user store and close the MongoDB connection
+  clean = (await runStep('user store closed', () => userStore.close())) && clean;
+
+  // 4. Close plugin watchers and the dedupe store connection
+  clean = (await runStep('plugin watchers closed', () => pluginLoader.cleanup())) && clean;
+  clean = (await runStep('handlers closed', () => require('./handlres/index').close())) && clean;
+
+  // Remaining keep-alive connections are dropped once the work is done
+  if (server && server.closeAllConnections) {
+    server.closeAllConnections();
+  }
+  await waitFor(serverClosed, 1000);
+
+  logger.info(`👋 Shutdown complete${clean ? '' : ' with errors'}`);
+  process.exit(clean ? EXIT_OK : EXIT_ERROR);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,312 @@
+/**
+ * simulator.js (conversation simulator)
+ *
+ * Interactive command line tool for talking to the bot without Messenger.
+ * You pick a fake PSID, type messages, tap quick replies and buttons and
+ * post comments. Each action is sent to the Express app from `index.js`
+ * as a properly shaped webhook, so it goes through the same queue,
+ * lanes, handlers and plugins as real traffic.
+ *
+ * The bot's Graph API calls go to the local mock in
+ * `utils/mockGraphServer.js` and are printed as they happen, with quick
+ * replies, buttons and generic templates rendered as text.
+ *
+ * The simulator runs against a throwaway copy of config.json in a temp
+ * directory with its own user store, queue and dedupe state, so nothing
+ * it does touches the real bot data or the real page.
+ *
+ *   npm run simulate -- [--psid <id>] [--verbose]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createSandbox, waitForIdle } = require('./utils/sandbox');
+
+const HELP = `
+Type a message to send it to the bot. Simulator commands start with ':'
+  :user <psid>          switch to another user (new PSID if omitted)
+  :qr <n>               tap quick reply n of the last bot message
+  :tap <n>              tap button n of the last bot message
+  :postback <payload>   send a raw postback payload
+  :comment <text>       comment on a page post as the current user
+  :help                 show this help
+  :quit                 exit
+`;
+
+function parseArgs(argv) {
+  const options = { psid: null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--psid') options.psid = argv[++i];
+    if (argv[i] === '--verbose') options.verbose = true;
+  }
+  return options;
+}
+
+function createPsid() {
+  return String(Math.floor(1e15 + Math.random() * 9e15));
+}
+
+// Load the project's config.json as the base for the sandbox
+function loadProjectConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'config.json'), 'utf8'));
+  } catch (err) {
+    // Run with defaults when there is no usable config.json
+    return {};
+  }
+}
+
+// Render buttons with running numbers so they can be tapped with :tap
+function renderButtons(buttons, actions, indent) {
+  return (buttons || []).map((button) => {
+    actions.buttons.push(button);
+    const number = actions.buttons.length;
+    switch (button.type) {
+      case 'web_url':
+        return `${indent}[${number}] ${button.title} → ${button.url}`;
+      case 'phone_number':
+        return `${indent}[${number}] ${button.title} ☎ ${button.payload}`;
+      case 'element_share':
+        return `${indent}[${number}] Share`;
+      default:
+        return `${indent}[${number}] ${button.title}`;
+    }
+  });
+}
+
+/**
+ * Render a Send API message as text lines and collect its quick replies
+ * and buttons.
+ *
+ * @param {Object} message The `message` field of a /me/messages call
+ * @returns {{lines: Array<string>, actions: {quickReplies: Array, buttons: Array}}}
+ */
+function renderMessage(message) {
+  const lines = [];
+  const actions = { quickReplies: [], buttons: [] };
+
+  if (message.text) {
+    lines.push(...message.text.split('\n'));
+  }
+
+  const attachment = message.attachment;
+  if (attachment && attachment.type === 'template') {
+    const payload = attachment.payload || {};
+    switch (payload.template_type) {
+      case 'button':
+        lines.push(...String(payload.text || '').split('\n'));
+        lines.push(...renderButtons(payload.buttons, actions, '  '));
+        break;
+      case 'generic':
+        (payload.elements || []).forEach((element) => {
+          lines.push(`▸ ${element.title}`);
+          if (element.subtitle) lines.push(`  ${element.subtitle}`);
+          if (element.image_url) lines.push(`  🖼  ${element.image_url}`);
+          lines.push(...renderButtons(element.buttons, actions, '  '));
+        });
+        break;
+      case 'media': {
+        const element = (payload.elements || [])[0] || {};
+        lines.push(`[${element.media_type}] ${element.url || element.attachment_id || ''}`.trim());
+        lines.push(...renderButtons(element.buttons, actions, '  '));
+        break;
+      }
+      case 'receipt':
+        lines.push(`🧾 Receipt ${payload.order_number} for ${payload.recipient_name}`);
+        (payload.elements || []).forEach((element) => {
+          lines.push(`  ${element.quantity || 1} × ${element.title}  ${element.price} ${payload.currency}`);
+        });
+        if (payload.summary) lines.push(`  Total: ${payload.summary.total_cost} ${payload.currency}`);
+        break;
+      case 'coupon':
+        lines.push(`🎟  ${payload.title}`);
+        if (payload.subtitle) lines.push(`  ${payload.subtitle}`);
+        if (payload.coupon_code) lines.push(`  Code: ${payload.coupon_code}`);
+        if (payload.coupon_url) lines.push(`  ${payload.coupon_url}`);
+        break;
+      default:
+        lines.push(`[${payload.template_type} template]`);
+        lines.push(...renderButtons(payload.buttons, actions, '  '));
+    }
+  } else if (attachment) {
+    const payload = attachment.payload || {};
+    lines.push(`[${attachment.type}] ${payload.url || payload.attachment_id || ''}`.trim());
+  }
+
+  if (Array.isArray(message.quick_replies) && message.quick_replies.length > 0) {
+    actions.quickReplies = message.quick_replies;
+    const replies = message.quick_replies.map((reply, index) =>
+      `(${index + 1}) ${reply.title || reply.content_type}`);
+    lines.push(`  ${replies.join('  ')}`);
+  }
+
+  return { lines, actions };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const sandbox = createSandbox({
+    baseConfig: loadProjectConfig(),
+    config: { logging: { level: options.verbose ? 'info' : 'warn' } },
+  });
+  const { config } = sandbox;
+  const pageId = config.facebook.pageId;
+  const appSecret = config.facebook.appSecret || '';
+  const webhookPath = (config.server && config.server.webhookPath) || '/webhook';
+
+  // Start the mock before the app so fbApi picks up its URL
+  const { createMockGraphServer } = require('./utils/mockGraphServer');
+  const mock = createMockGraphServer({ pageId });
+  process.env.FB_GRAPH_API_URL = await mock.listen();
+
+  const axios = require('axios');
+  const app = require('./index');
+  const { signPayload } = require('./utils/webhookSignature');
+  const factory = require('./utils/webhookFactory');
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const webhookUrl = `http://127.0.0.1:${server.address().port}${webhookPath}`;
+
+  let psid = options.psid || createPsid();
+  // Quick replies and buttons of the last message sent to each user
+  const lastActions = new Map();
+
+  mock.on('call', (call) => {
+    if (call.status >= 400) {
+      const error = (call.response && call.response.error) || {};
+      console.log(`  ✖ ${call.method} ${call.path} failed: ${error.message || call.status}`);
+      return;
+    }
+    const params = call.params || {};
+    if (call.path === '/me/messages') {
+      const target = params.recipient || {};
+      // Private replies are addressed to a comment; show them as messages
+      // to the comment's author
+      const recipient = target.id || mock.commentAuthors.get(String(target.comment_id)) || target.comment_id || '?';
+      const to = (recipient === psid ? '' : ` → ${recipient}`) +
+        (target.comment_id ? ` (private reply to comment ${target.comment_id})` : '');
+      if (params.sender_action) {
+        if (params.sender_action === 'typing_on') console.log(`  … typing${to}`);
+        if (params.sender_action === 'mark_seen') console.log(`  ✓ seen${to}`);
+        return;
+      }
+      const { lines, actions } = renderMessage(params.message || {});
+      lastActions.set(recipient, actions);
+      console.log(`🤖 Bot${to}:`);
+      lines.forEach(line => console.log(`   ${line}`));
+      return;
+    }
+    if (/^\/[^/]+\/comments$/.test(call.path) && call.method === 'POST') {
+      console.log(`💬 Bot replied to comment ${call.path.split('/')[1]}: ${params.message || ''}`);
+      return;
+    }
+    console.log(`  → ${call.method} ${call.path}`);
+  });
+
+  async function deliver(events) {
+    const body = JSON.stringify(factory.createPageWebhook(pageId, events));
+    const headers = { 'Content-Type': 'application/json' };
+    if (appSecret) {
+      headers['X-Hub-Signature-256'] = signPayload(body, appSecret);
+    }
+    const response = await axios.post(webhookUrl, body, { headers, validateStatus: () => true });
+    if (response.status !== 200) {
+      console.log(`  ✖ Webhook rejected with ${response.status}: ${response.data}`);
+      return;
+    }
+    if (!(await waitForIdle())) {
+      console.log('  ⏱  Still processing, continuing');
+    }
+  }
+
+  function sendText(text, quickReplyPayload) {
+    return deliver({
+      messaging: [factory.createMessageEvent(psid, pageId, text, { quickReplyPayload })],
+    });
+  }
+
+  async function runCommand(command, arg) {
+    const actions = lastActions.get(psid) || { quickReplies: [], buttons: [] };
+    switch (command) {
+      case 'user':
+        psid = arg || createPsid();
+        console.log(`👤 Now chatting as ${psid}`);
+        return;
+      case 'qr': {
+        const reply = actions.quickReplies[Number(arg) - 1];
+        if (!reply) return console.log('  No such quick reply on the last message');
+        console.log(`👆 ${reply.title || reply.content_type}`);
+        return sendText(reply.title || '', reply.payload);
+      }
+      case 'tap': {
+        const button = actions.buttons[Number(arg) - 1];
+        if (!button) return console.log('  No such button on the last message');
+        if (button.type !== 'postback') {
+          return console.log(`  Opens ${button.url || button.payload || button.type} outside the chat`);
+        }
+        console.log(`👆 ${button.title}`);
+        return deliver({
+          messaging: [factory.createPostbackEvent(psid, pageId, button.payload, { title: button.title })],
+        });
+      }
+      case 'postback':
+        if (!arg) return console.log('  Usage: :postback <payload>');
+        return deliver({ messaging: [factory.createPostbackEvent(psid, pageId, arg)] });
+      case 'comment': {
+        if (!arg) return console.log('  Usage: :comment <text>');
+        const change = factory.createCommentChange(psid, pageId, arg);
+        mock.registerComment(change.value.comment_id, psid);
+        return deliver({ changes: [change] });
+      }
+      case 'help':
+        return console.log(HELP);
+      default:
+        return console.log(`  Unknown simulator command :${command}, try :help`);
+    }
+  }
+
+  async function shutdown() {
+    server.close();
+    if (server.closeAllConnections) server.closeAllConnections();
+    await mock.close();
+    await require('./utils/pluginLoader').cleanup().catch(() => {});
+    sandbox.cleanup();
+    process.exit(0);
+  }
+
+  console.log(`🧪 Conversation simulator for page ${pageId}${appSecret ? ' (signed webhooks)' : ''}`);
+  console.log(`👤 Chatting as ${psid}. Type :help for commands.`);
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+  rl.setPrompt('you> ');
+  rl.prompt();
+  for await (const line of rl) {
+    const input = line.trim();
+    if (input === ':quit' || input === ':exit') break;
+    try {
+      if (input.startsWith(':')) {
+        const [command, ...rest] = input.slice(1).split(' ');
+        await runCommand(command, rest.join(' ').trim());
+      } else if (input) {
+        await sendText(input);
+      }
+    } catch (err) {
+      console.log(`  ✖ ${err.message}`);
+    }
+    rl.prompt();
+  }
+  rl.close();
+  await shutdown();
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('Simulator failed:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { renderMessage };
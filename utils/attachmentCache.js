@@ -0,0 +1,140 @@
+/**
+ * Attachment Cache
+ * Reusable Messenger attachment IDs keyed by URL or file hash
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Files and URLs uploaded through /me/message_attachments get an
+ * attachment_id that can be sent any number of times. FacebookAPI keeps
+ * those IDs here so an image sent by a game or a broadcast is uploaded
+ * once and then referenced by ID.
+ *
+ * Entries are kept in a JSON file in the OS temp dir by default. The
+ * ATTACHMENT_CACHE_FILE environment variable or `attachments.cacheFile`
+ * choose another file; ATTACHMENT_CACHE=memory keeps them in memory only.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { getConfig } = require('./safeConfig');
+
+class AttachmentCache {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] JSON file to persist to, none for memory only
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.type = this.file ? 'file' : 'memory';
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.load();
+  }
+
+  load() {
+    if (!this.file) return;
+    try {
+      if (fs.existsSync(this.file)) {
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf-8') || '{}');
+        this.entries = new Map(Object.entries(data));
+      }
+    } catch (err) {
+      logger.warn(`⚠️ Failed to load attachment cache ${this.file}: ${err.message}`);
+      this.entries = new Map();
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+    try {
+      const tmpFile = `${this.file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(this.entries)));
+      fs.renameSync(tmpFile, this.file);
+    } catch (err) {
+      logger.warn(`⚠️ Failed to save attachment cache ${this.file}: ${err.message}`);
+    }
+  }
+
+  /**
+   * @param {string} key See keyForUrl and keyForFile
+   * @returns {Object|null} { attachmentId, type, source, createdAt }
+   */
+  get(key) {
+    const entry = this.entries.get(key) || null;
+    if (entry) this.hits++;
+    else this.misses++;
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.set(key, { ...entry, createdAt: new Date().toISOString() });
+    this.save();
+  }
+
+  delete(key) {
+    if (this.entries.delete(key)) this.save();
+  }
+
+  clear() {
+    this.entries.clear();
+    this.save();
+  }
+
+  getStats() {
+    return { type: this.type, size: this.entries.size, hits: this.hits, misses: this.misses };
+  }
+}
+
+/**
+ * Cache key for an attachment uploaded from a URL.
+ * @param {string} type image, audio, video or file
+ * @param {string} url
+ * @returns {string}
+ */
+function keyForUrl(type, url) {
+  return `${type}:url:${url}`;
+}
+
+/**
+ * Cache key for an uploaded local file, based on its SHA-256 so renamed
+ * copies share one upload and edited files are uploaded again.
+ * @param {string} type image, audio, video or file
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+function keyForFile(type, filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(`${type}:sha256:${hash.digest('hex')}`));
+  });
+}
+
+/**
+ * Create the cache selected by the environment and configuration.
+ * @returns {AttachmentCache}
+ */
+function createAttachmentCache() {
+  if (process.env.ATTACHMENT_CACHE === 'memory') {
+    return new AttachmentCache();
+  }
+  const config = getConfig();
+  const attachments = config.attachments || {};
+  return new AttachmentCache({
+    file: process.env.ATTACHMENT_CACHE_FILE || attachments.cacheFile ||
+      path.join(os.tmpdir(), 'attachment-cache.json'),
+  });
+}
+
+module.exports = {
+  AttachmentCache,
+  createAttachmentCache,
+  keyForUrl,
+  keyForFile,
+};
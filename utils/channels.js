@@ -0,0 +1,105 @@
+/**
+ * Channels
+ * The platforms the bot receives events from and what differs between them
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Events come from the page itself ('facebook': Messenger and the page
+ * feed) or from the Instagram professional account linked to the page
+ * ('instagram': Instagram DMs and comments). Both are handled by the same
+ * handlers; messages and comments carry a `channel` field and the channel
+ * of the event being handled is available from getCurrentChannel() in
+ * utils/pageContext.js, which fbApi uses to pick the matching endpoints.
+ *
+ * Plugins declare the channels they work on, in `config.channels` for
+ * commands and `channels` for other plugins:
+ *
+ *   channels: ['facebook', 'instagram']
+ *
+ * Plugins without a declaration only run for 'facebook', since they were
+ * written for Messenger features Instagram may lack.
+ */
+
+const { LIMITS, MessageValidationError } = require('./messageBuilder');
+
+const CHANNELS = ['facebook', 'instagram'];
+const DEFAULT_CHANNELS = ['facebook'];
+
+// Longest text message per channel
+const TEXT_LIMITS = {
+  facebook: LIMITS.TEXT_LENGTH,
+  instagram: 1000,
+};
+
+/**
+ * Channels a plugin declares support for.
+ *
+ * @param {Object} plugin
+ * @returns {Array<string>}
+ */
+function getPluginChannels(plugin) {
+  const channels = plugin.channels || (plugin.config && plugin.config.channels);
+  return Array.isArray(channels) && channels.length > 0 ? channels : DEFAULT_CHANNELS;
+}
+
+function supportsChannel(plugin, channel) {
+  return getPluginChannels(plugin).includes(channel);
+}
+
+// A button of a button template as a line of text
+function describeButton(button) {
+  if (button.type === 'web_url') return `${button.title}: ${button.url}`;
+  if (button.type === 'phone_number') return `${button.title}: ${button.payload}`;
+  return null;
+}
+
+/**
+ * Adapt a Send API message to a channel. Instagram has no button
+ * template: its text is sent with the postback buttons as quick replies,
+ * which the handlers treat like postbacks, and other buttons as lines of
+ * text. Templates Instagram cannot show at all are refused.
+ *
+ * @param {Object} message Send API message
+ * @param {string} channel
+ * @returns {Object} The message to send
+ * @throws {MessageValidationError} For templates the channel lacks
+ */
+function adaptMessage(message, channel) {
+  if (channel !== 'instagram' || !message || !message.attachment ||
+      message.attachment.type !== 'template') {
+    return message;
+  }
+  const payload = message.attachment.payload || {};
+  switch (payload.template_type) {
+    case 'generic':
+      return message;
+    case 'button': {
+      const buttons = payload.buttons || [];
+      const lines = buttons.map(describeButton).filter(Boolean);
+      const quickReplies = [
+        ...buttons
+          .filter(button => button.type === 'postback')
+          .map(button => ({ content_type: 'text', title: button.title, payload: button.payload })),
+        ...(message.quick_replies || []),
+      ];
+      return {
+        text: [payload.text, ...lines].join('\n'),
+        ...(quickReplies.length > 0 ? { quick_replies: quickReplies } : {}),
+      };
+    }
+    default:
+      throw new MessageValidationError(
+        `The ${payload.template_type} template is not supported on Instagram`,
+        { code: 'INVALID_VALUE', field: 'attachment.payload.template_type' },
+      );
+  }
+}
+
+module.exports = {
+  CHANNELS,
+  DEFAULT_CHANNELS,
+  TEXT_LIMITS,
+  getPluginChannels,
+  supportsChannel,
+  adaptMessage,
+};
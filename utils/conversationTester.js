@@ -0,0 +1,421 @@
+/**
+ * Conversation Tester
+ * Scripted conversations for testing plugins from jest
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Drives the bot through its real dispatch path: webhooks are posted to
+ * the Express app with supertest and go through the queue, sender lanes,
+ * handlers and plugins exactly like production traffic. Outgoing Graph
+ * API calls are answered in-process by the mock Graph server through a
+ * stub axios adapter on fbApi, so nothing touches the network, and every
+ * call is recorded for assertions. Users live in an in-memory store and
+ * the configuration is an isolated sandbox copy.
+ *
+ * Example:
+ *
+ *   const { createConversationTester } = require('../utils/conversationTester');
+ *
+ *   let bot;
+ *   beforeAll(async () => {
+ *     bot = await createConversationTester({ config: { security: { adminUIDs: ['1'] } } });
+ *   });
+ *   afterAll(() => bot.close());
+ *   beforeEach(() => bot.reset());
+ *
+ *   test('help offers categories', async () => {
+ *     const user = bot.user('2001');
+ *     await user.send('/help');
+ *     expect(user.lastReply().quickReplies.map(reply => reply.title)).toContain('Fun');
+ *     await user.tapQuickReply('Fun');
+ *     expect(await bot.getUser('2001')).toMatchObject({ balance: 0 });
+ *   });
+ *
+ * Create the tester before requiring any other bot module in the test
+ * file; modules read the configuration when they are first loaded.
+ */
+
+const { createSandbox, waitForIdle } = require('./sandbox');
+
+// Turn a Send API message into a flat description that is easy to assert on
+function describeMessage(params) {
+  const message = params.message || {};
+  const attachment = message.attachment || null;
+  const payload = (attachment && attachment.payload) || {};
+  const template = attachment && attachment.type === 'template' ? payload.template_type : null;
+
+  let buttons = [];
+  if (template === 'generic' || template === 'media') {
+    buttons = (payload.elements || []).flatMap(element => element.buttons || []);
+  } else if (template) {
+    buttons = payload.buttons || [];
+  }
+
+  return {
+    recipientId: params.recipient && (params.recipient.id || params.recipient.comment_id),
+    // Set for private replies to a comment
+    commentId: (params.recipient && params.recipient.comment_id) || null,
+    text: message.text || (template === 'button' ? payload.text : null) || null,
+    quickReplies: (message.quick_replies || []).map(reply => ({
+      title: reply.title,
+      payload: reply.payload,
+      contentType: reply.content_type,
+    })),
+    template,
+    buttons: buttons.map(button => ({
+      type: button.type,
+      title: button.title,
+      payload: button.payload,
+      url: button.url,
+    })),
+    elements: template === 'generic' ? payload.elements || [] : [],
+    attachment: attachment && !template
+      ? { type: attachment.type, url: payload.url, attachmentId: payload.attachment_id }
+      : null,
+    messagingType: params.messaging_type,
+    tag: params.tag,
+    raw: message,
+  };
+}
+
+// axios adapter that answers fbApi requests from the mock Graph server
+function createMockAdapter(mock) {
+  const { AxiosError } = require('axios');
+  return async (config) => {
+    const path = String(config.url || '/').split('?')[0];
+    let data = config.data;
+    const multipart = !!(data && typeof data.getHeaders === 'function');
+    if (multipart) {
+      // Uploads are not parsed, as with the HTTP mock
+      data.destroy();
+      data = {};
+    } else if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        data = {};
+      }
+    }
+    const { status, body } = mock.handle(config.method || 'get', path, {
+      ...(config.params || {}),
+      ...(data || {}),
+    }, multipart ? { multipart: true } : {});
+    const response = { data: body, status, statusText: String(status), headers: {}, config, request: {} };
+    if (status >= 400) {
+      throw new AxiosError(
+        `Request failed with status code ${status}`,
+        status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        config,
+        response.request,
+        response,
+      );
+    }
+    return response;
+  };
+}
+
+class TestUser {
+  constructor(tester, psid, options = {}) {
+    this.tester = tester;
+    this.psid = String(psid);
+    this.name = options.name || `User ${psid}`;
+    // 'instagram' to message and comment through the linked Instagram
+    // account (needs facebook.instagramId in the tester config)
+    this.channel = options.channel || 'facebook';
+    // Comments by this user; private replies to them count as replies
+    this.commentIds = new Set();
+  }
+
+  /**
+   * Send a text message.
+   * @param {string} text
+   * @returns {Promise<Array<Object>>} Replies sent to this user in response
+   */
+  send(text) {
+    const { factory } = this.tester;
+    return this.deliver({ messaging: [factory.createMessageEvent(this.psid, this.recipientId(), text)] });
+  }
+
+  // The page, or the Instagram account for Instagram users
+  recipientId() {
+    return this.channel === 'instagram' ? this.tester.instagramId : this.tester.pageId;
+  }
+
+  /**
+   * Tap a quick reply of the last message sent to this user.
+   * @param {string|number} titleOrIndex Quick reply title or zero-based index
+   * @returns {Promise<Array<Object>>}
+   */
+  tapQuickReply(titleOrIndex) {
+    const last = this.lastReply({ withQuickReplies: true });
+    const replies = last ? last.quickReplies : [];
+    const reply = typeof titleOrIndex === 'number'
+      ? replies[titleOrIndex]
+      : replies.find(candidate => candidate.title === titleOrIndex);
+    if (!reply) {
+      throw new Error(`No quick reply "${titleOrIndex}" in the last message to ${this.psid}`);
+    }
+    const { factory } = this.tester;
+    return this.deliver({
+      messaging: [factory.createMessageEvent(this.psid, this.recipientId(), reply.title || '', {
+        quickReplyPayload: reply.payload,
+      })],
+    });
+  }
+
+  /**
+   * Tap a postback button of the last template sent to this user.
+   * @param {string} title Button title
+   * @returns {Promise<Array<Object>>}
+   */
+  tapButton(title) {
+    const last = this.replies().reverse().find(reply => reply.buttons.length > 0);
+    const button = last && last.buttons.find(candidate => candidate.title === title);
+    if (!button || button.type !== 'postback') {
+      throw new Error(`No postback button "${title}" in the last template sent to ${this.psid}`);
+    }
+    return this.postback(button.payload, button.title);
+  }
+
+  /**
+   * Send a postback.
+   * @param {string|Object} payload Objects are sent as JSON
+   * @param {string} [title]
+   * @returns {Promise<Array<Object>>}
+   */
+  postback(payload, title) {
+    const { factory } = this.tester;
+    const value = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    return this.deliver({
+      messaging: [factory.createPostbackEvent(this.psid, this.recipientId(), value, { title })],
+    });
+  }
+
+  /**
+   * Comment on a page post, or an Instagram media for Instagram users, as
+   * this user.
+   * @param {string} message
+   * @param {Object} [options] postId (mediaId on Instagram) and parentId of
+   *   the comment
+   * @returns {Promise<{commentId: string, postId: string, replies: Array<Object>}>}
+   */
+  async comment(message, options = {}) {
+    const { factory, pageId } = this.tester;
+    let commentId;
+    let postId;
+    let change;
+    if (this.channel === 'instagram') {
+      change = factory.createInstagramCommentChange(this.psid, message, {
+        mediaId: options.postId,
+        parentId: options.parentId,
+        username: this.name,
+      });
+      commentId = change.value.id;
+      postId = change.value.media.id;
+    } else {
+      change = factory.createCommentChange(this.psid, pageId, message, {
+        ...options,
+        senderName: this.name,
+      });
+      commentId = change.value.comment_id;
+      postId = change.value.post_id;
+    }
+    this.commentIds.add(commentId);
+    this.tester.mock.registerComment(commentId, this.psid);
+    const replies = await this.deliver({ changes: [change] });
+    return { commentId, postId, replies };
+  }
+
+  async deliver(events) {
+    const before = this.replies().length;
+    await this.tester.deliver(events, this.channel);
+    return this.replies().slice(before);
+  }
+
+  /**
+   * Messages the bot has sent to this user, including private replies to
+   * their comments, oldest first.
+   * @returns {Array<Object>}
+   */
+  replies() {
+    return this.tester.outbox().filter(message =>
+      message.recipientId === this.psid || this.commentIds.has(message.commentId));
+  }
+
+  /**
+   * The last message sent to this user.
+   * @param {Object} [options] withQuickReplies: skip messages without quick replies
+   * @returns {Object|undefined}
+   */
+  lastReply(options = {}) {
+    const replies = this.replies();
+    for (let i = replies.length - 1; i >= 0; i--) {
+      if (!options.withQuickReplies || replies[i].quickReplies.length > 0) {
+        return replies[i];
+      }
+    }
+    return undefined;
+  }
+
+  // Texts of all replies, handy for toEqual assertions
+  texts() {
+    return this.replies().map(reply => reply.text);
+  }
+}
+
+class ConversationTester {
+  constructor(options = {}) {
+    this.options = options;
+    this.users = new Map();
+  }
+
+  async start() {
+    this.sandbox = createSandbox({
+      baseConfig: this.options.baseConfig,
+      config: {
+        logging: { level: this.options.verbose ? 'info' : 'error' },
+        ...this.options.config,
+      },
+      userStore: 'memory',
+    });
+    const { config } = this.sandbox;
+    this.config = config;
+    this.pageId = config.facebook.pageId;
+    this.instagramId = config.facebook.instagramId;
+    this.appSecret = config.facebook.appSecret || '';
+    this.webhookPath = (config.server && config.server.webhookPath) || '/webhook';
+
+    const { createMockGraphServer } = require('./mockGraphServer');
+    this.mock = createMockGraphServer({ pageId: this.pageId });
+    this.factory = require('./webhookFactory');
+    this.fbApi = require('./fbApi');
+    this.fbApi.axios.defaults.adapter = createMockAdapter(this.mock);
+
+    this.app = require('../index');
+    this.userStore = require('../models/userStore');
+    this.request = require('supertest');
+    await this.userStore.init();
+    return this;
+  }
+
+  /**
+   * Get a handle for a user, created on first use.
+   * @param {string} psid
+   * @param {Object} [options] name used for comments, and channel
+   *   ('facebook' or 'instagram')
+   * @returns {TestUser}
+   */
+  user(psid, options) {
+    const key = String(psid);
+    if (!this.users.has(key)) {
+      this.users.set(key, new TestUser(this, key, options));
+    }
+    return this.users.get(key);
+  }
+
+  // Post a webhook body through the Express app and wait for handling
+  async deliver(events, channel = 'facebook') {
+    const webhook = channel === 'instagram'
+      ? this.factory.createInstagramWebhook(this.instagramId, events)
+      : this.factory.createPageWebhook(this.pageId, events);
+    const body = JSON.stringify(webhook);
+    let request = this.request(this.app)
+      .post(this.webhookPath)
+      .set('Content-Type', 'application/json');
+    if (this.appSecret) {
+      const { signPayload } = require('./webhookSignature');
+      request = request.set('X-Hub-Signature-256', signPayload(body, this.appSecret));
+    }
+    const response = await request.send(body);
+    if (response.status !== 200) {
+      throw new Error(`Webhook rejected with ${response.status}: ${response.text}`);
+    }
+    if (!(await waitForIdle(this.options.timeoutMs))) {
+      throw new Error('Timed out waiting for the bot to finish handling the event');
+    }
+  }
+
+  /**
+   * Messages sent through the Send API, oldest first. Sender actions
+   * (typing, seen) and failed calls are left out.
+   * @returns {Array<Object>}
+   */
+  outbox() {
+    return this.mock.getCalls({ method: 'POST', path: '/me/messages' })
+      .filter(call => call.status < 400 && call.params.message)
+      .map(call => describeMessage(call.params));
+  }
+
+  /**
+   * Public replies posted on comments, on Facebook or Instagram.
+   * @param {string} [commentId] Only replies to this comment
+   * @returns {Array<{commentId: string, message: string}>}
+   */
+  commentReplies(commentId) {
+    return this.mock.getCalls({ method: 'POST' })
+      .filter(call => /^\/[^/]+\/(comments|replies)$/.test(call.path) && call.status < 400)
+      .map(call => ({ commentId: call.path.split('/')[1], message: call.params.message }))
+      .filter(reply => !commentId || reply.commentId === commentId);
+  }
+
+  /**
+   * Every recorded Graph API call, see MockGraphServer.getCalls.
+   * @param {Object} [filter]
+   * @returns {Array<Object>}
+   */
+  calls(filter) {
+    return this.mock.getCalls(filter);
+  }
+
+  /**
+   * Make upcoming Graph API calls fail, see MockGraphServer.injectError.
+   */
+  failNext(code, options) {
+    this.mock.injectError(code, options);
+  }
+
+  // Current user store record, or undefined if the user was never stored
+  async getUser(psid) {
+    return this.userStore.users[this.userStore.key(String(psid))];
+  }
+
+  // Forget users, recorded calls, injected errors, outbound pauses and
+  // cached attachment IDs between tests
+  reset() {
+    this.mock.reset();
+    this.fbApi.queue.resume();
+    this.fbApi.getAttachmentCache().clear();
+    require('./tokenMonitor').tokenMonitor.reset();
+    this.userStore.users = {};
+    this.users.clear();
+  }
+
+  async close() {
+    await require('./pluginLoader').cleanup();
+    await require('../handlres/index').close();
+    await this.userStore.close();
+    await require('./jobQueue').webhookQueue.flush();
+    this.sandbox.cleanup();
+  }
+}
+
+/**
+ * Create and start a conversation tester.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.config] Configuration overrides for the sandbox
+ * @param {Object} [options.baseConfig] Configuration to start from
+ * @param {boolean} [options.verbose] Show bot logs
+ * @param {number} [options.timeoutMs] Time to wait for each event
+ * @returns {Promise<ConversationTester>}
+ */
+function createConversationTester(options) {
+  return new ConversationTester(options).start();
+}
+
+module.exports = {
+  ConversationTester,
+  TestUser,
+  createConversationTester,
+  describeMessage,
+};
@@ -0,0 +1,39 @@
+/**
+ * Dashboard Auth
+ * Optional token check for dashboard actions that change the page
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Routes that push changes to Facebook, or show a page's Messenger
+ * Profile and webhook subscriptions, use requireDashboardToken: when
+ * `security.dashboardToken` is set, the request must carry it in the
+ * X-Dashboard-Token header. Without a configured token every request is
+ * allowed, as before.
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./safeConfig');
+const logger = require('./logger');
+
+function tokensMatch(received, expected) {
+  const a = Buffer.from(String(received || ''));
+  const b = Buffer.from(String(expected));
+  // timingSafeEqual throws on length mismatch, so compare lengths first
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Express middleware
+function requireDashboardToken(req, res, next) {
+  const config = getConfig();
+  const expected = config.security && config.security.dashboardToken;
+  if (!expected || tokensMatch(req.get('x-dashboard-token'), expected)) {
+    next();
+    return;
+  }
+  logger.warn(`❌ Rejected dashboard request to ${req.path}: invalid or missing dashboard token`);
+  res.status(401).json({ error: 'Invalid or missing dashboard token' });
+}
+
+module.exports = {
+  requireDashboardToken,
+};
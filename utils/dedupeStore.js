@@ -0,0 +1,363 @@
+/**
+ * Dedupe Stores
+ * Persistent "seen" sets backing MessageTracker's duplicate checks
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Facebook redelivers webhook events it believes were not received. To
+ * recognise those retries across restarts and serverless cold starts, the
+ * IDs of handled events are kept in a pluggable store:
+ *
+ *   memory - in-process only, lost on restart
+ *   file   - JSON file, in the OS temp dir unless `file` is set (the
+ *            default); changes are written in batches, at most one write
+ *            per `flushMs`. Serverless deployments need a path on
+ *            persistent storage or the redis store.
+ *   redis  - shared between instances; works from memory while Redis is
+ *            unreachable and reconnects every `retryMs`. getStatus()
+ *            reports this degraded state, which /health shows.
+ *
+ * Every store exposes the same async interface: `add(key, ttlMs)` returns
+ * true when the key was not present yet, `remove(key)` forgets a key and
+ * `close()` releases any resources.
+ *
+ * Webhook events are recorded in two steps so that a crash mid-handling
+ * does not lose them: `claim(key, owner, ttlMs)` leaves a short-lived
+ * in-progress marker tied to the queue job handling the event, and
+ * `complete(key, ttlMs)` marks the event handled once the handler
+ * succeeded. A retry of the same job may claim its own marker again;
+ * anyone else sees the key as taken until the marker expires.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const logger = require('./logger');
+const { getConfig } = require('./safeConfig');
+
+const DONE = 'done';
+
+// Same detection as the job queue's
+function isServerless() {
+  return !!process.env.VERCEL || !!process.env.NOW_REGION || !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+}
+
+// Value of an in-progress marker. Markers without an owner can never be
+// claimed again before they expire.
+function claimValue(owner) {
+  return `processing:${owner || ''}`;
+}
+
+class MemoryDedupeStore {
+  constructor() {
+    this.type = 'memory';
+    // key -> { value, expiresAt }
+    this.entries = new Map();
+  }
+
+  async add(key, ttlMs) {
+    this.prune();
+    if (this.entries.has(key)) return false;
+    this.entries.set(key, { value: '1', expiresAt: Date.now() + ttlMs });
+    return true;
+  }
+
+  // Leave an in-progress marker. True when the key was free or already
+  // claimed by the same owner, e.g. a retry of the same job.
+  async claim(key, owner, ttlMs) {
+    this.prune();
+    const entry = this.entries.get(key);
+    if (entry && (!owner || entry.value !== claimValue(owner))) return false;
+    this.entries.set(key, { value: claimValue(owner), expiresAt: Date.now() + ttlMs });
+    return true;
+  }
+
+  // Mark a key as handled
+  async complete(key, ttlMs) {
+    this.entries.set(key, { value: DONE, expiresAt: Date.now() + ttlMs });
+  }
+
+  async remove(key) {
+    this.entries.delete(key);
+  }
+
+  // Drop expired keys
+  prune() {
+    const now = Date.now();
+    for (const [key, { expiresAt }] of this.entries) {
+      if (expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  getStatus() {
+    return { type: this.type, degraded: false };
+  }
+
+  async close() {}
+}
+
+class FileDedupeStore extends MemoryDedupeStore {
+  constructor(file, options = {}) {
+    super();
+    this.type = 'file';
+    this.file = file;
+    this.flushMs = options.flushMs === undefined ? 100 : options.flushMs;
+    this.flushTimer = null;
+    this.writing = null;
+    this.dirty = false;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf-8') || '{}');
+        // Older files map keys straight to their expiry
+        this.entries = new Map(Object.entries(data).map(([key, entry]) => [
+          key,
+          typeof entry === 'number' ? { value: DONE, expiresAt: entry } : entry,
+        ]));
+        this.prune();
+      }
+    } catch (err) {
+      logger.warn(`⚠️ Failed to load dedupe store ${this.file}: ${err.message}`);
+      this.entries = new Map();
+    }
+  }
+
+  // Schedule a write. Changes made within flushMs share one write.
+  save() {
+    this.dirty = true;
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushMs);
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  // Write pending changes now. Written to a temp file and renamed so a
+  // crash mid write never leaves a truncated file behind.
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    while (this.writing) {
+      await this.writing;
+    }
+    if (!this.dirty) return;
+    this.dirty = false;
+    this.writing = (async () => {
+      try {
+        const tmpFile = `${this.file}.tmp`;
+        await fs.promises.writeFile(tmpFile, JSON.stringify(Object.fromEntries(this.entries)));
+        await fs.promises.rename(tmpFile, this.file);
+      } catch (err) {
+        logger.warn(`⚠️ Failed to save dedupe store ${this.file}: ${err.message}`);
+      }
+    })();
+    try {
+      await this.writing;
+    } finally {
+      this.writing = null;
+    }
+  }
+
+  async add(key, ttlMs) {
+    const added = await super.add(key, ttlMs);
+    if (added) this.save();
+    return added;
+  }
+
+  async claim(key, owner, ttlMs) {
+    const claimed = await super.claim(key, owner, ttlMs);
+    if (claimed) this.save();
+    return claimed;
+  }
+
+  async complete(key, ttlMs) {
+    await super.complete(key, ttlMs);
+    this.save();
+  }
+
+  async remove(key) {
+    await super.remove(key);
+    this.save();
+  }
+
+  async close() {
+    await this.flush();
+  }
+}
+
+class RedisDedupeStore {
+  constructor(url, keyPrefix, options = {}) {
+    this.type = 'redis';
+    this.url = url;
+    this.keyPrefix = keyPrefix;
+    this.retryMs = options.retryMs || 30000;
+    this.client = null;
+    this.connecting = null;
+    // Used while Redis cannot be reached so duplicates are still caught
+    // within this instance
+    this.fallback = null;
+    this.retryAt = 0;
+    this.lastError = null;
+  }
+
+  // Connect lazily on first use. While Redis is unreachable calls use the
+  // memory fallback and a reconnect is attempted every retryMs.
+  async getClient() {
+    if (this.client) {
+      if (this.client.isReady) return this.client;
+      this.useFallback(this.lastError || 'connection lost');
+      this.client = null;
+    }
+    if (this.fallback && Date.now() < this.retryAt) return null;
+    if (!this.connecting) {
+      this.connecting = this.connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+    await this.connecting;
+    return this.client;
+  }
+
+  async connect() {
+    try {
+      const { createClient } = require('redis');
+      // Reconnecting is left to getClient so that calls never wait on a
+      // server that is down
+      const client = createClient({
+        url: this.url,
+        socket: { reconnectStrategy: false, connectTimeout: 5000 },
+      });
+      client.on('error', (err) => {
+        this.lastError = err.message;
+        logger.warn(`⚠️ Redis dedupe store error: ${err.message}`);
+      });
+      await client.connect();
+      this.client = client;
+      if (this.fallback) {
+        logger.info('✅ Redis dedupe store reconnected');
+        this.fallback = null;
+      } else {
+        logger.info('✅ Redis dedupe store connected');
+      }
+      this.lastError = null;
+    } catch (err) {
+      this.useFallback(err.message);
+    }
+  }
+
+  // Switch to memory until the next reconnect attempt
+  useFallback(reason) {
+    if (!this.fallback) {
+      logger.warn(`⚠️ Redis dedupe store unavailable, using memory: ${reason}`);
+      this.fallback = new MemoryDedupeStore();
+    }
+    this.lastError = reason;
+    this.retryAt = Date.now() + this.retryMs;
+  }
+
+  getStatus() {
+    return {
+      type: this.type,
+      degraded: !!this.fallback,
+      error: this.fallback ? this.lastError : null,
+      retryAt: this.fallback ? this.retryAt : null,
+    };
+  }
+
+  async add(key, ttlMs) {
+    const client = await this.getClient();
+    if (!client) return this.fallback.add(key, ttlMs);
+    const result = await client.set(this.keyPrefix + key, '1', { NX: true, PX: ttlMs });
+    return result === 'OK';
+  }
+
+  async claim(key, owner, ttlMs) {
+    const client = await this.getClient();
+    if (!client) return this.fallback.claim(key, owner, ttlMs);
+    const value = claimValue(owner);
+    const result = await client.set(this.keyPrefix + key, value, { NX: true, PX: ttlMs });
+    if (result === 'OK') return true;
+    if (!owner || (await client.get(this.keyPrefix + key)) !== value) return false;
+    await client.pExpire(this.keyPrefix + key, ttlMs);
+    return true;
+  }
+
+  async complete(key, ttlMs) {
+    const client = await this.getClient();
+    if (!client) return this.fallback.complete(key, ttlMs);
+    await client.set(this.keyPrefix + key, DONE, { PX: ttlMs });
+  }
+
+  async remove(key) {
+    const client = await this.getClient();
+    if (!client) return this.fallback.remove(key);
+    await client.del(this.keyPrefix + key);
+  }
+
+  async close() {
+    if (this.client) {
+      if (this.client.isOpen) await this.client.quit();
+      this.client = null;
+    }
+  }
+}
+
+/**
+ * Create the dedupe store selected by `config.dedupe.store`. The
+ * DEDUPE_STORE, DEDUPE_FILE and REDIS_URL environment variables override
+ * the configuration.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.name] Separate namespace for another set of
+ *   keys: the file store uses `<file>-<name>.json` and Redis adds
+ *   `<name>:` to the key prefix. Two file stores must never share a file.
+ * @returns {MemoryDedupeStore|FileDedupeStore|RedisDedupeStore}
+ */
+function createDedupeStore(options = {}) {
+  const config = getConfig();
+  const dedupe = config.dedupe || {};
+  const type = process.env.DEDUPE_STORE || dedupe.store || 'file';
+  const name = options.name || '';
+
+  switch (type) {
+    case 'redis': {
+      const url = process.env.REDIS_URL || dedupe.redisUrl;
+      if (url) {
+        const keyPrefix = dedupe.keyPrefix || 'fbbot:dedupe:';
+        return new RedisDedupeStore(url, name ? `${keyPrefix}${name}:` : keyPrefix, {
+          retryMs: dedupe.redisRetryMs,
+        });
+      }
+      logger.warn('⚠️ Redis dedupe store selected but no URL configured, using memory');
+      return new MemoryDedupeStore();
+    }
+    case 'memory':
+      return new MemoryDedupeStore();
+    case 'file':
+    default: {
+      const file = process.env.DEDUPE_FILE || dedupe.file || path.join(os.tmpdir(), 'dedupe.json');
+      if (isServerless() && path.resolve(file).startsWith(path.resolve(os.tmpdir()))) {
+        logger.warn(`⚠️ Handled event IDs are kept in ${file}, which does not outlive this instance; ` +
+          'set dedupe.file or DEDUPE_FILE to persistent storage, or use the redis store');
+      }
+      return new FileDedupeStore(name ? file.replace(/(\.json)?$/, `-${name}.json`) : file, {
+        flushMs: dedupe.flushMs,
+      });
+    }
+  }
+}
+
+module.exports = {
+  MemoryDedupeStore,
+  FileDedupeStore,
+  RedisDedupeStore,
+  createDedupeStore,
+};
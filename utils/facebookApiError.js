@@ -0,0 +1,153 @@
+/**
+ * Facebook API Error
+ * Typed error for failed Graph API calls
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * FacebookAPI.request throws this instead of the raw axios error. It
+ * carries the Graph error fields (code, error_subcode, fbtrace_id, type),
+ * the HTTP status and the endpoint, and classifies the failure:
+ *
+ *   retryable - rate limits, temporary blocks, transient and server
+ *               errors, network failures; trying again later may work
+ *   auth      - the page token is invalid or expired (code 190, 102)
+ *   permanent - anything else; retrying the same call will fail again
+ *
+ * Plugins can check `isRecipientUnavailable` to tell a user who blocked
+ * the page or cannot be messaged from an outage.
+ */
+
+const CLASSIFICATIONS = {
+  RETRYABLE: 'retryable',
+  PERMANENT: 'permanent',
+  AUTH: 'auth',
+};
+
+const AUTH_CODES = [102, 190];
+// Rate limits (4, 17, 32, 613), unknown/service errors (1, 2), temporary
+// spam block (368)
+const RETRYABLE_CODES = [1, 2, 4, 17, 32, 341, 368, 613];
+// "This person isn't available right now" and the Send API subcodes for
+// users who blocked the page or cannot receive messages from it
+const UNAVAILABLE_CODES = [551];
+const UNAVAILABLE_SUBCODES = [1545041, 2018001, 2018108];
+
+function classify({ code, status, isTransient }) {
+  if (AUTH_CODES.includes(code)) return CLASSIFICATIONS.AUTH;
+  if (isTransient || RETRYABLE_CODES.includes(code)) return CLASSIFICATIONS.RETRYABLE;
+  if (!status || status === 429 || status >= 500) return CLASSIFICATIONS.RETRYABLE;
+  return CLASSIFICATIONS.PERMANENT;
+}
+
+class FacebookApiError extends Error {
+  /**
+   * @param {Object} details
+   * @param {string} details.message
+   * @param {number} [details.code] Graph error code
+   * @param {number} [details.subcode] Graph error_subcode
+   * @param {string} [details.fbtraceId] fbtrace_id to quote to Facebook support
+   * @param {string} [details.type] Graph error type, e.g. OAuthException
+   * @param {number} [details.status] HTTP status, undefined for network errors
+   * @param {string} [details.endpoint] Graph API path that was called
+   * @param {string} [details.method] HTTP method
+   * @param {string} [details.recipientId] PSID for Send API calls
+   * @param {boolean} [details.isTransient] Graph is_transient flag
+   * @param {boolean} [details.refused] True when the call was never sent
+   *   because the outbound queue is paused
+   * @param {Error} [details.cause] Original error
+   */
+  constructor(details) {
+    super(details.message);
+    this.name = 'FacebookApiError';
+    this.code = details.code || null;
+    this.subcode = details.subcode || null;
+    this.fbtraceId = details.fbtraceId || null;
+    this.type = details.type || null;
+    this.status = details.status || null;
+    this.endpoint = details.endpoint || null;
+    this.method = details.method || null;
+    this.recipientId = details.recipientId || null;
+    this.isTransient = !!details.isTransient;
+    this.refused = !!details.refused;
+    this.retryAt = details.retryAt || null;
+    this.classification = details.classification || classify(this);
+    // Not enumerable so logging the error does not dump the axios request
+    if (details.cause) {
+      Object.defineProperty(this, 'cause', { value: details.cause, writable: true, configurable: true });
+    }
+  }
+
+  get retryable() {
+    return this.classification === CLASSIFICATIONS.RETRYABLE;
+  }
+
+  get permanent() {
+    return this.classification === CLASSIFICATIONS.PERMANENT;
+  }
+
+  get isAuthError() {
+    return this.classification === CLASSIFICATIONS.AUTH;
+  }
+
+  // The recipient blocked the page, deleted their account or cannot be
+  // messaged by it
+  get isRecipientUnavailable() {
+    return UNAVAILABLE_CODES.includes(this.code) || UNAVAILABLE_SUBCODES.includes(this.subcode);
+  }
+
+  /**
+   * Wrap an axios error from a Graph API call.
+   *
+   * @param {Error} error axios error
+   * @param {string} endpoint Graph API path
+   * @param {string} [method]
+   * @param {string} [recipientId] PSID the call was sending to
+   * @returns {FacebookApiError}
+   */
+  static fromAxiosError(error, endpoint, method, recipientId) {
+    const response = error.response;
+    const graphError = (response && response.data && response.data.error) || {};
+    let message = graphError.message || error.message;
+    if (!response) {
+      message = `No response from Facebook API: ${error.message}`;
+    }
+    return new FacebookApiError({
+      message,
+      code: graphError.code,
+      subcode: graphError.error_subcode,
+      fbtraceId: graphError.fbtrace_id,
+      type: graphError.type,
+      status: response && response.status,
+      endpoint,
+      method: method && method.toUpperCase(),
+      recipientId,
+      isTransient: graphError.is_transient,
+      cause: error,
+    });
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      code: this.code,
+      subcode: this.subcode,
+      fbtraceId: this.fbtraceId,
+      type: this.type,
+      status: this.status,
+      endpoint: this.endpoint,
+      recipientId: this.recipientId,
+      classification: this.classification,
+    };
+  }
+}
+
+function isFacebookApiError(error) {
+  return error instanceof FacebookApiError;
+}
+
+module.exports = {
+  FacebookApiError,
+  isFacebookApiError,
+  CLASSIFICATIONS,
+};
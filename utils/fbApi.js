@@ -11,29 +11,79 @@ const path = require('path');
 // Load configuration via safeConfig. Using safeConfig ensures we can
 // gracefully handle missing tokens and IDs without crashing. We avoid
 // requiring config.json directly because it may be absent or invalid.
-const { getConfig } = require('./safeConfig');
+const { getConfig, getMessengerProfileErrors } = require('./safeConfig');
+const { getCurrentPageId, getCurrentChannel } = require('./pageContext');
 const config = getConfig();
 const logger = require('./logger');
+const { recordGraphApiCall } = require('./metrics');
+const { SendQueue } = require('./sendQueue');
+const { FacebookApiError, isFacebookApiError } = require('./facebookApiError');
+const {
+  MessagingWindowError,
+  resolveMessagingType,
+  checkMessagingWindow,
+  checkPrivateReplyWindow,
+  PRIVATE_REPLY_WINDOW_MS,
+} = require('./messagingWindow');
+const { createDedupeStore } = require('./dedupeStore');
+const { createAttachmentCache, keyForUrl, keyForFile } = require('./attachmentCache');
+const { PROFILE_FIELDS, buildProfile, normalizeProfile, diffProfile } = require('./messengerProfile');
+const { diffSubscription } = require('./webhookSubscriptions');
+const { isMessageBuilder, validateMessage, MessageValidationError } = require('./messageBuilder');
+const { TEXT_LIMITS, adaptMessage } = require('./channels');
+const { formatText, splitText, textLength } = require('./messageFormat');
+
+// State shared by the FacebookAPI instances of all pages: the HTTP
+// client, the outbound queue (which keeps limits and pauses per page),
+// the private reply store and the attachment cache
+const shared = {
+  axios: null,
+  queue: null,
+  privateReplies: null,
+  attachmentCache: null,
+};
 
 class FacebookAPI {
-  constructor() {
-    this.baseURL = 'https://graph.facebook.com/v18.0';
+  /**
+   * @param {Object} [page] facebook section of the page's configuration
+   *   (see getConfig in utils/safeConfig.js)
+   * @param {string} [page.pageId]
+   * @param {string} [page.pageAccessToken]
+   */
+  constructor(page = config.facebook) {
+    // The Graph API host and version are configurable so the bot can run
+    // against the local stand-in in utils/mockGraphServer.js.
+    const graphApiUrl = process.env.FB_GRAPH_API_URL ||
+      (config.facebook && config.facebook.graphApiUrl) ||
+      'https://graph.facebook.com';
+    const graphApiVersion = (config.facebook && config.facebook.graphApiVersion) || 'v18.0';
+    this.baseURL = `${graphApiUrl.replace(/\/+$/, '')}/${graphApiVersion}`;
     // Use empty strings as defaults if tokens are missing. Do not crash if
     // `facebook` is undefined – safeConfig ensures `facebook` exists but
     // empty values may still be present.
-    this.accessToken = (config.facebook && config.facebook.pageAccessToken) || '';
-    this.pageId = (config.facebook && config.facebook.pageId) || '';
-    this.axios = axios.create({
-      baseURL: this.baseURL,
-      timeout: 30000,
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
+    this.accessToken = (page && page.pageAccessToken) || '';
+    this.pageId = (page && page.pageId) || '';
+    if (!shared.axios) {
+      shared.axios = axios.create({
+        baseURL: this.baseURL,
+        timeout: 30000,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+      shared.queue = new SendQueue(config.outbound);
+    }
+    this.axios = shared.axios;
+    this.queue = shared.queue;
   }
 
-  // Generic request method with retry logic
-  async request(method, endpoint, data = null, params = {}, retries = 3) {
+  // Generic request method. Calls go through the outbound queue, which
+  // applies rate limits and retries throttled and failed calls (see
+  // utils/sendQueue.js). `data` may be a function returning the body for
+  // bodies that can only be sent once, such as multipart uploads; it is
+  // called for every attempt. `options` holds extra axios settings
+  // (headers, timeout).
+  async request(method, endpoint, data = null, params = {}, options = {}) {
     params = {
       ...params,
       // Only include the access token if it is present. Passing an empty
@@ -42,165 +92,330 @@ class FacebookAPI {
       ...(this.accessToken ? { access_token: this.accessToken } : {}),
     };
 
+    const target = {
+      pageId: this.pageId,
+      recipientId: data?.recipient?.id,
+      isMessage: endpoint === '/me/messages' && !data?.sender_action,
+    };
+    try {
+      return await this.queue.schedule(target, () => this.execute(method, endpoint, data, params, options));
+    } catch (error) {
+      this.handleAPIError(error, endpoint);
+      throw error;
+    }
+  }
+
+  // Perform a single HTTP call and record it. Failures are thrown as
+  // FacebookApiError.
+  async execute(method, endpoint, data, params, options = {}) {
     try {
+      const body = typeof data === 'function' ? data() : data;
       const response = await this.axios({
+        ...options,
+        // Multipart bodies bring their own boundary header
+        ...(body instanceof FormData ? { headers: { ...options.headers, ...body.getHeaders() } } : {}),
         method,
         url: endpoint,
-        data,
+        data: body,
         params,
       });
       
+      recordGraphApiCall(method, endpoint, 'ok');
       return response.data;
     } catch (error) {
-      if (retries > 0 && error.response?.status >= 500) {
-        logger.warn(`Retrying request to ${endpoint}, ${retries} retries left`);
-        await this.delay(1000);
-        return this.request(method, endpoint, data, params, retries - 1);
-      }
-      
-      this.handleAPIError(error, endpoint);
-      throw error;
+      recordGraphApiCall(
+        method,
+        endpoint,
+        error.response?.data?.error?.code || error.response?.status || 'network',
+      );
+      throw FacebookApiError.fromAxiosError(error, endpoint, method, data?.recipient?.id);
     }
   }
 
+  // Outbound queue state for /status and the dashboard
+  getQueueStats() {
+    return this.queue.getStats();
+  }
+
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   handleAPIError(error, endpoint) {
-    if (error.response) {
-      const { status, data } = error.response;
-      logger.error(`Facebook API Error [${status}] at ${endpoint}:`, data.error || data);
-      
-      // Handle specific error codes
-      if (data.error) {
-        switch (data.error.code) {
-          case 190:
-            logger.error('Invalid or expired access token');
-            break;
-          case 4:
-            logger.error('Application request limit reached');
-            break;
-          case 10:
-            logger.error('Permission denied');
-            break;
-          case 100:
-            logger.error('Invalid parameter');
-            break;
-          case 368:
-            logger.error('Temporary blocked for spamming');
-            break;
-        }
-      }
-    } else if (error.request) {
-      logger.error(`No response from Facebook API at ${endpoint}:`, error.message);
-    } else {
+    if (!isFacebookApiError(error)) {
       logger.error(`Error setting up request to ${endpoint}:`, error.message);
+      return;
+    }
+    if (error.refused) {
+      logger.warn(`Not calling ${endpoint}: ${error.message}`);
+      return;
+    }
+    if (!error.status) {
+      logger.error(`No response from Facebook API at ${endpoint}:`, error.message);
+      return;
+    }
+
+    logger.error(`Facebook API Error [${error.status}] at ${endpoint}:`, error.toJSON());
+    
+    // Handle specific error codes
+    switch (error.code) {
+      case 190:
+        logger.error('Invalid or expired access token');
+        break;
+      case 4:
+        logger.error('Application request limit reached');
+        break;
+      case 10:
+        logger.error('Permission denied');
+        break;
+      case 100:
+        logger.error('Invalid parameter');
+        break;
+      case 368:
+        logger.error('Temporary blocked for spamming');
+        break;
+      case 551:
+        logger.error('Recipient is not available');
+        break;
     }
   }
 
-  // Message sending methods
-  async sendMessage(recipientId, message, type = 'text', options = {}) {
-    try {
-      // If we don't have an access token or page ID, we cannot call the API.
-      if (!this.accessToken || !this.pageId) {
-        logger.warn('⚠️ Cannot send message – Facebook page access token or page ID missing');
-        return;
-      }
-      let payload = {
-        recipient: { id: recipientId },
+  // Attachment type for the media message types, null for others
+  getAttachmentType(type, options = {}) {
+    if (type === 'media') return options.mediaType || 'image';
+    return ['audio', 'video', 'file'].includes(type) ? type : null;
+  }
+
+  // Channel of the event being handled, 'facebook' or 'instagram' (see
+  // utils/channels.js)
+  getChannel() {
+    return getCurrentChannel();
+  }
+
+  // Build the `message` objects of a send: markup is converted (see
+  // utils/messageFormat.js), the message adapted to the channel and text
+  // over the channel's limit split into several messages, with quick
+  // replies on the last one unless options.quickRepliesOn is 'all'. Each
+  // message is checked against the Messenger limits (see
+  // utils/messageBuilder.js) and a MessageValidationError thrown before
+  // anything is sent. options.format overrides the `messaging.formatting`
+  // style and options.split = false turns splitting off.
+  buildMessages(text, type = 'text', options = {}) {
+    const channel = this.getChannel();
+    const composed = isMessageBuilder(text) ? text.toMessage() : this.composeMessage(text, type, options);
+    const message = adaptMessage(composed, channel);
+    const limit = TEXT_LIMITS[channel] || TEXT_LIMITS.facebook;
+    const { messaging } = getConfig();
+    const style = options.format || (messaging && messaging.formatting) || 'unicode';
+    if (message && typeof message.text === 'string') {
+      message.text = formatText(message.text, style);
+    }
+    const template = message && message.attachment && message.attachment.payload;
+    if (template && template.template_type === 'button') {
+      message.attachment = {
+        ...message.attachment,
+        payload: { ...template, text: formatText(template.text, style) },
       };
+    }
 
-      switch (type) {
-        case 'text':
-          payload.message = { text: message };
-          break;
-          
-        case 'quick_replies':
-          payload.message = {
-            text: message,
-            quick_replies: options.quickReplies || [],
-          };
-          break;
-          
-        case 'buttons':
-          payload.message = {
-            attachment: {
-              type: 'template',
-              payload: {
-                template_type: 'button',
-                text: message,
-                buttons: options.buttons || [],
-              },
-            },
-          };
-          break;
-          
-        case 'generic':
-          payload.message = {
-            attachment: {
-              type: 'template',
-              payload: {
-                template_type: 'generic',
-                elements: options.elements || [],
-              },
+    if (!message || typeof message.text !== 'string' || textLength(message.text) <= limit) {
+      return [validateMessage(message)];
+    }
+    if (options.split === false) {
+      throw new MessageValidationError(
+        `text is ${textLength(message.text)} characters, ${channel} allows ${limit}`,
+        { code: 'LIMIT_EXCEEDED', field: 'text', limit },
+      );
+    }
+    const { quick_replies: quickReplies, ...rest } = message;
+    const chunks = splitText(message.text, limit);
+    return chunks.map((chunk, index) => {
+      const part = { ...rest, text: chunk };
+      if (quickReplies && (options.quickRepliesOn === 'all' || index === chunks.length - 1)) {
+        part.quick_replies = quickReplies;
+      }
+      return validateMessage(part);
+    });
+  }
+
+  // A single `message` object, for sends that cannot be split such as
+  // private replies
+  buildMessage(text, type = 'text', options = {}) {
+    return this.buildMessages(text, type, { ...options, split: false })[0];
+  }
+
+  // The `message` object for a sendMessage type, before formatting.
+  // Attachments are sent by options.attachmentId when set, otherwise by
+  // options.url.
+  composeMessage(text, type = 'text', options = {}) {
+    let message;
+    switch (type) {
+      case 'message':
+        // Already a Send API message object
+        message = { ...text };
+        break;
+
+      case 'text':
+        message = { text };
+        break;
+        
+      case 'quick_replies':
+        message = {
+          text,
+          quick_replies: options.quickReplies || [],
+        };
+        break;
+        
+      case 'buttons':
+        message = {
+          attachment: {
+            type: 'template',
+            payload: {
+              template_type: 'button',
+              text,
+              buttons: options.buttons || [],
             },
-          };
-          break;
-          
-        case 'media':
-          if (options.url) {
-            payload.message = {
-              attachment: {
-                type: options.mediaType || 'image',
-                payload: {
-                  url: options.url,
-                  is_reusable: true,
-                },
-              },
-            };
-          }
-          break;
-          
-        case 'audio':
-          payload.message = {
-            attachment: {
-              type: 'audio',
-              payload: {
-                url: options.url,
-                is_reusable: true,
-              },
+          },
+        };
+        break;
+        
+      case 'generic':
+        message = {
+          attachment: {
+            type: 'template',
+            payload: {
+              template_type: 'generic',
+              elements: options.elements || [],
             },
-          };
-          break;
-          
-        case 'video':
-          payload.message = {
+          },
+        };
+        break;
+        
+      case 'media':
+      case 'audio':
+      case 'video':
+      case 'file':
+        if (options.attachmentId) {
+          message = {
             attachment: {
-              type: 'video',
-              payload: {
-                url: options.url,
-                is_reusable: true,
-              },
+              type: this.getAttachmentType(type, options),
+              payload: { attachment_id: options.attachmentId },
             },
           };
-          break;
-          
-        case 'file':
-          payload.message = {
+        } else if (options.url) {
+          message = {
             attachment: {
-              type: 'file',
+              type: this.getAttachmentType(type, options),
               payload: {
                 url: options.url,
                 is_reusable: true,
               },
             },
           };
-          break;
+        }
+        break;
+    }
+    return message;
+  }
+
+  // Check a send against Messenger policy, based on the recipient's last
+  // inbound interaction in the user store, and return the messaging type
+  // and tag to send with. A humanAgent send outside the 24-hour window
+  // goes out with the HUMAN_AGENT tag instead. Users with no recorded
+  // interaction (e.g. from before interactions were recorded) are sent to
+  // with a warning. Refused sends throw a MessagingWindowError.
+  async resolveMessagingWindow(recipientId, send, humanAgent = false) {
+    const { messaging } = getConfig();
+    if (messaging && messaging.enforceWindow === false) return send;
+    if (send.messagingType === 'MESSAGE_TAG' && send.tag !== 'HUMAN_AGENT') return send;
+
+    let lastInteractionAt;
+    try {
+      // Required lazily; the user store is not needed for other calls
+      const userStore = require('../models/userStore');
+      lastInteractionAt = await userStore.getLastInteraction(recipientId);
+    } catch (error) {
+      // Do not block messages because the store is unavailable
+      logger.warn(`Could not check the messaging window for ${recipientId}:`, error.message);
+      return send;
+    }
+    if (!lastInteractionAt) {
+      logger.warn(`⚠️ No recorded interaction for ${recipientId}, sending without a messaging window check`);
+      return send;
+    }
+
+    const refusal = checkMessagingWindow({ recipientId, ...send }, lastInteractionAt);
+    if (!refusal) return send;
+    if (humanAgent && send.messagingType !== 'MESSAGE_TAG') {
+      const tagged = { messagingType: 'MESSAGE_TAG', tag: 'HUMAN_AGENT' };
+      if (!checkMessagingWindow({ recipientId, ...tagged }, lastInteractionAt)) return tagged;
+    }
+    throw refusal;
+  }
+
+  // Message sending methods
+  //
+  // options.messagingType is RESPONSE (default), UPDATE or MESSAGE_TAG and
+  // options.tag one of ACCOUNT_UPDATE, CONFIRMED_EVENT_UPDATE,
+  // POST_PURCHASE_UPDATE or HUMAN_AGENT. Sends outside the user's 24-hour
+  // window are refused with a MessagingWindowError unless a tag allows them.
+  // options.humanAgent marks messages from or about a human agent: outside
+  // the window they are sent with the HUMAN_AGENT tag (up to 7 days).
+  //
+  // The media, audio, video and file types take options.url or
+  // options.filePath (or a known options.attachmentId); the attachment is
+  // uploaded once and its attachment_id reused. `message` may also be a
+  // MessageBuilder, or a message object with type 'message'. Text is
+  // formatted and split as described at buildMessages.
+  async sendMessage(recipientId, message, type = 'text', options = {}) {
+    try {
+      // If we don't have an access token or page ID, we cannot call the API.
+      if (!this.accessToken || !this.pageId) {
+        logger.warn('⚠️ Cannot send message – Facebook page access token or page ID missing');
+        return;
+      }
+      const { messagingType, tag } = await this.resolveMessagingWindow(
+        recipientId, resolveMessagingType(options), options.humanAgent);
+
+      // Media is sent by a reusable attachment_id, uploaded once per URL
+      // or file and cached
+      let attachment = null;
+      const attachmentType = this.getAttachmentType(type, options);
+      if (attachmentType && !options.attachmentId && (options.url || options.filePath)) {
+        attachment = await this.resolveAttachment(attachmentType, options);
+        if (attachment) {
+          options = { ...options, attachmentId: attachment.attachmentId };
+        }
       }
 
-      const response = await this.request('POST', '/me/messages', payload);
-      logger.info(`✅ Message sent to ${recipientId}`);
+      // Long text becomes several messages, sent in order
+      const messages = this.buildMessages(message, type, options);
+      let response;
+      for (const built of messages) {
+        const payload = {
+          recipient: { id: recipientId },
+          messaging_type: messagingType,
+          message: built,
+        };
+        if (tag) {
+          payload.tag = tag;
+        }
+
+        try {
+          response = await this.request('POST', '/me/messages', payload);
+        } catch (error) {
+          // A cached attachment_id Facebook no longer accepts is uploaded
+          // again next time
+          if (attachment && isFacebookApiError(error) && error.code === 100) {
+            this.getAttachmentCache().delete(attachment.key);
+          }
+          throw error;
+        }
+      }
+      logger.info(messages.length > 1
+        ? `✅ Message sent to ${recipientId} in ${messages.length} parts`
+        : `✅ Message sent to ${recipientId}`);
+      // The response of the last part
       return response;
     } catch (error) {
       logger.error(`Failed to send message to ${recipientId}:`, error.message);
@@ -253,7 +468,9 @@ class FacebookAPI {
         ...options,
       };
       
-      const response = await this.request('POST', `/${commentId}/comments`, payload);
+      // Instagram comments take replies on their `replies` edge
+      const edge = this.getChannel() === 'instagram' ? 'replies' : 'comments';
+      const response = await this.request('POST', `/${commentId}/${edge}`, payload);
       logger.info(`✅ Replied to comment ${commentId}`);
       return response;
     } catch (error) {
@@ -262,6 +479,111 @@ class FacebookAPI {
     }
   }
 
+  /**
+   * Send a private reply: a Messenger message to the author of a comment,
+   * addressed by the comment ID. Messenger allows one per comment, within
+   * 7 days of the comment; both rules are checked before sending. The
+   * reply opens a thread, and when the commenter answers it the handlers
+   * link it to their PSID (see userStore.linkPrivateReply).
+   *
+   * @param {string} commentId
+   * @param {string} message
+   * @param {string} [type] Message type as for sendMessage
+   * @param {Object} [options] sendMessage options, plus `comment`: the
+   *   comment data handed to comment plugins (postId, senderId,
+   *   senderName, createdAt)
+   * @returns {Promise<Object>} Send API response with the recipient's PSID
+   * @throws {MessagingWindowError} If the comment already has a private
+   *   reply or is too old
+   */
+  async sendPrivateReply(commentId, message, type = 'text', options = {}) {
+    const comment = options.comment || {};
+    try {
+      if (!this.accessToken || !this.pageId) {
+        logger.warn('⚠️ Cannot send private reply – Facebook page access token or page ID missing');
+        return;
+      }
+      const expired = checkPrivateReplyWindow(commentId, comment.createdAt);
+      if (expired) throw expired;
+      const built = this.buildMessage(message, type, options);
+      if (!(await this.claimPrivateReply(commentId))) {
+        throw new MessagingWindowError(
+          `A private reply was already sent for comment ${commentId}; Messenger allows one per comment`,
+          { code: 'PRIVATE_REPLY_ALREADY_SENT', commentId },
+        );
+      }
+
+      let response;
+      try {
+        response = await this.request('POST', '/me/messages', {
+          recipient: { comment_id: commentId },
+          messaging_type: 'RESPONSE',
+          message: built,
+        });
+      } catch (error) {
+        // Nothing reached the user, so the reply can be tried again
+        await this.releasePrivateReply(commentId);
+        throw error;
+      }
+      logger.info(`✅ Private reply sent for comment ${commentId}`);
+
+      if (response && response.recipient_id) {
+        try {
+          // Required lazily; the user store is not needed for other calls
+          const userStore = require('../models/userStore');
+          await userStore.recordPrivateReply(response.recipient_id, {
+            commentId,
+            postId: comment.postId,
+            commenterId: comment.senderId,
+            commenterName: comment.senderName,
+          });
+        } catch (storeError) {
+          logger.warn(`Could not record private reply for comment ${commentId}:`, storeError.message);
+        }
+      }
+      return response;
+    } catch (error) {
+      logger.error(`Failed to send private reply for comment ${commentId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Comments that got their private reply, kept for the 7 days in which
+  // one is allowed. The store is created on first use.
+  getPrivateReplyStore() {
+    if (!shared.privateReplies) {
+      shared.privateReplies = createDedupeStore({ name: 'private-replies' });
+    }
+    return shared.privateReplies;
+  }
+
+  // True if this call may send the comment's private reply
+  async claimPrivateReply(commentId) {
+    try {
+      return await this.getPrivateReplyStore().add(`private_reply:${commentId}`, PRIVATE_REPLY_WINDOW_MS);
+    } catch (error) {
+      // Fail open; Facebook rejects a second private reply anyway
+      logger.warn(`Private reply store check failed for ${commentId}: ${error.message}`);
+      return true;
+    }
+  }
+
+  async releasePrivateReply(commentId) {
+    try {
+      await this.getPrivateReplyStore().remove(`private_reply:${commentId}`);
+    } catch (error) {
+      logger.warn(`Private reply store release failed for ${commentId}: ${error.message}`);
+    }
+  }
+
+  // Release the private reply store, e.g. its Redis connection
+  async close() {
+    if (shared.privateReplies) {
+      await shared.privateReplies.close();
+      shared.privateReplies = null;
+    }
+  }
+
   async deleteComment(commentId) {
     try {
       return await this.request('DELETE', `/${commentId}`);
@@ -273,7 +595,7 @@ class FacebookAPI {
 
   async hideComment(commentId) {
     try {
-      const payload = { is_hidden: true };
+      const payload = this.getChannel() === 'instagram' ? { hide: true } : { is_hidden: true };
       return await this.request('POST', `/${commentId}`, payload);
     } catch (error) {
       logger.error(`Failed to hide comment ${commentId}:`, error.message);
@@ -323,6 +645,71 @@ class FacebookAPI {
     }
   }
 
+  // Inspect the page token: whether it works, the page it belongs to and,
+  // when facebook.appId and appSecret are set, its type, scopes and expiry
+  // from debug_token. Without app credentials only /me can be read, so
+  // scopes and expiry are null (unknown); an expiry of 0 means never.
+  // The calls bypass the outbound queue so that a page paused after a
+  // token error can still be inspected. Errors that say nothing about the
+  // token, such as network failures, are thrown.
+  async inspectToken() {
+    const { appId, appSecret } = getConfig().facebook;
+    const result = (method, fields) => ({
+      method,
+      valid: false,
+      error: null,
+      type: null,
+      appId: null,
+      pageId: null,
+      pageName: null,
+      scopes: null,
+      expiresAt: null,
+      dataAccessExpiresAt: null,
+      ...fields,
+    });
+    if (!this.accessToken) {
+      return result(null, { error: 'No page access token configured' });
+    }
+
+    if (appId && appSecret) {
+      try {
+        const { data } = await this.execute('GET', '/debug_token', null, {
+          input_token: this.accessToken,
+          access_token: `${appId}|${appSecret}`,
+        });
+        return result('debug_token', {
+          valid: !!data.is_valid,
+          error: data.error ? data.error.message : null,
+          type: data.type || null,
+          appId: data.app_id ? String(data.app_id) : null,
+          pageId: data.profile_id ? String(data.profile_id) : null,
+          scopes: data.scopes || [],
+          expiresAt: data.expires_at ? data.expires_at * 1000 : 0,
+          dataAccessExpiresAt: data.data_access_expires_at ? data.data_access_expires_at * 1000 : 0,
+        });
+      } catch (error) {
+        if (!isFacebookApiError(error) || !error.isAuthError) throw error;
+        // The app credentials were rejected, not the page token
+        logger.warn(`⚠️ debug_token refused the app credentials, checking the token with /me: ${error.message}`);
+      }
+    }
+
+    try {
+      const data = await this.execute('GET', '/me', null, {
+        fields: 'id,name',
+        access_token: this.accessToken,
+      });
+      return result('me', {
+        valid: true,
+        pageId: data.id ? String(data.id) : null,
+        pageName: data.name || null,
+      });
+    } catch (error) {
+      if (!isFacebookApiError(error) || !error.isAuthError) throw error;
+      return result('me', { error: error.message });
+    }
+  }
+
   // Page insights
   async getInsights(metric = 'page_impressions', period = 'day', since = null, until = null) {
     try {
@@ -367,7 +754,8 @@ class FacebookAPI {
   // User profile
   async getUserProfile(userId) {
     try {
-      const fields = [
+      // Instagram-scoped IDs have a smaller profile
+      const fields = this.getChannel() === 'instagram' ? 'id,name,username,profile_pic' : [
         'id',
         'name',
         'first_name',
@@ -385,29 +773,297 @@ class FacebookAPI {
     }
   }
 
-  // Upload media
+  // Cached attachment IDs, created on first use
+  getAttachmentCache() {
+    if (!shared.attachmentCache) {
+      shared.attachmentCache = createAttachmentCache();
+    }
+    return shared.attachmentCache;
+  }
+
+  /**
+   * Upload an attachment to /me/message_attachments. Nothing is published
+   * on the page; the returned ID can be sent to any user.
+   *
+   * @param {string} type image, audio, video or file
+   * @param {Object} source
+   * @param {string} [source.url] Public URL Facebook downloads the file from
+   * @param {string} [source.filePath] Local file to upload
+   * @returns {Promise<string>} attachment_id
+   */
+  async uploadAttachment(type, source) {
+    try {
+      let response;
+      if (source.url) {
+        response = await this.request('POST', '/me/message_attachments', {
+          message: {
+            attachment: { type, payload: { url: source.url, is_reusable: true } },
+          },
+        });
+      } else {
+        // A fresh form (and file stream) for every attempt
+        const buildForm = () => {
+          const form = new FormData();
+          form.append('message', JSON.stringify({
+            attachment: { type, payload: { is_reusable: true } },
+          }));
+          form.append('filedata', fs.createReadStream(source.filePath), path.basename(source.filePath));
+          return form;
+        };
+        response = await this.request('POST', '/me/message_attachments', buildForm, {}, { timeout: 60000 });
+      }
+      logger.info(`📎 Uploaded ${type} attachment ${response.attachment_id}`);
+      return response.attachment_id;
+    } catch (error) {
+      logger.error(`Failed to upload ${type} attachment ${source.url || source.filePath}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a reusable attachment_id for a URL or file, uploading it only if
+   * it is not cached yet.
+   *
+   * @param {string} type image, audio, video or file
+   * @param {Object} source { url } or { filePath }
+   * @returns {Promise<{attachmentId: string, key: string, cached: boolean}>}
+   */
+  async getAttachmentId(type, source) {
+    // Attachment IDs belong to the page that uploaded them
+    const key = `${this.pageId}:${source.url ? keyForUrl(type, source.url) : await keyForFile(type, source.filePath)}`;
+    const cache = this.getAttachmentCache();
+    const entry = cache.get(key);
+    if (entry) {
+      return { attachmentId: entry.attachmentId, key, cached: true };
+    }
+    const attachmentId = await this.uploadAttachment(type, source);
+    cache.set(key, { attachmentId, type, source: source.url || path.basename(source.filePath) });
+    return { attachmentId, key, cached: false };
+  }
+
+  // Attachment for sendMessage. If uploading a URL fails the message is
+  // sent with the URL instead (returns null); failed file uploads throw.
+  async resolveAttachment(type, options) {
+    const source = options.filePath ? { filePath: options.filePath } : { url: options.url };
+    try {
+      return await this.getAttachmentId(type, source);
+    } catch (error) {
+      if (source.filePath || (isFacebookApiError(error) && (error.isAuthError || error.refused))) {
+        throw error;
+      }
+      logger.warn(`⚠️ Sending ${options.url} by URL, attachment upload failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Upload a local image or video for use in messages. Uploads go to
+   * /me/message_attachments, so nothing is published on the page.
+   *
+   * @param {string} filePath
+   * @param {string} [mediaType='image'] image, video, audio or file
+   * @returns {Promise<{attachment_id: string}>}
+   */
   async uploadMedia(filePath, mediaType = 'image') {
+    const { attachmentId } = await this.getAttachmentId(mediaType, { filePath });
+    return { attachment_id: attachmentId };
+  }
+
+  // Messenger Profile (Get Started, greeting, persistent menu, ice breakers)
+  async getMessengerProfile(fields = Object.values(PROFILE_FIELDS)) {
     try {
-      const formData = new FormData();
-      formData.append('source', fs.createReadStream(filePath));
-      formData.append('access_token', this.accessToken);
-      
-      const endpoint = mediaType === 'video' 
-        ? `/${this.pageId}/videos`
-        : `/${this.pageId}/photos`;
-      
-      const response = await axios.post(
-        `${this.baseURL}${endpoint}`,
-        formData,
-        {
-          headers: formData.getHeaders(),
-          timeout: 60000,
-        }
-      );
-      
-      return response.data;
+      const data = await this.request('GET', '/me/messenger_profile', null, { fields: fields.join(',') });
+      return (data.data && data.data[0]) || {};
+    } catch (error) {
+      logger.error('Failed to fetch messenger profile:', error.message);
+      throw error;
+    }
+  }
+
+  async setMessengerProfile(profile) {
+    try {
+      return await this.request('POST', '/me/messenger_profile', profile);
     } catch (error) {
-      logger.error(`Failed to upload media ${filePath}:`, error.message);
+      logger.error('Failed to update messenger profile:', error.message);
+      throw error;
+    }
+  }
+
+  async deleteMessengerProfile(fields) {
+    try {
+      return await this.request('DELETE', '/me/messenger_profile', { fields });
+    } catch (error) {
+      logger.error('Failed to delete messenger profile fields:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Bring the page's Messenger Profile in line with the messengerProfile
+   * config section. Only changed fields are sent.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] Compute the changes without sending them
+   * @returns {Promise<{desired: Object, current: Object, changes: Array,
+   *   unchanged: Array<string>, errors: Array<string>, applied: boolean}>}
+   */
+  async syncMessengerProfile(options = {}) {
+    // Re-read the config so dashboard pushes pick up edits on disk
+    const desired = buildProfile(getConfig().messengerProfile);
+    const errors = getMessengerProfileErrors();
+    const current = normalizeProfile(await this.getMessengerProfile());
+    const diff = diffProfile(current, desired);
+    const result = {
+      desired,
+      current,
+      changes: diff.changes,
+      unchanged: diff.unchanged,
+      errors,
+      applied: false,
+    };
+    if (options.dryRun || diff.changes.length === 0) {
+      return result;
+    }
+
+    if (Object.keys(diff.set).length > 0) {
+      await this.setMessengerProfile(diff.set);
+    }
+    if (diff.remove.length > 0) {
+      await this.deleteMessengerProfile(diff.remove);
+    }
+    result.applied = true;
+    logger.info(`✅ Messenger profile updated: ${diff.changes.map(change => `${change.action} ${change.field}`).join(', ')}`);
+    return result;
+  }
+
+  // Webhook subscriptions of the page. Facebook only delivers the fields
+  // the app is subscribed to; see utils/webhookSubscriptions.js.
+  async getSubscribedApps() {
+    try {
+      const data = await this.request('GET', `/${this.pageId || 'me'}/subscribed_apps`);
+      return data.data || [];
+    } catch (error) {
+      logger.error('Failed to fetch subscribed apps:', error.message);
+      throw error;
+    }
+  }
+
+  // Subscribe the app to the page. The fields replace the current ones.
+  async subscribeApp(fields) {
+    try {
+      const response = await this.request('POST', `/${this.pageId || 'me'}/subscribed_apps`, {
+        subscribed_fields: fields.join(','),
+      });
+      logger.info(`🔔 Page subscribed to webhook fields: ${fields.join(', ')}`);
+      return response;
+    } catch (error) {
+      logger.error('Failed to subscribe the app to the page:', error.message);
+      throw error;
+    }
+  }
+
+  async unsubscribeApp() {
+    try {
+      const response = await this.request('DELETE', `/${this.pageId || 'me'}/subscribed_apps`);
+      logger.info('🔕 App unsubscribed from the page');
+      return response;
+    } catch (error) {
+      logger.error('Failed to unsubscribe the app from the page:', error.message);
+      throw error;
+    }
+  }
+
+  // Fields this app is subscribed to: the entry of facebook.appId, or the
+  // only entry when no app ID is configured
+  async getSubscribedFields() {
+    const apps = await this.getSubscribedApps();
+    const { appId } = getConfig().facebook;
+    const app = appId
+      ? apps.find(entry => String(entry.id) === String(appId))
+      : (apps.length === 1 ? apps[0] : null);
+    return (app && app.subscribed_fields) || [];
+  }
+
+  /**
+   * Subscribe the page to the webhook fields the bot needs. Fields that
+   * are already subscribed are kept.
+   *
+   * @param {Array<{field: string, reasons: Array<string>}>} required See
+   *   getRequiredFields in utils/webhookSubscriptions.js
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] Compare without subscribing
+   * @returns {Promise<{subscribed: Array<string>, required: Array<Object>,
+   *   missing: Array<Object>, extra: Array<string>, applied: boolean}>}
+   */
+  async syncSubscribedFields(required, options = {}) {
+    const subscribed = await this.getSubscribedFields();
+    const diff = diffSubscription(subscribed, required);
+    const result = {
+      subscribed,
+      required,
+      missing: diff.missing,
+      extra: diff.extra,
+      applied: false,
+    };
+    if (options.dryRun || diff.missing.length === 0) {
+      return result;
+    }
+
+    const fields = [...subscribed, ...diff.missing.map(entry => entry.field)];
+    await this.subscribeApp(fields);
+    result.subscribed = fields;
+    result.missing = [];
+    result.applied = true;
+    return result;
+  }
+
+  // Handover protocol. Control of a user's thread moves between the bot
+  // and other apps on the page, such as the Page Inbox used by human
+  // agents. `metadata` is passed on to the app receiving the event.
+  async passThreadControl(recipientId, targetAppId, metadata = '') {
+    return this.threadControl('pass_thread_control', recipientId, {
+      target_app_id: targetAppId,
+      ...(metadata ? { metadata } : {}),
+    });
+  }
+
+  // Primary receiver only: take the thread back from the app holding it
+  async takeThreadControl(recipientId, metadata = '') {
+    return this.threadControl('take_thread_control', recipientId, metadata ? { metadata } : {});
+  }
+
+  // Secondary receivers: ask the primary receiver for the thread
+  async requestThreadControl(recipientId, metadata = '') {
+    return this.threadControl('request_thread_control', recipientId, metadata ? { metadata } : {});
+  }
+
+  // Secondary receivers: hand the thread back to the primary receiver
+  async releaseThreadControl(recipientId, metadata = '') {
+    return this.threadControl('release_thread_control', recipientId, metadata ? { metadata } : {});
+  }
+
+  async threadControl(action, recipientId, fields) {
+    try {
+      const response = await this.request('POST', `/me/${action}`, {
+        recipient: { id: recipientId },
+        ...fields,
+      });
+      logger.info(`🤝 ${action} for ${recipientId}`);
+      return response;
+    } catch (error) {
+      logger.error(`Failed to ${action.replace(/_/g, ' ')} for ${recipientId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // App ID of the current owner of a user's thread, null if none
+  async getThreadOwner(recipientId) {
+    try {
+      const data = await this.request('GET', '/me/thread_owner', null, { recipient: recipientId });
+      const owner = data.data && data.data[0] && data.data[0].thread_owner;
+      return owner ? String(owner.app_id) : null;
+    } catch (error) {
+      logger.error(`Failed to fetch thread owner for ${recipientId}:`, error.message);
       throw error;
     }
   }
@@ -451,4 +1107,44 @@ class FacebookAPI {
   }
 }
 
-module.exports = new FacebookAPI();
\ No newline at end of file
+// One instance per page, created on first use
+const instances = new Map();
+
+/**
+ * Get the FacebookAPI instance of a page. The token is refreshed from the
+ * configuration on every call, so edits on disk apply without a restart.
+ *
+ * @param {string} [pageId] Defaults to the page of the event being
+ *   handled, or the default page outside an event (see utils/pageContext.js)
+ * @returns {FacebookAPI}
+ */
+function getFacebookApi(pageId = getCurrentPageId()) {
+  const page = getConfig(pageId).facebook;
+  const id = String(page.pageId || '');
+  let api = instances.get(id);
+  if (!api) {
+    api = new FacebookAPI(page);
+    instances.set(id, api);
+  }
+  api.accessToken = page.pageAccessToken || '';
+  return api;
+}
+
+// Modules require this file once and call fbApi.sendMessage(...) etc.;
+// each call goes to the instance of the page being handled.
+// fbApi.forPage(pageId) returns a page's instance explicitly.
+module.exports = new Proxy({}, {
+  get(target, property) {
+    if (property === 'forPage') return getFacebookApi;
+    if (property === 'FacebookAPI') return FacebookAPI;
+    const api = getFacebookApi();
+    const value = api[property];
+    // Bind methods, not function-valued fields such as the axios instance
+    const isMethod = typeof value === 'function' && !Object.prototype.hasOwnProperty.call(api, property);
+    return isMethod ? value.bind(api) : value;
+  },
+  set(target, property, value) {
+    getFacebookApi()[property] = value;
+    return true;
+  },
+});
\ No newline at end of file
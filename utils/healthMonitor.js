@@ -29,10 +29,12 @@ class HealthMonitor {
     };
     
     this.healthChecks = [];
+    this.scheduler = null;
   }
 
-  // Register health check
+  // Register health check. Registering a name twice replaces the old check.
   registerHealthCheck(name, checkFn, intervalMs = 60000) {
+    this.healthChecks = this.healthChecks.filter(check => check.name !== name);
     this.healthChecks.push({
       name,
       checkFn,
@@ -84,6 +86,77 @@ class HealthMonitor {
     return results;
   }
 
+  // Run health checks periodically. Each check still only runs once its own
+  // interval has elapsed; the scheduler just decides how often to look.
+  startScheduler(intervalMs = 30000) {
+    if (this.scheduler) return;
+    const tick = () => {
+      this.runHealthChecks().catch(error => {
+        logger.error('Error running health checks:', error.message);
+      });
+    };
+    tick();
+    this.scheduler = setInterval(tick, intervalMs);
+    // Do not keep the process alive just for health checks
+    if (this.scheduler.unref) this.scheduler.unref();
+    logger.info(`⏱️ Health checks scheduled every ${intervalMs}ms`);
+  }
+
+  stopScheduler() {
+    if (this.scheduler) {
+      clearInterval(this.scheduler);
+      this.scheduler = null;
+    }
+  }
+
+  // Get the registered check with the given name
+  getHealthCheck(name) {
+    return this.healthChecks.find(check => check.name === name);
+  }
+
+  // Readiness: the bot can serve traffic once the user store backend is
+  // up, the page token works and plugins are loaded. When a check is not
+  // registered (health checks disabled) readiness falls back to cheaper
+  // signals such as the token being present. A token the token monitor
+  // found invalid fails readiness either way.
+  getReadiness() {
+    const userStore = require('../models/userStore');
+    const pluginLoader = require('./pluginLoader');
+    const { getConfig } = require('./safeConfig');
+    const { tokenMonitor } = require('./tokenMonitor');
+    const config = getConfig();
+    
+    const backend = userStore.getBackend();
+    const hasToken = !!(config.facebook && config.facebook.pageAccessToken);
+    const tokenInvalid = hasToken && tokenMonitor.hasInvalidToken();
+    const tokenCheck = this.getHealthCheck('facebook_api');
+    const pluginStats = pluginLoader.getPluginStats();
+    
+    const checks = {
+      userStore: {
+        ok: backend !== 'uninitialized',
+        backend,
+      },
+      token: {
+        ok: hasToken && !tokenInvalid && (!tokenCheck || tokenCheck.status === 'healthy'),
+        present: hasToken,
+        invalid: tokenInvalid,
+        status: tokenCheck ? tokenCheck.status : 'not_checked',
+        error: tokenCheck && tokenCheck.status === 'unhealthy' ? tokenCheck.lastResult : null,
+      },
+      plugins: {
+        ok: pluginStats.total > 0,
+        total: pluginStats.total,
+      },
+    };
+    
+    return {
+      ready: Object.values(checks).every(check => check.ok),
+      timestamp: Date.now(),
+      checks,
+    };
+  }
+
   // Get system metrics
   getSystemMetrics() {
     const memoryUsage = process.memoryUsage();
@@ -218,10 +291,22 @@ function setupHealthChecks() {
     return { total: stats.total, loaded: stats.total > 0 };
   }, 60000); // 1 minute
   
-  // Database connection health check (if you add a database)
+  // User store backend health check
+  healthMonitor.registerHealthCheck('user_store', async () => {
+    const userStore = require('../models/userStore');
+    const backend = userStore.getBackend();
+    if (backend === 'uninitialized') {
+      throw new Error('User store is not initialised');
+    }
+    return { backend };
+  }, 60000); // 1 minute
+  
+  // Writable storage health check. Uses the OS temp dir, which is where
+  // the user store, webhook queue and dedupe store write, and the only
+  // writable location on serverless platforms.
   healthMonitor.registerHealthCheck('file_system', async () => {
     const fs = require('fs').promises;
-    const testFile = path.join(__dirname, '../health_check.txt');
+    const testFile = path.join(os.tmpdir(), `health_check_${process.pid}.txt`);
     
     // Test write
     await fs.writeFile(testFile, 'health_check');
@@ -243,6 +328,8 @@ module.exports = {
   setupHealthChecks,
   getSystemMetrics: () => healthMonitor.getSystemMetrics(),
   getHealthStatus: () => healthMonitor.getHealthStatus(),
+  getReadiness: () => healthMonitor.getReadiness(),
+  runHealthChecks: () => healthMonitor.runHealthChecks(),
   incrementRequest: () => healthMonitor.incrementRequest(),
   incrementError: () => healthMonitor.incrementError(),
   incrementWarning: () => healthMonitor.incrementWarning(),
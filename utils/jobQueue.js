@@ -0,0 +1,393 @@
+/**
+ * Durable Job Queue
+ * File-backed queue for webhook work with retries and a dead-letter list
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Every accepted webhook event is written to disk before Facebook gets its
+ * 200 response; when the write fails the webhook answers 500 instead and
+ * Facebook delivers the event again. On serverless platforms the function may be frozen right
+ * after responding; anything still queued is picked up by the next drain,
+ * whether that is the next request or a cold start. That only holds when
+ * the file outlives the instance: the default location in the OS temp dir
+ * is fine for a long-lived server, but serverless deployments must point
+ * `queue.file` (or WEBHOOK_QUEUE_FILE) at persistent storage, such as a
+ * mounted volume.
+ *
+ * Failed jobs are retried with exponential backoff and moved to a
+ * dead-letter list once they run out of attempts. Jobs sharing a lane key
+ * (the sender, see setProcessor) run one at a time in the order of their
+ * event timestamps, whatever order Facebook delivered them in, so a job
+ * waiting on its backoff holds back that sender's later jobs.
+ *
+ * The file is a journal: every change is appended as one JSON line,
+ * without blocking the event loop, and the journal is compacted into a
+ * single snapshot line once it grows past `compactAfter` lines.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { getConfig } = require('./safeConfig');
+
+// Same detection as the plugin loader's hot reload switch
+function isServerless() {
+  return !!process.env.VERCEL || !!process.env.NOW_REGION || !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+}
+
+class JobQueue {
+  constructor(options = {}) {
+    this.name = options.name || 'jobs';
+    // Like the user store, default to the OS temp dir because it is the
+    // only writable location on serverless platforms.
+    this.file = options.file || path.join(os.tmpdir(), `${this.name}-queue.json`);
+    this.maxAttempts = options.maxAttempts || 5;
+    this.baseDelayMs = options.baseDelayMs || 2000;
+    this.maxDelayMs = options.maxDelayMs || 300000;
+    this.pollIntervalMs = options.pollIntervalMs || 5000;
+    this.deadLetterLimit = options.deadLetterLimit || 100;
+    this.compactAfter = options.compactAfter || 500;
+
+    this.jobs = [];
+    this.deadLetters = [];
+    this.inFlight = new Set();
+    this.processor = null;
+    this.getLane = null;
+    this.timer = null;
+    this.loaded = false;
+    // Journal lines not written yet, and the chain of pending writes
+    this.buffer = [];
+    this.writing = Promise.resolve();
+    this.writeScheduled = false;
+    this.journalLength = 0;
+    this.compactPending = false;
+    this.counters = {
+      enqueued: 0,
+      processed: 0,
+      retried: 0,
+      deadLettered: 0,
+    };
+  }
+
+  // Set the async function that executes a job. It should throw to signal
+  // that the job failed and must be retried. options.getLane maps a job to
+  // { key, timestamp }: jobs with the same key, e.g. its sender, run one
+  // at a time in timestamp order.
+  setProcessor(processor, options = {}) {
+    this.processor = processor;
+    this.getLane = options.getLane || null;
+  }
+
+  // Load queued and dead-lettered jobs from disk, then start a fresh
+  // journal from them
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (isServerless() && path.resolve(this.file).startsWith(path.resolve(os.tmpdir()))) {
+      logger.warn(`⚠️ The ${this.name} queue is kept in ${this.file}, which does not outlive this ` +
+        'instance; set queue.file or WEBHOOK_QUEUE_FILE to persistent storage');
+    }
+    try {
+      if (fs.existsSync(this.file)) {
+        this.replay(fs.readFileSync(this.file, 'utf-8'));
+        if (this.jobs.length > 0) {
+          logger.info(`📥 Recovered ${this.jobs.length} queued ${this.name} job(s) from ${this.file}`);
+        }
+      }
+    } catch (err) {
+      logger.error(`Failed to load ${this.name} queue from ${this.file}:`, err.message);
+      this.jobs = [];
+      this.deadLetters = [];
+    }
+    this.compactPending = true;
+    this.scheduleWrite();
+  }
+
+  // Rebuild the queue from journal lines. A line cut short by a crash
+  // mid write is skipped.
+  replay(text) {
+    let jobs = new Map();
+    let deadLetters = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        continue;
+      }
+      switch (record.op) {
+        case 'add':
+          jobs.set(record.job.id, record.job);
+          break;
+        case 'update': {
+          const job = jobs.get(record.id);
+          if (job) Object.assign(job, record.changes);
+          break;
+        }
+        case 'remove':
+          jobs.delete(record.id);
+          break;
+        case 'dead':
+          jobs.delete(record.job.id);
+          deadLetters.push(record.job);
+          break;
+        default:
+          // A snapshot, which is also the whole content of older queue files
+          if (Array.isArray(record.jobs)) {
+            jobs = new Map(record.jobs.map(job => [job.id, job]));
+            deadLetters = Array.isArray(record.deadLetters) ? record.deadLetters : [];
+          }
+      }
+    }
+    this.jobs = Array.from(jobs.values());
+    this.deadLetters = deadLetters.slice(-this.deadLetterLimit);
+  }
+
+  // Queue a journal line for the next write
+  append(record) {
+    this.buffer.push(JSON.stringify(record));
+    this.journalLength++;
+    this.scheduleWrite();
+  }
+
+  // Write buffered lines once the current tick is done, so the changes of
+  // one webhook request share a write
+  scheduleWrite() {
+    if (this.writeScheduled) return;
+    this.writeScheduled = true;
+    setImmediate(() => {
+      this.writeScheduled = false;
+      // Failures are logged by write() and retried by the next flush
+      this.flush().catch(() => {});
+    });
+  }
+
+  /**
+   * Write every change made so far.
+   *
+   * @returns {Promise<void>} Resolves once they are on disk, rejects when
+   *   they could not be written
+   */
+  flush() {
+    // An earlier failed write does not stop this one; it compacts instead
+    const write = this.writing.catch(() => {}).then(() => this.write());
+    this.writing = write;
+    return write;
+  }
+
+  // Append the buffered lines, or replace the file with a snapshot when
+  // the journal is due for compaction. The snapshot is written to a temp
+  // file and renamed so a crash mid write never leaves a truncated queue
+  // behind.
+  async write() {
+    if (this.buffer.length === 0 && !this.compactPending) return;
+    try {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      if (this.compactPending || this.journalLength > this.compactAfter) {
+        const snapshot = JSON.stringify({ op: 'snapshot', jobs: this.jobs, deadLetters: this.deadLetters });
+        this.buffer = [];
+        this.journalLength = 0;
+        this.compactPending = false;
+        const tmpFile = `${this.file}.tmp`;
+        await fs.promises.writeFile(tmpFile, `${snapshot}\n`);
+        await fs.promises.rename(tmpFile, this.file);
+      } else {
+        const lines = `${this.buffer.join('\n')}\n`;
+        this.buffer = [];
+        await fs.promises.appendFile(this.file, lines);
+      }
+    } catch (err) {
+      // Keep working from memory; the job is still processed in this
+      // instance, it just won't survive a freeze or restart. The next
+      // write replaces the file with a full snapshot.
+      this.compactPending = true;
+      logger.error(`Failed to persist ${this.name} queue to ${this.file}:`, err.message);
+      throw err;
+    }
+  }
+
+  // Add a job. Call flush() before acknowledging the event to make sure
+  // it is on disk, and do not acknowledge it when that fails.
+  enqueue(kind, payload) {
+    this.load();
+    const job = {
+      id: crypto.randomUUID(),
+      kind,
+      payload,
+      attempts: 0,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now(),
+      lastError: null,
+    };
+    this.jobs.push(job);
+    this.counters.enqueued++;
+    this.append({ op: 'add', job });
+    return job;
+  }
+
+  // Start every job that is due, not already running and not held back by
+  // an earlier job in its lane. Jobs in different lanes run concurrently;
+  // concurrency limits are left to the processor (see
+  // utils/senderLanes.js). Each finished job may release the next one of
+  // its lane, so this resolves once the started jobs and the jobs they
+  // released have settled.
+  drain() {
+    this.load();
+    if (!this.processor) return Promise.resolve();
+
+    const due = this.getDueJobs();
+    return Promise.all(due.map(job => this.runJob(job).then(() => this.drain()))).then(() => undefined);
+  }
+
+  // Get jobs that are due and not already running. A lane only offers its
+  // earliest job by timestamp (ties in queue order), and nothing while one
+  // of its jobs is running; a job waiting for a retry holds back the later
+  // jobs of its lane.
+  getDueJobs() {
+    const now = Date.now();
+    const heads = new Map();
+    const running = new Set();
+    const due = [];
+    for (const job of this.jobs) {
+      const lane = this.getJobLane(job);
+      if (!lane) {
+        if (job.nextAttemptAt <= now && !this.inFlight.has(job.id)) due.push(job);
+        continue;
+      }
+      if (this.inFlight.has(job.id)) running.add(lane.key);
+      const head = heads.get(lane.key);
+      if (!head || lane.timestamp < head.timestamp) {
+        heads.set(lane.key, { job, timestamp: lane.timestamp });
+      }
+    }
+    for (const [key, { job }] of heads) {
+      if (!running.has(key) && job.nextAttemptAt <= now) due.push(job);
+    }
+    return due;
+  }
+
+  // Lane of a job, or null when its order does not matter
+  getJobLane(job) {
+    if (!this.getLane) return null;
+    try {
+      const lane = this.getLane(job);
+      if (!lane || lane.key === undefined || lane.key === null) return null;
+      return { key: lane.key, timestamp: Number(lane.timestamp) || job.createdAt || 0 };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Execute one job and record the outcome
+  async runJob(job) {
+    this.inFlight.add(job.id);
+    job.attempts++;
+    try {
+      await this.processor(job);
+      this.removeJob(job.id);
+      this.counters.processed++;
+      this.append({ op: 'remove', id: job.id });
+    } catch (err) {
+      job.lastError = err.message;
+      if (job.attempts >= this.maxAttempts) {
+        this.moveToDeadLetters(job);
+      } else {
+        const delay = this.getBackoffDelay(job.attempts);
+        job.nextAttemptAt = Date.now() + delay;
+        this.counters.retried++;
+        logger.warn(`Retrying ${this.name} job ${job.id} (${job.kind}) in ${delay}ms: ${err.message}`);
+        this.append({
+          op: 'update',
+          id: job.id,
+          changes: { attempts: job.attempts, nextAttemptAt: job.nextAttemptAt, lastError: job.lastError },
+        });
+      }
+    } finally {
+      this.inFlight.delete(job.id);
+    }
+  }
+
+  // Exponential backoff: base, 2x base, 4x base, ... capped at maxDelayMs
+  getBackoffDelay(attempts) {
+    return Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1));
+  }
+
+  removeJob(id) {
+    this.jobs = this.jobs.filter(job => job.id !== id);
+  }
+
+  moveToDeadLetters(job) {
+    this.removeJob(job.id);
+    const deadLetter = { ...job, failedAt: Date.now() };
+    this.deadLetters.push(deadLetter);
+    this.append({ op: 'dead', job: deadLetter });
+    if (this.deadLetters.length > this.deadLetterLimit) {
+      this.deadLetters = this.deadLetters.slice(-this.deadLetterLimit);
+    }
+    this.counters.deadLettered++;
+    logger.error(`☠️ ${this.name} job ${job.id} (${job.kind}) failed after ${job.attempts} attempts: ${job.lastError}`);
+  }
+
+  // Poll for due jobs on long-lived servers so retries run on time
+  start() {
+    if (this.timer) return;
+    this.load();
+    this.timer = setInterval(() => {
+      this.drain().catch(err => {
+        logger.error(`Error draining ${this.name} queue:`, err.message);
+      });
+    }, this.pollIntervalMs);
+    // Do not keep the process alive just for the poller
+    if (this.timer.unref) this.timer.unref();
+    logger.info(`⏱️ ${this.name} queue worker polling every ${this.pollIntervalMs}ms`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Get queue depth, counters and the most recent dead letters
+  getStats() {
+    this.load();
+    return {
+      depth: this.jobs.length,
+      inFlight: this.inFlight.size,
+      failed: this.deadLetters.length,
+      ...this.counters,
+      deadLetters: this.deadLetters.slice(-10).reverse().map(job => ({
+        id: job.id,
+        kind: job.kind,
+        attempts: job.attempts,
+        lastError: job.lastError,
+        failedAt: job.failedAt,
+      })),
+    };
+  }
+}
+
+// Webhook queue shared by the serverless entry and server.js
+function createWebhookQueue() {
+  const config = getConfig();
+  const queueConfig = config.queue || {};
+  return new JobQueue({
+    name: 'webhook',
+    file: process.env.WEBHOOK_QUEUE_FILE || queueConfig.file,
+    maxAttempts: queueConfig.maxAttempts,
+    baseDelayMs: queueConfig.baseDelayMs,
+    maxDelayMs: queueConfig.maxDelayMs,
+    pollIntervalMs: queueConfig.pollIntervalMs,
+    deadLetterLimit: queueConfig.deadLetterLimit,
+    compactAfter: queueConfig.compactAfter,
+  });
+}
+
+module.exports = {
+  JobQueue,
+  webhookQueue: createWebhookQueue(),
+};
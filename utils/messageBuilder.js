@@ -0,0 +1,654 @@
+/**
+ * Message Builder
+ * Fluent builders for Send API messages and templates, validated against
+ * Messenger limits
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Builds the `message` object of a /me/messages call: text, button,
+ * generic (carousel), media, receipt and coupon templates, with URL,
+ * postback, call and share buttons and quick replies. build() checks the
+ * result against the Messenger limits and throws a MessageValidationError
+ * naming the offending field, so a bad message fails before it is sent.
+ * fbApi.sendMessage accepts a builder directly:
+ *
+ *   const { MessageBuilder, Button, Element } = require('../../utils/messageBuilder');
+ *
+ *   await fbApi.sendMessage(senderId, MessageBuilder.buttons('Pick a game')
+ *     .addButton(Button.postback('🪙 Flip Coin', 'GAME_FLIP_COIN'))
+ *     .addButton(Button.url('Rules', 'https://example.com/rules')));
+ *
+ *   await fbApi.sendMessage(senderId, MessageBuilder.generic()
+ *     .addElement(Element.create('Dice')
+ *       .subtitle('Roll against the bot')
+ *       .image('https://example.com/dice.png')
+ *       .addButton(Button.postback('Play', 'GAME_DICE'))));
+ */
+
+const { textLength } = require('./messageFormat');
+
+// Messenger limits
+const LIMITS = {
+  TEXT_LENGTH: 2000,
+  QUICK_REPLIES: 13,
+  QUICK_REPLY_TITLE_LENGTH: 20,
+  PAYLOAD_LENGTH: 1000,
+  BUTTONS: 3,
+  BUTTON_TITLE_LENGTH: 20,
+  BUTTON_TEXT_LENGTH: 640,
+  ELEMENTS: 10,
+  ELEMENT_TITLE_LENGTH: 80,
+  ELEMENT_SUBTITLE_LENGTH: 80,
+  RECEIPT_ELEMENTS: 100,
+};
+
+const BUTTON_TYPES = ['web_url', 'postback', 'phone_number', 'element_share'];
+const MEDIA_TYPES = ['image', 'video'];
+const WEBVIEW_HEIGHT_RATIOS = ['compact', 'tall', 'full'];
+
+/**
+ * A message that breaks a Messenger limit or misses a required field.
+ */
+class MessageValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.field Path of the field, e.g. quick_replies[13]
+   * @param {string} [details.code] LIMIT_EXCEEDED, MISSING_FIELD or INVALID_VALUE
+   * @param {number} [details.limit] The limit that was exceeded
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'MessageValidationError';
+    this.code = details.code || 'INVALID_VALUE';
+    this.field = details.field || null;
+    this.limit = details.limit === undefined ? null : details.limit;
+  }
+}
+
+function isMessageValidationError(error) {
+  return error instanceof MessageValidationError;
+}
+
+// Length in the same unit splitText uses (see utils/messageFormat.js)
+function length(value) {
+  return textLength(value);
+}
+
+function required(value, field) {
+  if (value === undefined || value === null || value === '') {
+    throw new MessageValidationError(`${field} is required`, { field, code: 'MISSING_FIELD' });
+  }
+}
+
+function maxLength(value, limit, field) {
+  if (value !== undefined && value !== null && length(value) > limit) {
+    throw new MessageValidationError(
+      `${field} must be at most ${limit} characters, got ${length(value)}`,
+      { field, code: 'LIMIT_EXCEEDED', limit },
+    );
+  }
+}
+
+function maxCount(items, limit, field) {
+  if (items && items.length > limit) {
+    throw new MessageValidationError(
+      `${field} can have at most ${limit} entries, got ${items.length}`,
+      { field, code: 'LIMIT_EXCEEDED', limit },
+    );
+  }
+}
+
+function oneOf(value, allowed, field) {
+  if (!allowed.includes(value)) {
+    throw new MessageValidationError(
+      `${field} must be one of ${allowed.join(', ')}, got ${value}`,
+      { field },
+    );
+  }
+}
+
+function validateUrl(value, field) {
+  required(value, field);
+  if (!/^https?:\/\//i.test(String(value))) {
+    throw new MessageValidationError(`${field} must be an http(s) URL, got ${value}`, { field });
+  }
+}
+
+function validateButtons(buttons, field, options = {}) {
+  if (!Array.isArray(buttons)) {
+    throw new MessageValidationError(`${field} must be an array`, { field });
+  }
+  maxCount(buttons, LIMITS.BUTTONS, field);
+  buttons.forEach((button, index) => {
+    const path = `${field}[${index}]`;
+    oneOf(button && button.type, BUTTON_TYPES, `${path}.type`);
+    if (button.type === 'element_share') {
+      if (!options.allowShare) {
+        throw new MessageValidationError(
+          `${path}: share buttons are only allowed in generic template elements`,
+          { field: path },
+        );
+      }
+      return;
+    }
+    required(button.title, `${path}.title`);
+    maxLength(button.title, LIMITS.BUTTON_TITLE_LENGTH, `${path}.title`);
+    switch (button.type) {
+      case 'web_url':
+        validateUrl(button.url, `${path}.url`);
+        if (button.webview_height_ratio) {
+          oneOf(button.webview_height_ratio, WEBVIEW_HEIGHT_RATIOS, `${path}.webview_height_ratio`);
+        }
+        break;
+      case 'postback':
+        required(button.payload, `${path}.payload`);
+        maxLength(button.payload, LIMITS.PAYLOAD_LENGTH, `${path}.payload`);
+        break;
+      case 'phone_number':
+        required(button.payload, `${path}.payload`);
+        if (!/^\+\d{6,15}$/.test(String(button.payload))) {
+          throw new MessageValidationError(
+            `${path}.payload must be a phone number in +<country code><number> format, got ${button.payload}`,
+            { field: `${path}.payload` },
+          );
+        }
+        break;
+    }
+  });
+}
+
+function validateQuickReplies(quickReplies) {
+  const field = 'quick_replies';
+  if (!Array.isArray(quickReplies)) {
+    throw new MessageValidationError(`${field} must be an array`, { field });
+  }
+  maxCount(quickReplies, LIMITS.QUICK_REPLIES, field);
+  quickReplies.forEach((reply, index) => {
+    const path = `${field}[${index}]`;
+    const contentType = (reply && reply.content_type) || 'text';
+    if (contentType !== 'text') return;
+    required(reply.title, `${path}.title`);
+    maxLength(reply.title, LIMITS.QUICK_REPLY_TITLE_LENGTH, `${path}.title`);
+    required(reply.payload, `${path}.payload`);
+    maxLength(reply.payload, LIMITS.PAYLOAD_LENGTH, `${path}.payload`);
+  });
+}
+
+function validateGenericElements(elements, field) {
+  required(elements && elements.length ? elements : null, field);
+  maxCount(elements, LIMITS.ELEMENTS, field);
+  elements.forEach((element, index) => {
+    const path = `${field}[${index}]`;
+    required(element.title, `${path}.title`);
+    maxLength(element.title, LIMITS.ELEMENT_TITLE_LENGTH, `${path}.title`);
+    maxLength(element.subtitle, LIMITS.ELEMENT_SUBTITLE_LENGTH, `${path}.subtitle`);
+    if (element.image_url) validateUrl(element.image_url, `${path}.image_url`);
+    if (element.default_action) {
+      validateUrl(element.default_action.url, `${path}.default_action.url`);
+    }
+    if (element.buttons) validateButtons(element.buttons, `${path}.buttons`, { allowShare: true });
+  });
+}
+
+function validateMediaTemplate(payload) {
+  const elements = payload.elements || [];
+  if (elements.length !== 1) {
+    throw new MessageValidationError('A media template has exactly one element', {
+      field: 'attachment.payload.elements',
+      code: elements.length ? 'LIMIT_EXCEEDED' : 'MISSING_FIELD',
+      limit: 1,
+    });
+  }
+  const [element] = elements;
+  const path = 'attachment.payload.elements[0]';
+  oneOf(element.media_type, MEDIA_TYPES, `${path}.media_type`);
+  if (!element.attachment_id && !element.url) {
+    throw new MessageValidationError(`${path} needs an attachment_id or a url`, {
+      field: path,
+      code: 'MISSING_FIELD',
+    });
+  }
+  if (element.buttons) validateButtons(element.buttons, `${path}.buttons`);
+}
+
+function validateReceiptTemplate(payload) {
+  const path = 'attachment.payload';
+  for (const field of ['recipient_name', 'order_number', 'currency', 'payment_method']) {
+    required(payload[field], `${path}.${field}`);
+  }
+  if (!/^[A-Z]{3}$/.test(payload.currency)) {
+    throw new MessageValidationError(
+      `${path}.currency must be an ISO 4217 code such as USD, got ${payload.currency}`,
+      { field: `${path}.currency` },
+    );
+  }
+  required(payload.summary, `${path}.summary`);
+  required(payload.summary.total_cost, `${path}.summary.total_cost`);
+  maxCount(payload.elements, LIMITS.RECEIPT_ELEMENTS, `${path}.elements`);
+  (payload.elements || []).forEach((element, index) => {
+    required(element.title, `${path}.elements[${index}].title`);
+    required(element.price, `${path}.elements[${index}].price`);
+    if (element.image_url) validateUrl(element.image_url, `${path}.elements[${index}].image_url`);
+  });
+  if (payload.address) {
+    for (const field of ['street_1', 'city', 'postal_code', 'state', 'country']) {
+      required(payload.address[field], `${path}.address.${field}`);
+    }
+  }
+  if (payload.order_url) validateUrl(payload.order_url, `${path}.order_url`);
+}
+
+function validateCouponTemplate(payload) {
+  const path = 'attachment.payload';
+  required(payload.title, `${path}.title`);
+  maxLength(payload.title, LIMITS.ELEMENT_TITLE_LENGTH, `${path}.title`);
+  maxLength(payload.subtitle, LIMITS.ELEMENT_SUBTITLE_LENGTH, `${path}.subtitle`);
+  if (!payload.coupon_code && !payload.coupon_url) {
+    throw new MessageValidationError(`${path} needs a coupon_code or a coupon_url`, {
+      field: path,
+      code: 'MISSING_FIELD',
+    });
+  }
+  if (payload.coupon_url) validateUrl(payload.coupon_url, `${path}.coupon_url`);
+  maxLength(payload.coupon_url_button_title, LIMITS.BUTTON_TITLE_LENGTH, `${path}.coupon_url_button_title`);
+  if (payload.image_url) validateUrl(payload.image_url, `${path}.image_url`);
+  maxLength(payload.payload, LIMITS.PAYLOAD_LENGTH, `${path}.payload`);
+}
+
+/**
+ * Check a Send API `message` object against the Messenger limits.
+ *
+ * @param {Object} message
+ * @returns {Object} The same message
+ * @throws {MessageValidationError}
+ */
+function validateMessage(message) {
+  if (!message || (message.text === undefined && !message.attachment)) {
+    throw new MessageValidationError('A message needs text or an attachment', {
+      field: 'message',
+      code: 'MISSING_FIELD',
+    });
+  }
+  if (message.text !== undefined) {
+    required(message.text, 'text');
+    maxLength(message.text, LIMITS.TEXT_LENGTH, 'text');
+  }
+  if (message.quick_replies) validateQuickReplies(message.quick_replies);
+
+  const attachment = message.attachment;
+  if (attachment && attachment.type === 'template') {
+    const payload = attachment.payload || {};
+    switch (payload.template_type) {
+      case 'button':
+        required(payload.text, 'attachment.payload.text');
+        maxLength(payload.text, LIMITS.BUTTON_TEXT_LENGTH, 'attachment.payload.text');
+        required(payload.buttons && payload.buttons.length ? payload.buttons : null, 'attachment.payload.buttons');
+        validateButtons(payload.buttons, 'attachment.payload.buttons');
+        break;
+      case 'generic':
+        validateGenericElements(payload.elements, 'attachment.payload.elements');
+        break;
+      case 'media':
+        validateMediaTemplate(payload);
+        break;
+      case 'receipt':
+        validateReceiptTemplate(payload);
+        break;
+      case 'coupon':
+        validateCouponTemplate(payload);
+        break;
+    }
+  }
+  return message;
+}
+
+/**
+ * Button factories. Each returns a Send API button object.
+ */
+const Button = {
+  /**
+   * @param {string} title
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {string} [options.heightRatio] compact, tall or full
+   */
+  url(title, url, options = {}) {
+    const button = { type: 'web_url', title, url };
+    if (options.heightRatio) button.webview_height_ratio = options.heightRatio;
+    return button;
+  },
+
+  postback(title, payload) {
+    return { type: 'postback', title, payload };
+  },
+
+  // phone is in +<country code><number> format
+  call(title, phone) {
+    return { type: 'phone_number', title, payload: phone };
+  },
+
+  // Generic template elements only
+  share() {
+    return { type: 'element_share' };
+  },
+};
+
+/**
+ * Generic template element (one card of a carousel).
+ */
+class Element {
+  static create(title) {
+    return new Element(title);
+  }
+
+  constructor(title) {
+    this.element = { title };
+  }
+
+  subtitle(subtitle) {
+    this.element.subtitle = subtitle;
+    return this;
+  }
+
+  image(url) {
+    this.element.image_url = url;
+    return this;
+  }
+
+  // Opened when the card itself is tapped
+  defaultAction(url, options = {}) {
+    this.element.default_action = { type: 'web_url', url };
+    if (options.heightRatio) this.element.default_action.webview_height_ratio = options.heightRatio;
+    return this;
+  }
+
+  addButton(button) {
+    this.element.buttons = [...(this.element.buttons || []), button];
+    return this;
+  }
+
+  build() {
+    return { ...this.element };
+  }
+}
+
+/**
+ * Base builder. Every message can carry quick replies.
+ */
+class MessageBuilder {
+  constructor() {
+    this.replies = [];
+  }
+
+  /**
+   * @param {string} title
+   * @param {string} payload
+   * @param {string} [imageUrl]
+   */
+  quickReply(title, payload, imageUrl) {
+    const reply = { content_type: 'text', title, payload };
+    if (imageUrl) reply.image_url = imageUrl;
+    this.replies.push(reply);
+    return this;
+  }
+
+  // Add raw quick reply objects, e.g. ones built by a plugin
+  quickReplies(replies) {
+    this.replies.push(...replies);
+    return this;
+  }
+
+  // The message without quick replies, implemented by each builder
+  buildContent() {
+    throw new Error(`${this.constructor.name} does not implement buildContent()`);
+  }
+
+  // The message before validation, so fbApi can format and split its text
+  toMessage() {
+    const message = this.buildContent();
+    if (this.replies.length > 0) {
+      message.quick_replies = this.replies.map(reply => ({ ...reply }));
+    }
+    return message;
+  }
+
+  /**
+   * @returns {Object} Send API `message` object
+   * @throws {MessageValidationError}
+   */
+  build() {
+    return validateMessage(this.toMessage());
+  }
+
+  static text(text) {
+    return new TextMessage(text);
+  }
+
+  static buttons(text) {
+    return new ButtonTemplate(text);
+  }
+
+  static generic() {
+    return new GenericTemplate();
+  }
+
+  /**
+   * @param {string} mediaType image or video
+   * @param {Object} source { url } (a Facebook URL) or { attachmentId }
+   */
+  static media(mediaType, source) {
+    return new MediaTemplate(mediaType, source);
+  }
+
+  /**
+   * @param {Object} order
+   * @param {string} order.recipientName
+   * @param {string} order.orderNumber
+   * @param {string} order.currency ISO 4217 code
+   * @param {string} order.paymentMethod
+   */
+  static receipt(order) {
+    return new ReceiptTemplate(order);
+  }
+
+  /**
+   * @param {Object} coupon
+   * @param {string} coupon.title
+   * @param {string} [coupon.code] Shown to the user to copy
+   * @param {string} [coupon.url] Opened by the coupon button
+   */
+  static coupon(coupon) {
+    return new CouponTemplate(coupon);
+  }
+}
+
+class TextMessage extends MessageBuilder {
+  constructor(text) {
+    super();
+    this.text = text;
+  }
+
+  buildContent() {
+    return { text: this.text };
+  }
+}
+
+class ButtonTemplate extends MessageBuilder {
+  constructor(text) {
+    super();
+    this.text = text;
+    this.buttons = [];
+  }
+
+  addButton(button) {
+    this.buttons.push(button);
+    return this;
+  }
+
+  buildContent() {
+    return {
+      attachment: {
+        type: 'template',
+        payload: { template_type: 'button', text: this.text, buttons: [...this.buttons] },
+      },
+    };
+  }
+}
+
+class GenericTemplate extends MessageBuilder {
+  constructor() {
+    super();
+    this.elements = [];
+    this.ratio = null;
+  }
+
+  // Element or a raw element object
+  addElement(element) {
+    this.elements.push(element);
+    return this;
+  }
+
+  // horizontal (1.91:1, the default) or square
+  imageAspectRatio(ratio) {
+    this.ratio = ratio;
+    return this;
+  }
+
+  buildContent() {
+    const payload = {
+      template_type: 'generic',
+      elements: this.elements.map(element => (element instanceof Element ? element.build() : { ...element })),
+    };
+    if (this.ratio) payload.image_aspect_ratio = this.ratio;
+    return { attachment: { type: 'template', payload } };
+  }
+}
+
+class MediaTemplate extends MessageBuilder {
+  constructor(mediaType, source = {}) {
+    super();
+    this.element = { media_type: mediaType };
+    if (source.attachmentId) this.element.attachment_id = source.attachmentId;
+    else if (source.url) this.element.url = source.url;
+    this.buttons = [];
+  }
+
+  addButton(button) {
+    this.buttons.push(button);
+    return this;
+  }
+
+  buildContent() {
+    const element = { ...this.element };
+    if (this.buttons.length > 0) element.buttons = [...this.buttons];
+    return {
+      attachment: {
+        type: 'template',
+        payload: { template_type: 'media', elements: [element] },
+      },
+    };
+  }
+}
+
+class ReceiptTemplate extends MessageBuilder {
+  constructor(order = {}) {
+    super();
+    this.payload = {
+      template_type: 'receipt',
+      recipient_name: order.recipientName,
+      order_number: order.orderNumber,
+      currency: order.currency,
+      payment_method: order.paymentMethod,
+    };
+    if (order.orderUrl) this.payload.order_url = order.orderUrl;
+    if (order.merchantName) this.payload.merchant_name = order.merchantName;
+    if (order.timestamp) this.payload.timestamp = String(order.timestamp);
+    this.items = [];
+    this.adjustments = [];
+  }
+
+  /**
+   * @param {Object} item { title, price, subtitle, quantity, currency, imageUrl }
+   */
+  addItem(item) {
+    const element = { title: item.title, price: item.price };
+    if (item.subtitle) element.subtitle = item.subtitle;
+    if (item.quantity !== undefined) element.quantity = item.quantity;
+    if (item.currency) element.currency = item.currency;
+    if (item.imageUrl) element.image_url = item.imageUrl;
+    this.items.push(element);
+    return this;
+  }
+
+  /**
+   * @param {Object} address { street1, street2, city, postalCode, state, country }
+   */
+  address(address) {
+    this.payload.address = {
+      street_1: address.street1,
+      street_2: address.street2 || '',
+      city: address.city,
+      postal_code: address.postalCode,
+      state: address.state,
+      country: address.country,
+    };
+    return this;
+  }
+
+  adjustment(name, amount) {
+    this.adjustments.push({ name, amount });
+    return this;
+  }
+
+  /**
+   * @param {Object} summary { totalCost, subtotal, shippingCost, totalTax }
+   */
+  summary(summary) {
+    this.payload.summary = { total_cost: summary.totalCost };
+    if (summary.subtotal !== undefined) this.payload.summary.subtotal = summary.subtotal;
+    if (summary.shippingCost !== undefined) this.payload.summary.shipping_cost = summary.shippingCost;
+    if (summary.totalTax !== undefined) this.payload.summary.total_tax = summary.totalTax;
+    return this;
+  }
+
+  buildContent() {
+    const payload = { ...this.payload };
+    if (this.items.length > 0) payload.elements = [...this.items];
+    if (this.adjustments.length > 0) payload.adjustments = [...this.adjustments];
+    return { attachment: { type: 'template', payload } };
+  }
+}
+
+class CouponTemplate extends MessageBuilder {
+  constructor(coupon = {}) {
+    super();
+    this.payload = { template_type: 'coupon', title: coupon.title };
+    if (coupon.subtitle) this.payload.subtitle = coupon.subtitle;
+    if (coupon.code) this.payload.coupon_code = coupon.code;
+    if (coupon.url) this.payload.coupon_url = coupon.url;
+    if (coupon.buttonTitle) this.payload.coupon_url_button_title = coupon.buttonTitle;
+    if (coupon.preMessage) this.payload.coupon_pre_message = coupon.preMessage;
+    if (coupon.imageUrl) this.payload.image_url = coupon.imageUrl;
+    if (coupon.payload) this.payload.payload = coupon.payload;
+  }
+
+  buildContent() {
+    return { attachment: { type: 'template', payload: { ...this.payload } } };
+  }
+}
+
+function isMessageBuilder(value) {
+  return value instanceof MessageBuilder;
+}
+
+module.exports = {
+  LIMITS,
+  MessageBuilder,
+  Button,
+  Element,
+  MessageValidationError,
+  isMessageValidationError,
+  isMessageBuilder,
+  validateMessage,
+};
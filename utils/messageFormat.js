@@ -0,0 +1,136 @@
+/**
+ * Message Format
+ * Converts the bot's text markup for Messenger and splits long text
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Plugins write `*bold*` and `` `code` `` in their replies. Messenger
+ * shows that markup literally, so fbApi.sendMessage passes text through
+ * formatText first. Styles:
+ *
+ *   unicode  *bold* -> 𝗯𝗼𝗹𝗱 and `code` -> 𝚌𝚘𝚍𝚎 (Unicode letters, the default)
+ *   plain    markers are removed
+ *   none     markers are sent as they are
+ *
+ * The default comes from `messaging.formatting` in config.json. A marker
+ * preceded by a backslash (\*) is kept as a literal character in every
+ * style and the backslash is dropped; use escapeMarkup for user-provided
+ * text such as nicknames.
+ *
+ * splitText breaks text over the 2000-character Send API limit into
+ * chunks at line boundaries, which sendMessage sends in order. Lengths
+ * are measured with textLength, which the message builder's limits use
+ * too.
+ */
+
+const STYLES = ['unicode', 'plain', 'none'];
+
+// Offsets of the Mathematical Alphanumeric Symbols block
+const BOLD = { upper: 0x1D5D4, lower: 0x1D5EE, digit: 0x1D7EC };
+const MONOSPACE = { upper: 0x1D670, lower: 0x1D68A, digit: 0x1D7F6 };
+
+function toAlphabet(text, alphabet) {
+  return Array.from(text).map((char) => {
+    const code = char.codePointAt(0);
+    if (code >= 65 && code <= 90) return String.fromCodePoint(alphabet.upper + code - 65);
+    if (code >= 97 && code <= 122) return String.fromCodePoint(alphabet.lower + code - 97);
+    if (code >= 48 && code <= 57) return String.fromCodePoint(alphabet.digit + code - 48);
+    return char;
+  }).join('');
+}
+
+// `code` or *bold*, not starting or ending with whitespace, and not
+// preceded by a backslash
+const MARKUP = /(^|[^\\])(`(\S(?:[^`\n]*\S)?)`|\*(\S(?:[^*\n]*\S)?)\*)/g;
+
+/**
+ * Convert markup in text to the given style.
+ *
+ * @param {string} text
+ * @param {string} [style='unicode'] unicode, plain or none
+ * @returns {string}
+ */
+function formatText(text, style = 'unicode') {
+  if (typeof text !== 'string') return text;
+  const formatted = style === 'none' ? text : text.replace(MARKUP, (match, before, _markup, code, bold) => {
+    if (style === 'plain') return before + (code !== undefined ? code : bold);
+    return before + (code !== undefined ? toAlphabet(code, MONOSPACE) : toAlphabet(bold, BOLD));
+  });
+  return formatted.replace(/\\([*`\\])/g, '$1');
+}
+
+/**
+ * Escape markup characters so formatText leaves them as they are.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkup(text) {
+  return String(text).replace(/([*`\\])/g, '\\$1');
+}
+
+/**
+ * Length of text in UTF-16 code units, the unit the Send API limits are
+ * checked in here. An emoji or a Unicode-styled letter counts as two, so
+ * text within the limit fits however Messenger counts it.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+function textLength(text) {
+  return String(text).length;
+}
+
+// Split a single line longer than the limit at the last space, or at the
+// limit when there is none, without breaking a surrogate pair
+function splitLine(line, limit) {
+  const parts = [];
+  let rest = line;
+  while (rest.length > limit) {
+    let cut = rest.lastIndexOf(' ', limit);
+    if (cut <= 0) {
+      cut = limit;
+      const code = rest.charCodeAt(cut - 1);
+      if (code >= 0xD800 && code <= 0xDBFF) cut--;
+    }
+    parts.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^ /, '');
+  }
+  parts.push(rest);
+  return parts;
+}
+
+/**
+ * Split text into chunks of at most `limit` in textLength, breaking at
+ * line boundaries where possible.
+ *
+ * @param {string} text
+ * @param {number} [limit=2000]
+ * @returns {Array<string>} One chunk when the text fits
+ */
+function splitText(text, limit = 2000) {
+  if (textLength(text) <= limit) return [text];
+  const chunks = [];
+  let current = '';
+  for (const line of text.split('\n')) {
+    for (const part of textLength(line) > limit ? splitLine(line, limit) : [line]) {
+      const candidate = current ? `${current}\n${part}` : part;
+      if (textLength(candidate) <= limit) {
+        current = candidate;
+        continue;
+      }
+      if (current.trim()) chunks.push(current.replace(/\s+$/, ''));
+      current = part;
+    }
+  }
+  if (current.trim()) chunks.push(current.replace(/\s+$/, ''));
+  return chunks;
+}
+
+module.exports = {
+  STYLES,
+  formatText,
+  escapeMarkup,
+  textLength,
+  splitText,
+};
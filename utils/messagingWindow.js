@@ -0,0 +1,149 @@
+/**
+ * Messaging Window Policy
+ * Messenger's standard messaging window and message tags
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * A page may message a user freely for 24 hours after the user's last
+ * message, postback, reaction, referral or opt-in. Outside that window a
+ * send needs the MESSAGE_TAG messaging type with a tag that covers it;
+ * HUMAN_AGENT extends the window to 7 days for replies from a person.
+ * A comment can get one private reply within 7 days of being posted.
+ * FacebookAPI.sendMessage and sendPrivateReply check these rules before
+ * sending so the page is not flagged for policy violations.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const STANDARD_WINDOW_MS = 24 * HOUR_MS;
+const HUMAN_AGENT_WINDOW_MS = 7 * 24 * HOUR_MS;
+const PRIVATE_REPLY_WINDOW_MS = 7 * 24 * HOUR_MS;
+
+const MESSAGING_TYPES = ['RESPONSE', 'UPDATE', 'MESSAGE_TAG'];
+
+// Tag -> how long after the last interaction it may be used (null: any time)
+const MESSAGE_TAGS = {
+  ACCOUNT_UPDATE: null,
+  CONFIRMED_EVENT_UPDATE: null,
+  POST_PURCHASE_UPDATE: null,
+  HUMAN_AGENT: HUMAN_AGENT_WINDOW_MS,
+};
+
+class MessagingWindowError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'MessagingWindowError';
+    this.code = details.code || 'OUTSIDE_MESSAGING_WINDOW';
+    this.recipientId = details.recipientId || null;
+    this.commentId = details.commentId || null;
+    this.messagingType = details.messagingType || null;
+    this.tag = details.tag || null;
+    this.lastInteractionAt = details.lastInteractionAt || null;
+  }
+}
+
+/**
+ * Normalise sendMessage options into the Send API fields. A tag on its
+ * own implies MESSAGE_TAG.
+ *
+ * @param {Object} options sendMessage options
+ * @param {string} [options.messagingType] RESPONSE, UPDATE or MESSAGE_TAG
+ * @param {string} [options.tag] Message tag, required for MESSAGE_TAG
+ * @returns {{messagingType: string, tag: (string|null)}}
+ * @throws {Error} If the type or tag is not valid
+ */
+function resolveMessagingType(options = {}) {
+  const tag = options.tag ? String(options.tag).toUpperCase() : null;
+  const messagingType = options.messagingType
+    ? String(options.messagingType).toUpperCase()
+    : (tag ? 'MESSAGE_TAG' : 'RESPONSE');
+
+  if (!MESSAGING_TYPES.includes(messagingType)) {
+    throw new Error(`Invalid messaging type "${options.messagingType}". Use one of ${MESSAGING_TYPES.join(', ')}`);
+  }
+  if (messagingType === 'MESSAGE_TAG') {
+    if (!tag || !Object.prototype.hasOwnProperty.call(MESSAGE_TAGS, tag)) {
+      throw new Error(`MESSAGE_TAG sends need a valid tag: ${Object.keys(MESSAGE_TAGS).join(', ')}`);
+    }
+  } else if (tag) {
+    throw new Error(`A message tag can only be used with the MESSAGE_TAG messaging type, not ${messagingType}`);
+  }
+  return { messagingType, tag };
+}
+
+/**
+ * Check whether a send is allowed given the user's last interaction.
+ *
+ * @param {Object} send
+ * @param {string} send.recipientId
+ * @param {string} send.messagingType
+ * @param {string|null} send.tag
+ * @param {number|null} lastInteractionAt Epoch ms of the user's last
+ *   inbound interaction, null if unknown
+ * @param {number} [now]
+ * @returns {MessagingWindowError|null} Error describing the refusal, or
+ *   null if the send is allowed
+ */
+function checkMessagingWindow({ recipientId, messagingType, tag }, lastInteractionAt, now = Date.now()) {
+  const elapsed = lastInteractionAt ? now - lastInteractionAt : Infinity;
+  const details = { recipientId, messagingType, tag, lastInteractionAt };
+  const last = lastInteractionAt
+    ? `last interaction ${new Date(lastInteractionAt).toISOString()}`
+    : 'no recorded interaction';
+
+  if (messagingType === 'MESSAGE_TAG') {
+    const limit = MESSAGE_TAGS[tag];
+    if (limit === null || elapsed <= limit) return null;
+    return new MessagingWindowError(
+      `Cannot send to ${recipientId} with tag ${tag}: it is only allowed within ` +
+      `${limit / HOUR_MS / 24} days of the user's last message (${last})`,
+      details,
+    );
+  }
+
+  if (elapsed <= STANDARD_WINDOW_MS) return null;
+  return new MessagingWindowError(
+    `Cannot send to ${recipientId}: outside the 24-hour messaging window (${last}). ` +
+    'Use messagingType MESSAGE_TAG with a tag such as ACCOUNT_UPDATE for this message',
+    details,
+  );
+}
+
+/**
+ * Check whether a comment is still recent enough for a private reply.
+ *
+ * @param {string} commentId
+ * @param {number|string|null} createdAt When the comment was posted: the
+ *   webhook's created_time in seconds, epoch ms or an ISO date; null if
+ *   unknown
+ * @param {number} [now]
+ * @returns {MessagingWindowError|null}
+ */
+function checkPrivateReplyWindow(commentId, createdAt, now = Date.now()) {
+  let postedAt = Number(createdAt);
+  if (Number.isNaN(postedAt)) postedAt = Date.parse(createdAt);
+  else if (postedAt < 1e12) postedAt *= 1000;
+  if (!createdAt || Number.isNaN(postedAt) || now - postedAt <= PRIVATE_REPLY_WINDOW_MS) {
+    return null;
+  }
+  return new MessagingWindowError(
+    `Cannot send a private reply to comment ${commentId}: it is older than 7 days`,
+    { code: 'PRIVATE_REPLY_EXPIRED', commentId },
+  );
+}
+
+function isMessagingWindowError(error) {
+  return error instanceof MessagingWindowError;
+}
+
+module.exports = {
+  STANDARD_WINDOW_MS,
+  HUMAN_AGENT_WINDOW_MS,
+  PRIVATE_REPLY_WINDOW_MS,
+  MESSAGING_TYPES,
+  MESSAGE_TAGS,
+  MessagingWindowError,
+  resolveMessagingType,
+  checkMessagingWindow,
+  checkPrivateReplyWindow,
+  isMessagingWindowError,
+};
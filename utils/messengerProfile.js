@@ -0,0 +1,150 @@
+/**
+ * Messenger Profile
+ * Converts the messengerProfile config section to Messenger Profile API
+ * fields and compares it with the profile currently set on the page
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * The config section (validated by safeConfig) uses camelCase fields with
+ * locale-keyed values:
+ *
+ *   getStarted      postback payload of the Get Started button
+ *   greeting        { default: 'Hi!', fr_FR: 'Salut !' }
+ *   persistentMenu  { default: [{ type: 'postback', title, payload }] }
+ *   iceBreakers     { default: [{ question, payload }] }
+ *
+ * Only fields present in the section are managed; a field set to null is
+ * removed from the page. FacebookAPI.syncMessengerProfile uses the diff to
+ * send only what changed.
+ */
+
+// Config field -> Messenger Profile API field
+const PROFILE_FIELDS = {
+  getStarted: 'get_started',
+  greeting: 'greeting',
+  persistentMenu: 'persistent_menu',
+  iceBreakers: 'ice_breakers',
+};
+
+// default first, then the other locales alphabetically
+function sortLocales(entries) {
+  return entries.sort((a, b) => {
+    if (a.locale === b.locale) return 0;
+    if (a.locale === 'default') return -1;
+    if (b.locale === 'default') return 1;
+    return a.locale < b.locale ? -1 : 1;
+  });
+}
+
+function buildMenuItem(item) {
+  if (item.type === 'web_url') {
+    return { type: 'web_url', title: item.title, url: item.url };
+  }
+  return { type: 'postback', title: item.title, payload: item.payload };
+}
+
+/**
+ * Build the Messenger Profile API value of each managed field.
+ *
+ * @param {Object} section Validated messengerProfile config section
+ * @returns {Object} API field -> value, null for fields to remove
+ */
+function buildProfile(section = {}) {
+  const profile = {};
+  for (const [field, apiField] of Object.entries(PROFILE_FIELDS)) {
+    if (!(field in section)) continue;
+    const value = section[field];
+    if (value === null) {
+      profile[apiField] = null;
+      continue;
+    }
+    switch (field) {
+      case 'getStarted':
+        profile.get_started = { payload: value };
+        break;
+      case 'greeting':
+        profile.greeting = sortLocales(Object.entries(value).map(([locale, text]) => ({ locale, text })));
+        break;
+      case 'persistentMenu':
+        profile.persistent_menu = sortLocales(Object.entries(value).map(([locale, items]) => ({
+          locale,
+          composer_input_disabled: false,
+          call_to_actions: items.map(buildMenuItem),
+        })));
+        break;
+      case 'iceBreakers':
+        profile.ice_breakers = sortLocales(Object.entries(value).map(([locale, items]) => ({
+          locale,
+          call_to_actions: items.map(item => ({ question: item.question, payload: item.payload })),
+        })));
+        break;
+    }
+  }
+  return profile;
+}
+
+/**
+ * Reduce a profile read from /me/messenger_profile to the fields
+ * buildProfile produces, so the two can be compared.
+ *
+ * @param {Object} current The first entry of the API response's data
+ * @returns {Object} API field -> value, null for unset fields
+ */
+function normalizeProfile(current = {}) {
+  const profile = {};
+  profile.get_started = current.get_started && current.get_started.payload
+    ? { payload: current.get_started.payload }
+    : null;
+  profile.greeting = Array.isArray(current.greeting) && current.greeting.length > 0
+    ? sortLocales(current.greeting.map(entry => ({ locale: entry.locale, text: entry.text })))
+    : null;
+  profile.persistent_menu = Array.isArray(current.persistent_menu) && current.persistent_menu.length > 0
+    ? sortLocales(current.persistent_menu.map(menu => ({
+      locale: menu.locale,
+      composer_input_disabled: !!menu.composer_input_disabled,
+      call_to_actions: (menu.call_to_actions || []).map(buildMenuItem),
+    })))
+    : null;
+  profile.ice_breakers = Array.isArray(current.ice_breakers) && current.ice_breakers.length > 0
+    ? sortLocales(current.ice_breakers.map(entry => ({
+      locale: entry.locale || 'default',
+      call_to_actions: (entry.call_to_actions || []).map(item => ({
+        question: item.question,
+        payload: item.payload,
+      })),
+    })))
+    : null;
+  return profile;
+}
+
+/**
+ * Compare the desired profile with the one on the page.
+ *
+ * @param {Object} current Normalised current profile
+ * @param {Object} desired Profile from buildProfile
+ * @returns {{set: Object, remove: Array<string>, unchanged: Array<string>,
+ *   changes: Array<{field: string, action: string, from: *, to: *}>}}
+ */
+function diffProfile(current, desired) {
+  const result = { set: {}, remove: [], unchanged: [], changes: [] };
+  for (const [field, value] of Object.entries(desired)) {
+    const from = current[field] === undefined ? null : current[field];
+    if (JSON.stringify(from) === JSON.stringify(value)) {
+      result.unchanged.push(field);
+    } else if (value === null) {
+      result.remove.push(field);
+      result.changes.push({ field, action: 'remove', from, to: null });
+    } else {
+      result.set[field] = value;
+      result.changes.push({ field, action: 'set', from, to: value });
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  buildProfile,
+  normalizeProfile,
+  diffProfile,
+};
@@ -0,0 +1,168 @@
+/**
+ * Prometheus Metrics
+ * Counters and histograms exposed on /metrics through prom-client
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const client = require('prom-client');
+const { healthMonitor } = require('./healthMonitor');
+
+const register = new client.Registry();
+
+// Webhook events by type (message, postback, read, feed_comment, ...)
+const webhookEvents = new client.Counter({
+  name: 'fbbot_webhook_events_total',
+  help: 'Webhook events dispatched, by event type',
+  labelNames: ['type'],
+  registers: [register],
+});
+
+// Time spent inside each plugin's start/run function
+const pluginDuration = new client.Histogram({
+  name: 'fbbot_plugin_duration_seconds',
+  help: 'Plugin handler latency in seconds',
+  labelNames: ['plugin_type', 'plugin', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+// Graph API calls by endpoint and result code from fbApi.request
+const graphApiRequests = new client.Counter({
+  name: 'fbbot_graph_api_requests_total',
+  help: 'Graph API requests by method, endpoint and result code',
+  labelNames: ['method', 'endpoint', 'code'],
+  registers: [register],
+});
+
+const pluginLoadFailures = new client.Counter({
+  name: 'fbbot_plugin_load_failures_total',
+  help: 'Plugins that failed to load or validate, by plugin type',
+  labelNames: ['type'],
+  registers: [register],
+});
+
+const userStoreDuration = new client.Histogram({
+  name: 'fbbot_user_store_operation_duration_seconds',
+  help: 'User store operation latency in seconds',
+  labelNames: ['operation', 'backend'],
+  buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register],
+});
+
+// Process and system gauges, read from HealthMonitor.getSystemMetrics at
+// scrape time so they match the figures shown by the health endpoints
+new client.Gauge({
+  name: 'fbbot_process_memory_megabytes',
+  help: 'Process memory usage in megabytes',
+  labelNames: ['type'],
+  registers: [register],
+  collect() {
+    const { memory } = healthMonitor.getSystemMetrics().process;
+    for (const [type, value] of Object.entries(memory)) {
+      this.set({ type }, value);
+    }
+  },
+});
+
+new client.Gauge({
+  name: 'fbbot_process_uptime_seconds',
+  help: 'Process uptime in seconds',
+  registers: [register],
+  collect() {
+    this.set(healthMonitor.getSystemMetrics().process.uptime);
+  },
+});
+
+new client.Gauge({
+  name: 'fbbot_system_memory_usage_ratio',
+  help: 'Fraction of system memory in use',
+  registers: [register],
+  collect() {
+    this.set(healthMonitor.getSystemMetrics().system.memory.usage);
+  },
+});
+
+new client.Gauge({
+  name: 'fbbot_system_load_average',
+  help: 'System load average',
+  labelNames: ['period'],
+  registers: [register],
+  collect() {
+    const [one, five, fifteen] = healthMonitor.getSystemMetrics().system.loadavg;
+    this.set({ period: '1m' }, one);
+    this.set({ period: '5m' }, five);
+    this.set({ period: '15m' }, fifteen);
+  },
+});
+
+new client.Gauge({
+  name: 'fbbot_error_rate',
+  help: 'Ratio of errors to requests tracked by the health monitor',
+  registers: [register],
+  collect() {
+    this.set(healthMonitor.getSystemMetrics().bot.errorRate);
+  },
+});
+
+// Replace numeric IDs in a Graph API path so that every page, user and
+// comment does not become its own label value
+function normalizeEndpoint(endpoint) {
+  return String(endpoint || '/')
+    .split('?')[0]
+    .replace(/\/\d+(_\d+)*(?=\/|$)/g, '/{id}');
+}
+
+// Count a dispatched webhook event
+function recordWebhookEvent(type) {
+  webhookEvents.inc({ type: type || 'unknown' });
+}
+
+// Count a Graph API call. `code` is the Graph error code, 'ok' on success
+// or 'network' when no response was received.
+function recordGraphApiCall(method, endpoint, code) {
+  graphApiRequests.inc({
+    method: String(method || 'GET').toUpperCase(),
+    endpoint: normalizeEndpoint(endpoint),
+    code: String(code),
+  });
+}
+
+function recordPluginLoadFailure(type) {
+  pluginLoadFailures.inc({ type });
+}
+
+// Time an async plugin call and record it whether it resolves or throws
+async function timePlugin(pluginType, plugin, fn) {
+  const end = pluginDuration.startTimer({ plugin_type: pluginType, plugin: plugin || 'unknown' });
+  try {
+    const result = await fn();
+    end({ status: 'ok' });
+    return result;
+  } catch (error) {
+    end({ status: 'error' });
+    throw error;
+  }
+}
+
+// Time an async user store operation
+async function timeUserStore(operation, backend, fn) {
+  const end = userStoreDuration.startTimer({ operation, backend });
+  try {
+    return await fn();
+  } finally {
+    end();
+  }
+}
+
+module.exports = {
+  register,
+  contentType: register.contentType,
+  getMetrics: () => register.metrics(),
+  normalizeEndpoint,
+  recordWebhookEvent,
+  recordGraphApiCall,
+  recordPluginLoadFailure,
+  timePlugin,
+  timeUserStore,
+};
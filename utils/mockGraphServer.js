@@ -0,0 +1,848 @@
+/**
+ * Mock Graph API Server
+ * Local stand-in for graph.facebook.com used for development and tests
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Implements the parts of the Graph API the bot calls: the Send API
+ * (/me/messages), Facebook and Instagram comment replies, the page feed,
+ * insights, user and page profiles, the Messenger Profile, attachment
+ * uploads, the handover protocol, webhook subscriptions, token inspection (debug_token) and
+ * the batch endpoint. Every call is recorded so it can be inspected
+ * afterwards, and the server answers with the same error payloads
+ * Facebook uses for codes 4, 10, 100, 190, 368 and 551.
+ *
+ * Point the bot at it with FB_GRAPH_API_URL=http://localhost:4040 (or
+ * `facebook.graphApiUrl` in config.json) and start it with:
+ *
+ *   npm run mock:graph
+ *
+ * Errors can be triggered in three ways:
+ *   - POST /__mock/errors { code, subcode, path, method, count }
+ *   - sending to a recipient ID of the form `error_<code>`, e.g. error_368
+ *   - a missing access token, or one that differs from `accessToken`
+ *
+ * Recorded calls are listed on GET /__mock/calls and emitted as `call`
+ * events.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('./logger');
+
+// Error payloads as returned by the Graph API
+const GRAPH_ERRORS = {
+  4: {
+    status: 403,
+    message: '(#4) Application request limit reached',
+    type: 'OAuthException',
+    is_transient: true,
+  },
+  10: {
+    status: 403,
+    message: '(#10) This message is sent outside of allowed window.',
+    type: 'OAuthException',
+    error_subcode: 2018278,
+  },
+  100: {
+    status: 400,
+    message: '(#100) Invalid parameter',
+    type: 'OAuthException',
+  },
+  190: {
+    status: 401,
+    message: 'Error validating access token: Session has expired.',
+    type: 'OAuthException',
+    error_subcode: 463,
+  },
+  368: {
+    status: 400,
+    message: '(#368) The action attempted has been deemed abusive or is otherwise disallowed',
+    type: 'OAuthException',
+    error_subcode: 1390008,
+  },
+  551: {
+    status: 400,
+    message: '(#551) This person isn\'t available right now.',
+    type: 'OAuthException',
+    error_subcode: 1545041,
+  },
+};
+
+const FIRST_NAMES = ['Alex', 'Sam', 'Jordan', 'Taylor', 'Riley', 'Casey', 'Morgan', 'Jamie'];
+const LAST_NAMES = ['Rahman', 'Smith', 'Khan', 'Garcia', 'Chen', 'Ali', 'Brown', 'Silva'];
+
+// Facebook-style trace ID attached to every error
+function createTraceId() {
+  return crypto.randomBytes(8).toString('base64').replace(/[^A-Za-z0-9]/g, '').slice(0, 11);
+}
+
+/**
+ * Build a Graph API error response.
+ *
+ * @param {number} code Graph error code
+ * @param {Object} [overrides] Fields to replace, e.g. message or error_subcode
+ * @returns {{status: number, body: Object}}
+ */
+function createGraphError(code, overrides = {}) {
+  const template = GRAPH_ERRORS[code] || {
+    status: 400,
+    message: `(#${code}) Mock Graph API error`,
+    type: 'OAuthException',
+  };
+  const { status, ...error } = { ...template, ...overrides };
+  return {
+    status,
+    body: {
+      error: {
+        ...error,
+        code,
+        fbtrace_id: createTraceId(),
+      },
+    },
+  };
+}
+
+// Remove the access token from recorded parameters
+function withoutToken(params) {
+  const { access_token: _accessToken, ...rest } = params || {};
+  return rest;
+}
+
+// Decode a form-encoded batch body. Like the Graph API, values holding
+// JSON objects or arrays (recipient={"id":"..."}) are parsed.
+function parseFormBody(body) {
+  const params = {};
+  for (const [key, value] of new URLSearchParams(body)) {
+    if (/^[[{]/.test(value)) {
+      try {
+        params[key] = JSON.parse(value);
+        continue;
+      } catch (error) {
+        // Not JSON, keep the raw string
+      }
+    }
+    params[key] = value;
+  }
+  return params;
+}
+
+// Page webhook fields accepted by subscribed_apps
+const WEBHOOK_FIELDS = [
+  'feed',
+  'messages',
+  'messaging_postbacks',
+  'messaging_optins',
+  'messaging_referrals',
+  'messaging_handovers',
+  'messaging_account_linking',
+  'message_deliveries',
+  'message_reads',
+  'message_reactions',
+  'message_echoes',
+  'standby',
+];
+
+// Scopes debug_token reports for the page token
+const MOCK_TOKEN_SCOPES = [
+  'pages_show_list',
+  'pages_messaging',
+  'pages_read_engagement',
+  'pages_manage_metadata',
+  'pages_manage_engagement',
+];
+
+class MockGraphServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.pageId = options.pageId || '100000000000001';
+    this.pageName = options.pageName || 'Mock Page';
+    // App ID of the bot, the primary receiver of the handover protocol
+    this.appId = options.appId || '200000000000001';
+    // When set, requests with a different token fail with code 190
+    this.accessToken = options.accessToken || null;
+    this.maxCalls = options.maxCalls || 1000;
+    this.server = null;
+    this.app = this.createApp();
+    this.reset();
+  }
+
+  // Forget recorded calls, queued errors and created objects
+  reset() {
+    this.calls = [];
+    this.errorRules = [];
+    this.posts = [];
+    this.comments = new Map();
+    this.messengerProfile = {};
+    // Comment ID -> PSID of its author, for private replies
+    this.commentAuthors = new Map();
+    this.privateReplies = new Set();
+    // attachment_id -> upload, so sends can reference uploaded IDs only
+    this.attachments = new Map();
+    // PSID -> app ID owning the thread, the bot's app when absent
+    this.threadOwners = new Map();
+    // Token -> debug_token overrides, see setTokenInfo
+    this.tokenInfo = new Map();
+    // Webhook fields of the app's page subscription, null when the app is
+    // not subscribed
+    this.subscribedFields = null;
+    this.sequence = 0;
+  }
+
+  /**
+   * Tell the mock who wrote a comment the bot is notified about, so a
+   * private reply to it reports that user's PSID like the real Send API.
+   * Without this a PSID derived from the comment ID is returned.
+   *
+   * @param {string} commentId
+   * @param {string} psid
+   */
+  registerComment(commentId, psid) {
+    this.commentAuthors.set(String(commentId), String(psid));
+  }
+
+  nextId() {
+    this.sequence++;
+    return `${Date.now()}${String(this.sequence).padStart(4, '0')}`;
+  }
+
+  /**
+   * Make upcoming calls fail with a Graph error.
+   *
+   * @param {number} code Graph error code (4, 10, 100, 190, 368, ...)
+   * @param {Object} [options]
+   * @param {string} [options.path] Only match paths containing this string
+   * @param {string} [options.method] Only match this HTTP method
+   * @param {number} [options.count=1] Number of calls to fail, 0 for all
+   * @param {number} [options.subcode] error_subcode to report
+   * @param {string} [options.message] Error message to report
+   */
+  injectError(code, options = {}) {
+    this.errorRules.push({
+      code: Number(code),
+      path: options.path || null,
+      method: options.method ? options.method.toUpperCase() : null,
+      remaining: options.count === undefined ? 1 : Number(options.count),
+      overrides: {
+        ...(options.subcode ? { error_subcode: Number(options.subcode) } : {}),
+        ...(options.message ? { message: options.message } : {}),
+      },
+    });
+  }
+
+  // Take the first injected error that matches this call
+  takeInjectedError(method, path) {
+    const index = this.errorRules.findIndex(rule =>
+      (!rule.method || rule.method === method) &&
+      (!rule.path || path.includes(rule.path)));
+    if (index === -1) return null;
+
+    const rule = this.errorRules[index];
+    if (rule.remaining > 0) {
+      rule.remaining--;
+      if (rule.remaining === 0) {
+        this.errorRules.splice(index, 1);
+      }
+    }
+    return createGraphError(rule.code, rule.overrides);
+  }
+
+  /**
+   * Get recorded calls, optionally filtered by method and path.
+   *
+   * @param {Object} [filter]
+   * @param {string} [filter.method]
+   * @param {string} [filter.path] Substring of the request path
+   * @returns {Array<Object>}
+   */
+  getCalls(filter = {}) {
+    return this.calls.filter(call =>
+      (!filter.method || call.method === filter.method.toUpperCase()) &&
+      (!filter.path || call.path.includes(filter.path)));
+  }
+
+  record(call) {
+    const entry = { id: this.calls.length + 1, timestamp: Date.now(), ...call };
+    this.calls.push(entry);
+    if (this.calls.length > this.maxCalls) {
+      this.calls = this.calls.slice(-this.maxCalls);
+    }
+    this.emit('call', entry);
+    return entry;
+  }
+
+  /**
+   * Execute a Graph API call and record it.
+   *
+   * @param {string} method HTTP method
+   * @param {string} path Path without the version prefix, e.g. /me/messages
+   * @param {Object} params Query and body parameters merged together
+   * @param {Object} [meta] Extra fields for the call record
+   * @returns {{status: number, body: Object}}
+   */
+  handle(method, path, params, meta = {}) {
+    method = method.toUpperCase();
+    const result = this.route(method, path, params, meta);
+    this.record({
+      method,
+      path,
+      params: withoutToken(params),
+      status: result.status,
+      response: result.body,
+      ...meta,
+    });
+    return result;
+  }
+
+  route(method, path, params, meta = {}) {
+    const token = params.access_token;
+    if (!token) {
+      return createGraphError(190, {
+        message: 'An active access token must be used to query information about the current user.',
+        error_subcode: undefined,
+      });
+    }
+    const segments = path.split('/').filter(Boolean);
+    const [id, edge] = segments;
+
+    // debug_token is called with the app token, not the page token
+    if (this.accessToken && token !== this.accessToken && id !== 'debug_token') {
+      return createGraphError(190, { message: 'Invalid OAuth access token.', error_subcode: undefined });
+    }
+
+    const injected = this.takeInjectedError(method, path);
+    if (injected) return injected;
+
+    if (id === 'debug_token' && method === 'GET') {
+      return this.handleDebugToken(params);
+    }
+
+    if (segments.length === 0 && method === 'POST') {
+      return this.handleBatch(params);
+    }
+    if (id === 'me' && edge === 'messages' && method === 'POST') {
+      return this.handleSend(params);
+    }
+    if (id === 'me' && edge === 'messenger_profile') {
+      return this.handleMessengerProfile(method, params);
+    }
+    if (id === 'me' && /_thread_control$/.test(edge || '') && method === 'POST') {
+      return this.handleThreadControl(edge, params);
+    }
+    if (id === 'me' && edge === 'thread_owner' && method === 'GET') {
+      const owner = this.threadOwners.get(String(params.recipient)) || this.appId;
+      return this.ok({ data: [{ thread_owner: { app_id: owner } }] });
+    }
+    if (id === 'me' && edge === 'message_attachments' && method === 'POST') {
+      return this.handleAttachmentUpload(params, meta);
+    }
+    if (segments.length === 2) {
+      switch (edge) {
+        case 'comments':
+        // Instagram comment replies
+        case 'replies':
+          return method === 'POST'
+            ? this.handleCreateComment(id, params)
+            : this.ok({ data: this.comments.get(id) || [] });
+        case 'feed':
+          return method === 'POST'
+            ? this.handleCreatePost(id, params)
+            : this.ok({ data: this.posts.filter(post => post.id.startsWith(`${id}_`)) });
+        case 'insights':
+          return this.handleInsights(id, params);
+        case 'conversations':
+          return this.ok({ data: [] });
+        case 'subscribed_apps':
+          return this.handleSubscribedApps(method, params);
+        case 'photos':
+        case 'videos':
+          return this.ok({ id: this.nextId(), post_id: `${this.pageId}_${this.nextId()}` });
+      }
+    }
+    if (segments.length === 1) {
+      switch (method) {
+        case 'GET':
+          return this.handleGetNode(id, params);
+        case 'POST':
+        case 'DELETE':
+          return this.ok({ success: true });
+      }
+    }
+
+    return createGraphError(100, {
+      message: `Unsupported ${method.toLowerCase()} request. Object with ID '${id}' does not exist, ` +
+        'cannot be loaded due to missing permissions, or does not support this operation.',
+      type: 'GraphMethodException',
+      error_subcode: 33,
+    });
+  }
+
+  ok(body) {
+    return { status: 200, body };
+  }
+
+  // Handover protocol. The bot's app is the primary receiver: passing
+  // moves the thread to target_app_id, taking or releasing returns it.
+  handleThreadControl(action, params) {
+    const recipientId = params.recipient && params.recipient.id;
+    if (!recipientId) {
+      return createGraphError(100, { message: '(#100) The parameter recipient is required' });
+    }
+    const owner = this.threadOwners.get(String(recipientId)) || this.appId;
+    switch (action) {
+      case 'pass_thread_control':
+        if (!params.target_app_id) {
+          return createGraphError(100, { message: '(#100) The parameter target_app_id is required' });
+        }
+        this.threadOwners.set(String(recipientId), String(params.target_app_id));
+        break;
+      case 'take_thread_control':
+      case 'release_thread_control':
+        this.threadOwners.delete(String(recipientId));
+        break;
+      case 'request_thread_control':
+        if (owner === this.appId) {
+          return createGraphError(100, { message: '(#100) The app already owns the thread' });
+        }
+        break;
+      default:
+        return createGraphError(100, { message: `(#100) Unknown path components: /${action}` });
+    }
+    return this.ok({ success: true });
+  }
+
+  // Attachment Upload API. Multipart bodies are not parsed and always
+  // succeed; URL uploads need a reusable attachment with a URL.
+  handleAttachmentUpload(params, meta = {}) {
+    let upload = { multipart: true };
+    if (!meta.multipart) {
+      const attachment = params.message && params.message.attachment;
+      const payload = attachment && attachment.payload;
+      if (!attachment || !attachment.type || !payload || !payload.url) {
+        return createGraphError(100, { message: '(#100) param message[attachment] must have a type and payload url' });
+      }
+      if (payload.is_reusable !== true) {
+        return createGraphError(100, { message: '(#100) Attachments must be reusable to get an attachment_id' });
+      }
+      upload = { type: attachment.type, url: payload.url };
+    }
+    const attachmentId = this.nextId();
+    this.attachments.set(attachmentId, upload);
+    return this.ok({ attachment_id: attachmentId });
+  }
+
+  // Send API: validate the payload the way Messenger does
+  handleSend(params) {
+    const recipient = params.recipient || {};
+    const message = params.message;
+    const recipientId = recipient.id || recipient.comment_id || recipient.post_id || recipient.user_ref;
+
+    if (!recipientId) {
+      return createGraphError(100, { message: '(#100) The parameter recipient is required' });
+    }
+    const forced = /^error_(\d+)$/.exec(String(recipientId));
+    if (forced) {
+      return createGraphError(Number(forced[1]));
+    }
+    if (!message && !params.sender_action) {
+      return createGraphError(100, { message: '(#100) Must send either message or sender_action' });
+    }
+    if (message && message.text && message.text.length > 2000) {
+      return createGraphError(100, {
+        message: '(#100) Length of param message[text] must be less than or equal to 2000',
+      });
+    }
+    if (message && Array.isArray(message.quick_replies) && message.quick_replies.length > 13) {
+      return createGraphError(100, {
+        message: '(#100) param message[quick_replies] must have a maximum of 13 elements',
+      });
+    }
+    const attachmentId = message && message.attachment && message.attachment.payload &&
+      message.attachment.payload.attachment_id;
+    if (attachmentId && !this.attachments.has(String(attachmentId))) {
+      return createGraphError(100, { message: '(#100) Invalid attachment_id', error_subcode: 2018047 });
+    }
+    if (params.messaging_type === 'MESSAGE_TAG' && !params.tag) {
+      return createGraphError(100, {
+        message: '(#100) Param tag is required when messaging_type is MESSAGE_TAG',
+      });
+    }
+
+    if (params.sender_action) {
+      return this.ok({ recipient_id: String(recipientId) });
+    }
+    let psid = String(recipientId);
+    if (recipient.comment_id) {
+      // Private reply: one per comment, answered with the author's PSID
+      const commentId = String(recipient.comment_id);
+      if (this.privateReplies.has(commentId)) {
+        return createGraphError(10, {
+          message: '(#10) This comment has already been replied to privately.',
+          error_subcode: undefined,
+        });
+      }
+      this.privateReplies.add(commentId);
+      psid = this.commentAuthors.get(commentId) ||
+        String(1e15 + (parseInt(crypto.createHash('md5').update(commentId).digest('hex').slice(0, 12), 16) % 9e15));
+    }
+    return this.ok({
+      recipient_id: psid,
+      message_id: `m_${crypto.randomBytes(12).toString('hex')}`,
+    });
+  }
+
+  // Messenger Profile API: the profile is kept until reset()
+  handleMessengerProfile(method, params) {
+    const known = ['get_started', 'greeting', 'persistent_menu', 'ice_breakers', 'whitelisted_domains'];
+    if (method === 'GET') {
+      const fields = String(params.fields || '').split(',').filter(Boolean);
+      const profile = {};
+      for (const field of fields.length > 0 ? fields : known) {
+        if (this.messengerProfile[field] !== undefined) profile[field] = this.messengerProfile[field];
+      }
+      return this.ok({ data: Object.keys(profile).length > 0 ? [profile] : [] });
+    }
+    if (method === 'POST') {
+      const fields = Object.keys(params).filter(field => field !== 'access_token');
+      const unknown = fields.find(field => !known.includes(field));
+      if (unknown) {
+        return createGraphError(100, { message: `(#100) Param ${unknown} is not a valid messenger profile field` });
+      }
+      if (fields.length === 0) {
+        return createGraphError(100, { message: '(#100) You must specify at least one field to set' });
+      }
+      if (params.persistent_menu && !params.get_started && !this.messengerProfile.get_started) {
+        return createGraphError(100, {
+          message: '(#100) You must set a Get Started button if you also wish to use persistent menu.',
+          error_subcode: 2018145,
+        });
+      }
+      for (const field of fields) this.messengerProfile[field] = params[field];
+      return this.ok({ result: 'success' });
+    }
+    if (method === 'DELETE') {
+      const fields = Array.isArray(params.fields) ? params.fields : String(params.fields || '').split(',');
+      if (fields.includes('get_started') && !fields.includes('persistent_menu') &&
+          this.messengerProfile.persistent_menu) {
+        return createGraphError(100, {
+          message: '(#100) You must delete the persistent menu before deleting the Get Started button.',
+          error_subcode: 2018145,
+        });
+      }
+      for (const field of fields) delete this.messengerProfile[field];
+      return this.ok({ result: 'success' });
+    }
+    return createGraphError(100, { message: `(#100) Unsupported ${method.toLowerCase()} request` });
+  }
+
+  handleCreateComment(parentId, params) {
+    if (!params.message && !params.attachment_url) {
+      return createGraphError(100, { message: '(#100) Missing message or attachment' });
+    }
+    const comment = {
+      id: `${parentId}_${this.nextId()}`,
+      message: params.message || '',
+      from: { id: this.pageId, name: this.pageName },
+      created_time: new Date().toISOString(),
+    };
+    const thread = this.comments.get(parentId) || [];
+    thread.push(comment);
+    this.comments.set(parentId, thread);
+    return this.ok({ id: comment.id });
+  }
+
+  handleCreatePost(pageId, params) {
+    if (!params.message && !params.link) {
+      return createGraphError(100, { message: '(#100) Missing message or attachment' });
+    }
+    const post = {
+      id: `${pageId}_${this.nextId()}`,
+      message: params.message || '',
+      created_time: new Date().toISOString(),
+    };
+    this.posts.unshift(post);
+    return this.ok({ id: post.id });
+  }
+
+  // One value per day for each requested metric
+  handleInsights(id, params) {
+    if (!params.metric) {
+      return createGraphError(100, { message: '(#100) The value must be a valid insights metric' });
+    }
+    const period = params.period || 'day';
+    const metrics = String(params.metric).split(',');
+    const data = metrics.map((name) => {
+      const values = [];
+      for (let day = 3; day >= 1; day--) {
+        const endTime = new Date(Date.now() - (day - 1) * 86400000);
+        endTime.setUTCHours(7, 0, 0, 0);
+        values.push({
+          value: (name.length * 37 + day * 11) % 500,
+          end_time: endTime.toISOString().replace('.000Z', '+0000'),
+        });
+      }
+      return {
+        name,
+        period,
+        values,
+        title: name.replace(/_/g, ' '),
+        id: `${id}/insights/${name}/${period}`,
+      };
+    });
+    return this.ok({ data });
+  }
+
+  // Webhook subscription of the bot's app to the page. POST replaces the
+  // subscribed fields, DELETE removes the app.
+  handleSubscribedApps(method, params) {
+    if (method === 'GET') {
+      return this.ok({
+        data: this.subscribedFields
+          ? [{ id: this.appId, name: 'Mock App', subscribed_fields: this.subscribedFields }]
+          : [],
+      });
+    }
+    if (method === 'DELETE') {
+      this.subscribedFields = null;
+      return this.ok({ success: true });
+    }
+    const raw = params.subscribed_fields;
+    const fields = (Array.isArray(raw) ? raw : String(raw || '').split(','))
+      .map(field => String(field).trim())
+      .filter(Boolean);
+    const unknown = fields.filter(field => !WEBHOOK_FIELDS.includes(field));
+    if (fields.length === 0 || unknown.length > 0) {
+      return createGraphError(100, {
+        message: fields.length === 0
+          ? '(#100) The parameter subscribed_fields is required'
+          : `(#100) Param subscribed_fields must be one of {${WEBHOOK_FIELDS.join(', ')}} - got "${unknown[0]}"`,
+      });
+    }
+    this.subscribedFields = fields;
+    return this.ok({ success: true });
+  }
+
+  /**
+   * Change what debug_token reports for a token, e.g. its scopes or
+   * expiry. `info` uses the Graph field names (scopes, expires_at in
+   * seconds, profile_id, type, is_valid).
+   *
+   * @param {string} token
+   * @param {Object} info
+   */
+  setTokenInfo(token, info) {
+    this.tokenInfo.set(String(token), info);
+  }
+
+  // Token inspection. The page token is valid unless `accessToken` is set
+  // and differs; it never expires and has the usual page scopes unless
+  // changed with setTokenInfo.
+  handleDebugToken(params) {
+    const input = params.input_token ? String(params.input_token) : '';
+    const valid = !!input && (!this.accessToken || input === this.accessToken);
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const data = {
+      app_id: this.appId,
+      type: 'PAGE',
+      application: 'Mock App',
+      data_access_expires_at: issuedAt + 90 * 24 * 3600,
+      expires_at: 0,
+      is_valid: valid,
+      issued_at: issuedAt,
+      profile_id: this.pageId,
+      scopes: [...MOCK_TOKEN_SCOPES],
+      user_id: '300000000000001',
+      ...this.tokenInfo.get(input),
+    };
+    if (!data.is_valid) {
+      data.scopes = [];
+      data.error = data.error || {
+        code: 190,
+        message: 'Error validating access token: The session has been invalidated.',
+        subcode: 460,
+      };
+    }
+    return this.ok({ data });
+  }
+
+  // Page info for the page ID or `me`, a user profile for anything else
+  handleGetNode(id, params) {
+    if (id === 'me' || id === this.pageId) {
+      return this.ok({
+        id: this.pageId,
+        name: this.pageName,
+        about: 'Local mock of a Facebook page',
+        fan_count: 1280,
+        followers_count: 1342,
+        link: `https://www.facebook.com/${this.pageId}`,
+        picture: { data: { url: 'https://example.com/page.png' } },
+        verification_status: 'not_verified',
+        is_verified: false,
+      });
+    }
+
+    // Derive a stable fake profile from the ID
+    const hash = crypto.createHash('md5').update(String(id)).digest();
+    const firstName = FIRST_NAMES[hash[0] % FIRST_NAMES.length];
+    const lastName = LAST_NAMES[hash[1] % LAST_NAMES.length];
+    const profile = {
+      id: String(id),
+      name: `${firstName} ${lastName}`,
+      first_name: firstName,
+      last_name: lastName,
+      profile_pic: `https://example.com/profile/${id}.jpg`,
+      locale: 'en_US',
+      timezone: 6,
+      gender: hash[2] % 2 ? 'male' : 'female',
+    };
+
+    if (params.fields) {
+      const fields = String(params.fields).split(',');
+      return this.ok(Object.fromEntries(
+        Object.entries(profile).filter(([key]) => key === 'id' || fields.includes(key)),
+      ));
+    }
+    return this.ok(profile);
+  }
+
+  // Batch endpoint: each request is run through the router and answered
+  // in Facebook's { code, headers, body } format
+  handleBatch(params) {
+    let batch;
+    try {
+      batch = typeof params.batch === 'string' ? JSON.parse(params.batch) : params.batch;
+    } catch (error) {
+      return createGraphError(100, { message: '(#100) The parameter batch must be valid JSON' });
+    }
+    if (!Array.isArray(batch) || batch.length === 0) {
+      return createGraphError(100, { message: '(#100) The parameter batch is required' });
+    }
+    if (batch.length > 50) {
+      return createGraphError(100, { message: '(#100) Too many requests in batch message. Maximum batch size is 50' });
+    }
+
+    const results = batch.map((request, index) => {
+      const url = new URL(String(request.relative_url || ''), 'http://graph.local/');
+      const subParams = {
+        access_token: params.access_token,
+        ...Object.fromEntries(url.searchParams),
+        ...(request.body ? parseFormBody(request.body) : {}),
+      };
+      const path = url.pathname.replace(/^\/v\d+\.\d+/, '');
+      const { status, body } = this.handle(request.method || 'GET', path, subParams, { batchIndex: index });
+      return {
+        code: status,
+        headers: [{ name: 'Content-Type', value: 'application/json; charset=UTF-8' }],
+        body: JSON.stringify(body),
+      };
+    });
+    return this.ok(results);
+  }
+
+  createApp() {
+    const app = express();
+    // axios sends a `null` JSON body on GET requests, which the strict
+    // parser would reject
+    app.use(express.json({ limit: '5mb', strict: false }));
+    app.use(express.urlencoded({ extended: true }));
+
+    // Inspection and control endpoints
+    app.get('/__mock/calls', (req, res) => {
+      res.json({ data: this.getCalls({ method: req.query.method, path: req.query.path }) });
+    });
+    app.delete('/__mock/calls', (req, res) => {
+      this.calls = [];
+      res.json({ success: true });
+    });
+    app.post('/__mock/errors', (req, res) => {
+      const { code, ...options } = req.body || {};
+      if (!code) {
+        return res.status(400).json({ error: 'code is required' });
+      }
+      this.injectError(code, options);
+      res.json({ success: true, pending: this.errorRules.length });
+    });
+    app.delete('/__mock/errors', (req, res) => {
+      this.errorRules = [];
+      res.json({ success: true });
+    });
+    app.post('/__mock/reset', (req, res) => {
+      this.reset();
+      res.json({ success: true });
+    });
+
+    // Graph API, under any version prefix (/v18.0/me/messages)
+    app.all(/^\/v\d+\.\d+(\/.*)?$/, (req, res) => {
+      const path = req.params[0] || '/';
+      const multipart = (req.headers['content-type'] || '').startsWith('multipart/');
+      const params = { ...req.query, ...(multipart ? {} : req.body || {}) };
+      // Uploads are not parsed; only the query string token is available
+      const { status, body } = this.handle(req.method, path, params, multipart ? { multipart: true } : {});
+      res.status(status).json(body);
+    });
+
+    return app;
+  }
+
+  /**
+   * Start listening.
+   *
+   * @param {number} [port=0] Port, 0 for a random free port
+   * @param {string} [host='127.0.0.1']
+   * @returns {Promise<string>} Base URL to use as FB_GRAPH_API_URL
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, host, () => {
+        const address = this.server.address();
+        resolve(`http://${host}:${address.port}`);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      if (this.server.closeAllConnections) {
+        this.server.closeAllConnections();
+      }
+      this.server = null;
+    });
+  }
+}
+
+function createMockGraphServer(options) {
+  return new MockGraphServer(options);
+}
+
+module.exports = {
+  MockGraphServer,
+  createMockGraphServer,
+  createGraphError,
+  GRAPH_ERRORS,
+};
+
+// Run standalone: node utils/mockGraphServer.js
+if (require.main === module) {
+  const { getConfig } = require('./safeConfig');
+  const config = getConfig();
+  const mock = createMockGraphServer({
+    pageId: (config.facebook && config.facebook.pageId) || undefined,
+  });
+  const port = Number(process.env.MOCK_GRAPH_PORT) || 4040;
+
+  mock.on('call', (call) => {
+    logger.info(`📡 ${call.method} ${call.path} -> ${call.status}`);
+  });
+  mock.listen(port).then((url) => {
+    logger.info(`🧪 Mock Graph API listening on ${url}`);
+    logger.info(`   Start the bot with FB_GRAPH_API_URL=${url}`);
+  });
+
+  const stop = () => mock.close().then(() => process.exit(0));
+  process.on('SIGTERM', stop);
+  process.on('SIGINT', stop);
+}
@@ -0,0 +1,60 @@
+/**
+ * Page Context
+ * Tracks which Facebook page the current webhook event belongs to
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * A bot serving several pages (the `pages` array in config.json) handles
+ * each event inside runWithPage(entry.id, ...). Everything called from
+ * there, including plugins, sees that page through getCurrentPageId():
+ * getConfig() returns the page's token, prefix, admins and plugins, fbApi
+ * calls go out with the page's token and the user store keeps the page's
+ * users apart from other pages'. The context follows async calls, so
+ * plugins need no changes.
+ *
+ * The context also holds the channel of the event: 'facebook' for page
+ * webhooks and 'instagram' for the page's linked Instagram account (see
+ * utils/channels.js).
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function for a page.
+ *
+ * @param {string} pageId
+ * @param {Function} fn
+ * @param {string} [channel='facebook'] Channel the event came from
+ * @returns {*} What fn returns
+ */
+function runWithPage(pageId, fn, channel = 'facebook') {
+  return storage.run({ pageId: pageId ? String(pageId) : null, channel }, fn);
+}
+
+/**
+ * Page of the event being handled.
+ *
+ * @returns {string|null} null outside runWithPage, e.g. in dashboard routes
+ */
+function getCurrentPageId() {
+  const store = storage.getStore();
+  return (store && store.pageId) || null;
+}
+
+/**
+ * Channel of the event being handled.
+ *
+ * @returns {string} 'facebook' outside runWithPage
+ */
+function getCurrentChannel() {
+  const store = storage.getStore();
+  return (store && store.channel) || 'facebook';
+}
+
+module.exports = {
+  runWithPage,
+  getCurrentPageId,
+  getCurrentChannel,
+};
@@ -10,24 +10,21 @@ const chokidar = require('chokidar');
 const { exec } = require('child_process');
 const util = require('util');
 const logger = require('./logger');
+const { recordPluginLoadFailure } = require('./metrics');
 // Load the configuration via safeConfig. This returns the merged config
 // containing sensible fallback values, ensuring properties like
 // `pluginDefaults` are always defined. We intentionally avoid requiring
 // config.json directly here because that file may not exist or may be
 // missing keys at startup.
 const { getConfig } = require('./safeConfig');
+const { getCurrentChannel } = require('./pageContext');
+const { supportsChannel } = require('./channels');
 const config = getConfig();
 
 const execPromise = util.promisify(exec);
 
 class PluginLoader {
   constructor() {
-    this.plugins = {
-      commands: new Map(),
-      postbacks: new Map(),
-      comments: new Map(),
-    };
-    
     this.pluginPaths = {
       commands: path.join(__dirname, '../plugins/commands'),
       postbacks: path.join(__dirname, '../plugins/postbacks'),
@@ -36,13 +33,36 @@ class PluginLoader {
       // causing comment plugins not to load. Using the correct directory name
       // ensures comment-based auto‑reply plugins are discovered.
       comments: path.join(__dirname, '../plugins/commentsToReply'),
+      // Messenger event plugins. Each receives the normalised event from the
+      // matching handler in handlres/index.js through its `run` function.
+      echoes: path.join(__dirname, '../plugins/echoes'),
+      deliveries: path.join(__dirname, '../plugins/deliveries'),
+      reads: path.join(__dirname, '../plugins/reads'),
+      reactions: path.join(__dirname, '../plugins/reactions'),
+      referrals: path.join(__dirname, '../plugins/referrals'),
+      optins: path.join(__dirname, '../plugins/optins'),
+      accountLinking: path.join(__dirname, '../plugins/accountLinking'),
+      // Page feed plugins. Each declares the item/verb pairs it wants in
+      // `events`, e.g. [{ item: 'comment', verb: 'edited' }].
+      feedEvents: path.join(__dirname, '../plugins/feedEvents'),
     };
     
+    this.plugins = this.createPluginMaps();
+    
     this.watchers = {};
     this.duplicates = new Set();
     this.pluginDependencies = new Map();
   }
 
+  // Create an empty plugin map for every registered plugin type
+  createPluginMaps() {
+    const maps = {};
+    for (const type of Object.keys(this.pluginPaths)) {
+      maps[type] = new Map();
+    }
+    return maps;
+  }
+
   // Initialize plugin system
   async initialize() {
     logger.info('🔄 Initializing plugin system...');
@@ -111,11 +131,12 @@ class PluginLoader {
       // Validate plugin structure
       if (!this.validatePlugin(plugin, type, pluginName)) {
         logger.warn(`Skipping invalid plugin: ${pluginName}`);
+        recordPluginLoadFailure(type);
         return;
       }
       
       // Check for duplicates
-      const duplicateKey = this.getDuplicateKey(plugin, type);
+      const duplicateKey = this.getDuplicateKey(plugin, type, pluginName);
       if (this.duplicates.has(duplicateKey)) {
         logger.warn(`Duplicate ${type} plugin detected: ${duplicateKey}`);
         return;
@@ -133,6 +154,7 @@ class PluginLoader {
       
     } catch (error) {
       logger.error(`Failed to load plugin ${filePath}:`, error);
+      recordPluginLoadFailure(type);
     }
   }
 
@@ -149,15 +171,27 @@ class PluginLoader {
                typeof plugin.start === 'function';
                
       case 'comments':
+      case 'echoes':
+      case 'deliveries':
+      case 'reads':
+      case 'reactions':
+      case 'referrals':
+      case 'optins':
+      case 'accountLinking':
         return typeof plugin.run === 'function';
         
+      case 'feedEvents':
+        return Array.isArray(plugin.events) &&
+               plugin.events.length > 0 &&
+               typeof plugin.run === 'function';
+        
       default:
         return false;
     }
   }
 
   // Get duplicate detection key
-  getDuplicateKey(plugin, type) {
+  getDuplicateKey(plugin, type, pluginName) {
     switch (type) {
       case 'commands':
         const aliases = plugin.config.aliases || [];
@@ -166,8 +200,19 @@ class PluginLoader {
       case 'postbacks':
         return `${type}:${JSON.stringify(plugin.payload)}`;
         
+      // Event-style plugins are plain objects, so their constructor name is
+      // always `Object`. Key them by declared name or file name instead so
+      // that more than one plugin of a type can be loaded.
       case 'comments':
-        return `${type}:${plugin.constructor?.name || 'anonymous'}`;
+      case 'echoes':
+      case 'deliveries':
+      case 'reads':
+      case 'reactions':
+      case 'referrals':
+      case 'optins':
+      case 'accountLinking':
+      case 'feedEvents':
+        return `${type}:${plugin.name || pluginName || 'anonymous'}`;
         
       default:
         return `${type}:${JSON.stringify(plugin)}`;
@@ -187,7 +232,7 @@ class PluginLoader {
     };
     
     this.plugins[type].set(name, pluginWithMeta);
-    this.duplicates.add(this.getDuplicateKey(plugin, type));
+    this.duplicates.add(this.getDuplicateKey(plugin, type, name));
   }
 
   // Install plugin dependencies
@@ -264,7 +309,7 @@ class PluginLoader {
   unloadPlugin(name, type) {
     if (this.plugins[type].has(name)) {
       const plugin = this.plugins[type].get(name);
-      const duplicateKey = this.getDuplicateKey(plugin, type);
+      const duplicateKey = this.getDuplicateKey(plugin, type, name);
       this.duplicates.delete(duplicateKey);
       
       this.plugins[type].delete(name);
@@ -282,30 +327,69 @@ class PluginLoader {
     return Array.from(this.plugins[type].values());
   }
 
+  // Get the plugins of a type enabled for the page and channel being
+  // handled. A page's `plugins` list (see `pages` in config.json) names
+  // plugin files, e.g. 'help', or type and file, e.g. 'commands/help';
+  // without a list every plugin is enabled. Plugins only run on the
+  // channels they declare (see utils/channels.js).
+  getEnabledPlugins(type) {
+    const channel = getCurrentChannel();
+    const plugins = this.getPluginsByType(type).filter(plugin => supportsChannel(plugin, channel));
+    const page = getConfig().page;
+    if (!page || !page.plugins) return plugins;
+    return plugins.filter(plugin =>
+      page.plugins.includes(plugin.meta.name) ||
+      page.plugins.includes(`${type}/${plugin.meta.name}`)
+    );
+  }
+
   // Get command plugins
   getCommandPlugins() {
-    return this.getPluginsByType('commands');
+    return this.getEnabledPlugins('commands');
   }
 
   // Get postback plugins
   getPostbackPlugins() {
-    return this.getPluginsByType('postbacks');
+    return this.getEnabledPlugins('postbacks');
   }
 
   // Get comment plugins
   getCommentPlugins() {
-    return this.getPluginsByType('comments');
+    return this.getEnabledPlugins('comments');
+  }
+
+  // Get Messenger event plugins (echoes, deliveries, reads, reactions, ...)
+  getEventPlugins(type) {
+    if (!this.plugins[type]) return [];
+    return this.getEnabledPlugins(type);
+  }
+
+  // Get feed event plugins that subscribed to an item/verb pair. Entries
+  // in `plugin.events` are { item, verb } objects or 'item:verb' strings;
+  // either part may be '*' to match anything.
+  getFeedEventPlugins(item, verb) {
+    return this.getEnabledPlugins('feedEvents').filter(plugin =>
+      plugin.events.some(entry => {
+        const [wantItem, wantVerb] = typeof entry === 'string'
+          ? entry.split(':')
+          : [entry.item, entry.verb];
+        return (wantItem === '*' || wantItem === item) &&
+               (!wantVerb || wantVerb === '*' || wantVerb === verb);
+      })
+    );
   }
 
   // Get plugin statistics
   getStats() {
+    const stats = {};
+    let total = 0;
+    for (const [type, plugins] of Object.entries(this.plugins)) {
+      stats[type] = plugins.size;
+      total += plugins.size;
+    }
     return {
-      commands: this.plugins.commands.size,
-      postbacks: this.plugins.postbacks.size,
-      comments: this.plugins.comments.size,
-      total: this.plugins.commands.size + 
-             this.plugins.postbacks.size + 
-             this.plugins.comments.size,
+      ...stats,
+      total,
       duplicates: this.duplicates.size,
     };
   }
@@ -326,11 +410,7 @@ class PluginLoader {
     logger.info('🔄 Reloading all plugins...');
     
     // Clear existing plugins
-    this.plugins = {
-      commands: new Map(),
-      postbacks: new Map(),
-      comments: new Map(),
-    };
+    this.plugins = this.createPluginMaps();
     this.duplicates.clear();
     
     // Reload all plugins
@@ -341,10 +421,10 @@ class PluginLoader {
   }
 
   // Cleanup
-  cleanup() {
-    for (const watcher of Object.values(this.watchers)) {
-      watcher.close();
-    }
+  async cleanup() {
+    const watchers = Object.values(this.watchers);
+    this.watchers = {};
+    await Promise.all(watchers.map(watcher => watcher.close()));
   }
 }
 
@@ -364,6 +444,9 @@ module.exports = {
   getCommandPlugins: () => pluginLoader.getCommandPlugins(),
   getPostbackPlugins: () => pluginLoader.getPostbackPlugins(),
   getCommentPlugins: () => pluginLoader.getCommentPlugins(),
+  getEventPlugins: (type) => pluginLoader.getEventPlugins(type),
+  getFeedEventPlugins: (item, verb) => pluginLoader.getFeedEventPlugins(item, verb),
+  getEnabledPlugins: (type) => (pluginLoader.plugins[type] ? pluginLoader.getEnabledPlugins(type) : []),
   getPlugin: (type, name) => pluginLoader.getPlugin(type, name),
   getPluginStats: () => pluginLoader.getStats(),
   
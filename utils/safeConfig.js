@@ -20,6 +20,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getCurrentPageId } = require('./pageContext');
 
 // The minimal configuration template that will be written to disk when
 // `config.json` does not exist. Do not remove or alter keys here unless
@@ -60,6 +61,15 @@ const fallbackConfig = {
     verifyToken: 'xx',
     pageId: '',
     appSecret: '',
+    // ID of the bot's Facebook app, to recognise it as a thread owner
+    appId: '',
+    // Instagram professional account linked to the page. Its DMs and
+    // comments arrive as `instagram` webhooks with this ID as entry.id.
+    instagramId: '',
+    // Point these at utils/mockGraphServer.js to run without the network.
+    // The FB_GRAPH_API_URL environment variable overrides graphApiUrl.
+    graphApiUrl: 'https://graph.facebook.com',
+    graphApiVersion: 'v18.0',
   },
   bot: {
     name: 'Page Bot',
@@ -78,6 +88,9 @@ const fallbackConfig = {
   security: {
     adminUIDs: [],
     allowedDomains: ['*'],
+    // When set, dashboard actions that change the page (e.g. pushing the
+    // Messenger Profile) need this value in the X-Dashboard-Token header
+    dashboardToken: '',
     rateLimit: {
       windowMs: 900000, // 15 minutes
       max: 100,
@@ -102,15 +115,111 @@ const fallbackConfig = {
     host: '0.0.0.0',
     webhookPath: '/webhook',
     enableHealthCheck: true,
+    healthCheckIntervalMs: 30000,
+    shutdownGracePeriodMs: 10000,
     enableMetrics: true,
   },
+  dedupe: {
+    store: 'file', // memory | file | redis
+    ttlMs: 86400000, // 24 hours
+    claimTtlMs: 120000, // events being handled, in case the handler never finishes
+    // Defaults to <tmpdir>/dedupe.json, which serverless instances do not
+    // keep; use a persistent path or the redis store there
+    file: '',
+    flushMs: 100, // file store: changes are written at most this often
+    redisUrl: '',
+    redisRetryMs: 30000, // reconnect interval while Redis is unreachable
+    keyPrefix: 'fbbot:dedupe:',
+  },
+  processing: {
+    concurrency: 10, // events handled at once across all senders
+    eventTimeoutMs: 30000, // slower events fail and free their lane; the queue retries them
+  },
+  queue: {
+    // Defaults to <tmpdir>/webhook-queue.json. Serverless deployments need
+    // a path on persistent storage for queued events to survive the
+    // instance.
+    file: '',
+    maxAttempts: 5,
+    baseDelayMs: 2000,
+    maxDelayMs: 300000,
+    pollIntervalMs: 5000,
+    deadLetterLimit: 100,
+    compactAfter: 500, // journal lines before the file is compacted
+  },
+  outbound: {
+    perPagePerSecond: 40, // all Graph API calls for one page
+    perRecipientPerSecond: 5, // Send API calls to one user
+    maxConcurrent: 10,
+    maxRetries: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 60000,
+    spamBlockPauseMs: 900000, // 15 minutes after a code 368
+    authRetryMs: 60000, // probe interval while paused on a code 190
+  },
+  messaging: {
+    // Refuse sends outside the 24-hour window that lack a message tag
+    enforceWindow: true,
+    // How *bold* and `code` markup is sent: unicode, plain or none
+    formatting: 'unicode',
+  },
+  // Handover protocol (see the /handover command)
+  handover: {
+    // App that receives threads handed to a human. The default is the
+    // Page Inbox, where page admins answer users.
+    targetAppId: '263902037430900',
+    // Pass the thread to apps that request it (request_thread_control)
+    passOnRequest: true,
+    // Sent to the user before the thread is handed over; empty for none
+    userMessage: 'A member of our team will reply here shortly.',
+  },
+  attachments: {
+    cacheFile: '', // defaults to <tmpdir>/attachment-cache.json
+  },
+  // Page token inspection (see utils/tokenMonitor.js). Scopes and expiry
+  // are only known when facebook.appId and appSecret are set.
+  tokenCheck: {
+    enabled: true,
+    intervalMs: 3600000, // 1 hour
+    requiredScopes: ['pages_messaging', 'pages_manage_engagement'],
+    warnBeforeExpiryMs: 604800000, // 7 days
+  },
+  // Pages served by one bot (see utils/pageContext.js). Each entry is
+  // { id, name, pageAccessToken, instagramId, prefix, adminUIDs, plugins };
+  // prefix, adminUIDs and plugins (plugin file names, all when absent)
+  // override the global settings for that page. Empty: the bot serves the
+  // single page of the `facebook` section.
+  pages: [],
+  // Messenger Profile pushed to the page from the dashboard (see
+  // utils/messengerProfile.js). Text fields are keyed by locale and need a
+  // `default` entry. Set a field to null to remove it from the page.
+  messengerProfile: {
+    getStarted: 'HELP_MENU', // postback payload of the Get Started button
+    greeting: {
+      default: 'Hi {{user_first_name}}! Tap Get Started or send /help to see what I can do.',
+    },
+    persistentMenu: {
+      default: [
+        { type: 'postback', title: '📋 Help', payload: 'HELP_MENU' },
+      ],
+    },
+    iceBreakers: {
+      default: [
+        { question: 'What can you do?', payload: 'HELP_MENU' },
+      ],
+    },
+  },
 };
 
 // Determine the absolute path to the project's configuration file. We
 // resolve relative to the location of this file, navigating up two
 // directories to reach the root of the project. This avoids relying on
 // process.cwd() which may vary between serverless and local environments.
-const configPath = path.join(__dirname, '..', 'config.json');
+// The CONFIG_FILE environment variable points at a different file, which
+// lets local tools such as the simulator run against a throwaway copy.
+const configPath = process.env.CONFIG_FILE
+  ? path.resolve(process.env.CONFIG_FILE)
+  : path.join(__dirname, '..', 'config.json');
 
 /**
  * Deep merge helper. Mutates the target object by copying properties
@@ -139,6 +248,134 @@ function mergeDeep(target, source) {
   return target;
 }
 
+const LOCALE_PATTERN = /^(default|[a-z]{2}_[A-Z]{2})$/;
+
+// Check a locale-keyed messengerProfile field and each of its values
+function checkLocales(field, value, checkValue, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`messengerProfile.${field} must be an object keyed by locale`);
+    return;
+  }
+  if (!value.default) {
+    errors.push(`messengerProfile.${field} needs a "default" locale`);
+  }
+  for (const [locale, entry] of Object.entries(value)) {
+    if (!LOCALE_PATTERN.test(locale)) {
+      errors.push(`messengerProfile.${field}: "${locale}" is not a locale like en_US`);
+    } else {
+      checkValue(`messengerProfile.${field}.${locale}`, entry, errors);
+    }
+  }
+}
+
+function checkText(pathKey, text, max, errors) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    errors.push(`${pathKey} must be a non-empty string`);
+  } else if (text.length > max) {
+    errors.push(`${pathKey} must be at most ${max} characters`);
+  }
+}
+
+function checkGreeting(pathKey, text, errors) {
+  checkText(pathKey, text, 160, errors);
+}
+
+function checkMenu(pathKey, items, errors) {
+  if (!Array.isArray(items) || items.length === 0 || items.length > 20) {
+    errors.push(`${pathKey} must be a list of 1 to 20 menu items`);
+    return;
+  }
+  items.forEach((item, index) => {
+    const itemPath = `${pathKey}[${index}]`;
+    if (!item || typeof item !== 'object') {
+      errors.push(`${itemPath} must be an object`);
+      return;
+    }
+    checkText(`${itemPath}.title`, item.title, 30, errors);
+    if (item.type === 'postback') {
+      checkText(`${itemPath}.payload`, item.payload, 1000, errors);
+    } else if (item.type === 'web_url') {
+      if (typeof item.url !== 'string' || !/^https?:\/\//.test(item.url)) {
+        errors.push(`${itemPath}.url must be an http(s) URL`);
+      }
+    } else {
+      errors.push(`${itemPath}.type must be "postback" or "web_url"`);
+    }
+  });
+}
+
+function checkIceBreakers(pathKey, items, errors) {
+  if (!Array.isArray(items) || items.length === 0 || items.length > 4) {
+    errors.push(`${pathKey} must be a list of 1 to 4 questions`);
+    return;
+  }
+  items.forEach((item, index) => {
+    const itemPath = `${pathKey}[${index}]`;
+    if (!item || typeof item !== 'object') {
+      errors.push(`${itemPath} must be an object`);
+      return;
+    }
+    checkText(`${itemPath}.question`, item.question, 80, errors);
+    checkText(`${itemPath}.payload`, item.payload, 1000, errors);
+  });
+}
+
+/**
+ * Validate the `messengerProfile` section. Invalid fields are left out of
+ * the returned profile so they are never pushed to the page; valid ones
+ * are kept as they are. A field set to null is valid and means "remove".
+ *
+ * @param {Object} section The merged messengerProfile section
+ * @returns {{profile: Object, errors: Array<string>}}
+ */
+function validateMessengerProfile(section) {
+  const errors = [];
+  const profile = {};
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    return { profile, errors: ['messengerProfile must be an object'] };
+  }
+
+  const checks = {
+    getStarted: (value, fieldErrors) => checkText('messengerProfile.getStarted', value, 1000, fieldErrors),
+    greeting: (value, fieldErrors) => checkLocales('greeting', value, checkGreeting, fieldErrors),
+    persistentMenu: (value, fieldErrors) => checkLocales('persistentMenu', value, checkMenu, fieldErrors),
+    iceBreakers: (value, fieldErrors) => checkLocales('iceBreakers', value, checkIceBreakers, fieldErrors),
+  };
+  for (const [field, value] of Object.entries(section)) {
+    if (!checks[field]) {
+      errors.push(`messengerProfile.${field} is not a known field`);
+      continue;
+    }
+    const fieldErrors = [];
+    if (value !== null) checks[field](value, fieldErrors);
+    if (fieldErrors.length > 0) {
+      errors.push(...fieldErrors);
+    } else {
+      profile[field] = value;
+    }
+  }
+  // Messenger only shows a persistent menu when there is a Get Started button
+  if (profile.getStarted === null && profile.persistentMenu) {
+    errors.push('messengerProfile.persistentMenu requires messengerProfile.getStarted');
+    delete profile.persistentMenu;
+  }
+  return { profile, errors };
+}
+
+// Profile errors from the last getConfig call; each is logged once
+let messengerProfileErrors = [];
+const reportedProfileErrors = new Set();
+
+// config.json as last parsed, with the mtime and size it was read at, and
+// the merged configuration of each page built from it. Both are dropped
+// when the file changes on disk or reloadConfig() is called.
+let rawCache = null;
+const mergedCache = new Map();
+
+// getConfig runs on every fbApi property access, so the file is checked
+// for changes at most this often
+const CHECK_INTERVAL_MS = 1000;
+
 /**
  * Ensure the presence of `config.json`. If it does not exist, a copy of
  * the minimal template will be written to disk. This function is idempotent
@@ -155,6 +392,17 @@ function ensureConfigFile() {
   }
 }
 
+/**
+ * Forget the cached configuration so the next getConfig call reads
+ * `config.json` again. Edits made on disk are picked up without this
+ * (the file's mtime is checked at most once a second); it is for callers
+ * that need a re-read right away.
+ */
+function reloadConfig() {
+  rawCache = null;
+  mergedCache.clear();
+}
+
 /**
  * Load the raw configuration object from disk. If the file is invalid JSON
  * or cannot be read, a backup of the corrupt file is created and the
@@ -162,15 +410,34 @@ function ensureConfigFile() {
  * fallback values – it merely returns whatever is on disk or the minimal
  * template.
  *
+ * The parsed file is cached until its mtime or size changes, which is
+ * checked at most every CHECK_INTERVAL_MS.
+ *
  * @returns {Object} The configuration object read from disk
  */
 function loadConfigRaw() {
+  const now = Date.now();
+  if (rawCache && now - rawCache.checkedAt < CHECK_INTERVAL_MS) {
+    return rawCache.data;
+  }
   ensureConfigFile();
+  let stat = null;
+  try {
+    stat = fs.statSync(configPath);
+  } catch (err) {
+    // Reported by the read below
+  }
+  if (rawCache && stat && rawCache.mtimeMs === stat.mtimeMs && rawCache.size === stat.size) {
+    rawCache.checkedAt = now;
+    return rawCache.data;
+  }
+  reloadConfig();
   let configData = minimalTemplate;
   try {
     const fileContents = fs.readFileSync(configPath, 'utf8');
     try {
       configData = JSON.parse(fileContents);
+      if (stat) rawCache = { mtimeMs: stat.mtimeMs, size: stat.size, checkedAt: now, data: configData };
     } catch (parseErr) {
       // Backup the invalid configuration for later inspection
       const backupPath = `${configPath}.bak`;
@@ -187,18 +454,133 @@ function loadConfigRaw() {
   return configData;
 }
 
+// Normalise the `pages` array; entries without an id are dropped
+function normalizePages(pages) {
+  if (!Array.isArray(pages)) return [];
+  return pages.filter(page => page && page.id).map(page => ({
+    id: String(page.id),
+    name: page.name || '',
+    pageAccessToken: page.pageAccessToken || '',
+    instagramId: page.instagramId ? String(page.instagramId) : '',
+    prefix: page.prefix || '',
+    adminUIDs: Array.isArray(page.adminUIDs) ? page.adminUIDs.map(String) : null,
+    plugins: Array.isArray(page.plugins) ? page.plugins : null,
+  }));
+}
+
+// The `pages` entry a configuration is for. Outside a page context this
+// is the entry of facebook.pageId, or the first page when the `facebook`
+// section has no token of its own.
+function selectPage(config, pageId) {
+  const { pages, facebook } = config;
+  if (pages.length === 0) return null;
+  if (pageId) return pages.find(page => page.id === String(pageId)) || null;
+  return pages.find(page => page.id === String(facebook.pageId)) ||
+    (facebook.pageAccessToken ? null : pages[0]);
+}
+
 /**
  * Merge the raw user configuration with the fallback defaults and return
  * the result. The user configuration takes precedence over fallback values.
  *
+ * In multi-page setups the settings of a page replace the global ones:
+ * facebook.pageId and pageAccessToken, bot.prefix and security.adminUIDs,
+ * and `page` holds the page's entry (null for the `facebook` section's
+ * page).
+ *
+ * The merge is cached per page and shared between callers, so it is
+ * frozen: copy a section before changing it.
+ *
+ * @param {string} [pageId] Page to load the configuration for, defaults to
+ *   the page of the event being handled
  * @returns {Object} The merged configuration object
  */
-function getConfig() {
+function getConfig(pageId = getCurrentPageId()) {
   const raw = loadConfigRaw();
+  const cacheKey = pageId ? String(pageId) : '';
+  let cached = mergedCache.get(cacheKey);
+  if (!cached) {
+    cached = mergeConfig(raw, pageId);
+    mergedCache.set(cacheKey, cached);
+  }
+  messengerProfileErrors = cached.errors;
+  return cached.config;
+}
+
+// Freeze an object and everything it holds
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+}
+
+// Build the configuration of a page from the raw file contents
+function mergeConfig(raw, pageId) {
   // Start with a deep clone of the fallbackConfig so we don't mutate it
   const merged = JSON.parse(JSON.stringify(fallbackConfig));
-  mergeDeep(merged, raw);
-  return merged;
+  // Copied too: the result is frozen and must not share arrays with it
+  mergeDeep(merged, JSON.parse(JSON.stringify(raw)));
+  merged.pages = normalizePages(merged.pages);
+  merged.page = selectPage(merged, pageId);
+  if (merged.page) {
+    merged.facebook.pageId = merged.page.id;
+    merged.facebook.pageAccessToken = merged.page.pageAccessToken;
+    merged.facebook.instagramId = merged.page.instagramId;
+    if (merged.page.prefix) merged.bot.prefix = merged.page.prefix;
+    if (merged.page.adminUIDs) merged.security.adminUIDs = merged.page.adminUIDs;
+  }
+  const { profile, errors } = validateMessengerProfile(merged.messengerProfile);
+  merged.messengerProfile = profile;
+  for (const error of errors) {
+    if (!reportedProfileErrors.has(error)) {
+      reportedProfileErrors.add(error);
+      console.warn(`⚠️ Invalid config: ${error}. The field will not be synced.`);
+    }
+  }
+  return { config: deepFreeze(merged), errors };
+}
+
+/**
+ * Configuration for a webhook entry's page.
+ *
+ * @param {string} pageId entry.id of the webhook
+ * @returns {Object|null} null when `pages` is set and neither it nor the
+ *   `facebook` section has this page; with no `pages` every entry is
+ *   handled as the `facebook` section's page
+ */
+function getPageConfig(pageId) {
+  const config = getConfig(pageId);
+  if (config.pages.length === 0 || config.page) return config;
+  return String(config.facebook.pageId) === String(pageId) ? config : null;
+}
+
+/**
+ * Configuration for the page an Instagram account is linked to.
+ *
+ * @param {string} instagramId entry.id of an `instagram` webhook
+ * @returns {Object|null} null when no page lists this account as its
+ *   instagramId
+ */
+function getInstagramPageConfig(instagramId) {
+  const config = getConfig(null);
+  const id = String(instagramId);
+  const page = config.pages.find(entry => entry.instagramId === id);
+  if (page) return getConfig(page.id);
+  return config.facebook.instagramId && String(config.facebook.instagramId) === id
+    ? getConfig(config.facebook.pageId || null)
+    : null;
+}
+
+/**
+ * Problems found in the messengerProfile section by the last getConfig
+ * call, for the dashboard.
+ *
+ * @returns {Array<string>}
+ */
+function getMessengerProfileErrors() {
+  return messengerProfileErrors.slice();
 }
 
 /**
@@ -233,6 +615,15 @@ function getMissingConfigKeys() {
     }
   }
   check(minimalTemplate, raw);
+  // With a `pages` array the tokens come from its entries
+  const pages = normalizePages(raw.pages);
+  if (pages.length > 0) {
+    const pageKeys = ['facebook.pageAccessToken', 'facebook.pageId'];
+    pages.forEach((page, index) => {
+      if (!page.pageAccessToken) missing.push(`pages[${index}].pageAccessToken`);
+    });
+    return missing.filter(key => !pageKeys.includes(key));
+  }
   return missing;
 }
 
@@ -251,12 +642,18 @@ function saveConfig(config) {
   } catch (err) {
     console.warn(`⚠️ Failed to save config.json: ${err.message}`);
   }
+  reloadConfig();
 }
 
 module.exports = {
   getConfig,
+  getPageConfig,
+  getInstagramPageConfig,
   getMissingConfigKeys,
+  getMessengerProfileErrors,
+  validateMessengerProfile,
   saveConfig,
+  reloadConfig,
   minimalTemplate,
   fallbackConfig,
 };
\ No newline at end of file
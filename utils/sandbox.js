@@ -0,0 +1,98 @@
+/**
+ * Local Sandbox
+ * Isolated configuration and state for the simulator and test harness
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Writes a throwaway config.json to a temp directory and points the user
+ * store, webhook queue, dedupe store and attachment cache away from the
+ * bot's real data through their environment overrides. Because most
+ * modules read the configuration when first required, the sandbox must be
+ * created before `index.js` or any other bot module is loaded.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Deep merge plain objects; arrays and other values are replaced
+function merge(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+      merge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Create a sandbox.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.baseConfig] Configuration to start from
+ * @param {Object} [options.config] Overrides merged on top of baseConfig
+ * @param {string} [options.userStore='file'] 'file' or 'memory'
+ * @returns {{dir: string, config: Object, cleanup: Function}}
+ */
+function createSandbox(options = {}) {
+  const config = merge(JSON.parse(JSON.stringify(options.baseConfig || {})), options.config);
+
+  const facebook = config.facebook || {};
+  config.facebook = {
+    ...facebook,
+    // The webhook route ignores events without a token. Sandboxed calls
+    // go to the mock Graph server, so any value works.
+    pageAccessToken: facebook.pageAccessToken || 'sandbox-token',
+    pageId: facebook.pageId || '100000000000001',
+  };
+  config.logging = { ...(config.logging || {}), logToFile: false };
+  // Never connect to the real database
+  delete config.db;
+  delete process.env.MONGODB_URI;
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fbbot-sandbox-'));
+  fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify(config, null, 2));
+  process.env.CONFIG_FILE = path.join(dir, 'config.json');
+  process.env.USER_STORE = options.userStore || 'file';
+  process.env.USER_STORE_FILE = path.join(dir, 'users.json');
+  process.env.WEBHOOK_QUEUE_FILE = path.join(dir, 'webhook-queue.json');
+  process.env.DEDUPE_STORE = 'memory';
+  process.env.ATTACHMENT_CACHE_FILE = path.join(dir, 'attachment-cache.json');
+
+  return {
+    dir,
+    config,
+    cleanup() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Resolve once every queued webhook job has been handled, or only retries
+ * waiting for their backoff are left.
+ *
+ * @param {number} [timeoutMs=35000]
+ * @returns {Promise<boolean>} false if work was still running at the timeout
+ */
+async function waitForIdle(timeoutMs = 35000) {
+  const { webhookQueue } = require('./jobQueue');
+  const { senderLanes } = require('./senderLanes');
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    await senderLanes.onIdle();
+    if (webhookQueue.inFlight.size === 0 && webhookQueue.getDueJobs().length === 0) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return false;
+}
+
+module.exports = {
+  createSandbox,
+  waitForIdle,
+};
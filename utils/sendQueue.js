@@ -0,0 +1,394 @@
+/**
+ * Outbound Send Queue
+ * Central queue for Graph API calls with rate limiting and backoff
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Every call made through FacebookAPI.request passes through this queue.
+ * Throughput is capped per page and, for Send API calls, per recipient
+ * with token buckets. Graph API errors change how the page is treated:
+ *
+ *   rate limits (code 4, 17, 32, 613, HTTP 429)
+ *       the whole page backs off exponentially with jitter and the call
+ *       is retried
+ *   server errors (HTTP 5xx)
+ *       only the failing call is retried, with the same backoff
+ *   spam block (code 368)
+ *       messages are refused for `spamBlockPauseMs`; other calls continue
+ *   token errors (code 190)
+ *       the page is paused entirely. One call is let through every
+ *       `authRetryMs` as a probe and the pause lifts when it succeeds.
+ */
+
+const logger = require('./logger');
+const { FacebookApiError } = require('./facebookApiError');
+
+const RATE_LIMIT_CODES = [4, 17, 32, 613];
+
+/**
+ * Decide how the queue reacts to a failed call.
+ *
+ * @param {Error} error Error thrown by the call, normally a FacebookApiError
+ * @returns {string|null} 'rate_limit', 'spam_block', 'auth', 'server' or
+ *   null for errors that should simply be passed to the caller
+ */
+function classifyError(error) {
+  const { status, code } = error;
+
+  if (code === 190) return 'auth';
+  if (code === 368) return 'spam_block';
+  if (status === 429 || RATE_LIMIT_CODES.includes(code)) return 'rate_limit';
+  if (status >= 500) return 'server';
+  return null;
+}
+
+// Token bucket holding up to one second worth of calls
+class TokenBucket {
+  constructor(ratePerSecond) {
+    this.rate = ratePerSecond;
+    this.tokens = ratePerSecond;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now) {
+    const elapsed = now - this.updatedAt;
+    this.tokens = Math.min(this.rate, this.tokens + (elapsed * this.rate) / 1000);
+    this.updatedAt = now;
+  }
+
+  // Milliseconds until a token is available, 0 if one is available now
+  waitTime(now) {
+    this.refill(now);
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) * 1000) / this.rate);
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.rate;
+  }
+}
+
+// Error used for calls the queue refuses without sending. It carries the
+// code of the error that caused the pause so callers can treat it the
+// same way.
+function createPausedError(message, code, until) {
+  return new FacebookApiError({
+    message,
+    code,
+    type: 'SendQueuePaused',
+    refused: true,
+    retryAt: until,
+  });
+}
+
+class SendQueue {
+  constructor(options = {}) {
+    this.perPagePerSecond = options.perPagePerSecond || 40;
+    this.perRecipientPerSecond = options.perRecipientPerSecond || 5;
+    this.maxConcurrent = options.maxConcurrent || 10;
+    this.maxRetries = options.maxRetries === undefined ? 5 : options.maxRetries;
+    this.baseDelayMs = options.baseDelayMs || 1000;
+    this.maxDelayMs = options.maxDelayMs || 60000;
+    this.spamBlockPauseMs = options.spamBlockPauseMs || 900000;
+    this.authRetryMs = options.authRetryMs || 60000;
+
+    this.pending = [];
+    this.active = 0;
+    // pageId -> { bucket, throttledUntil, throttleCount, blockedUntil, authPaused, authProbeAt, probing }
+    this.pages = new Map();
+    // `${pageId}:${recipientId}` -> TokenBucket
+    this.recipients = new Map();
+    // Recipients with a call in flight. Calls to one recipient are sent
+    // one at a time so messages arrive in the order they were queued.
+    this.sendingTo = new Set();
+    this.timer = null;
+    this.counters = {
+      sent: 0,
+      failed: 0,
+      retried: 0,
+      throttled: 0,
+      refused: 0,
+    };
+  }
+
+  getPage(pageId) {
+    const key = pageId || 'default';
+    if (!this.pages.has(key)) {
+      this.pages.set(key, {
+        bucket: new TokenBucket(this.perPagePerSecond),
+        throttledUntil: 0,
+        throttleCount: 0,
+        blockedUntil: 0,
+        authPaused: false,
+        authError: null,
+        authProbeAt: 0,
+        probing: false,
+      });
+    }
+    return this.pages.get(key);
+  }
+
+  getRecipientBucket(pageId, recipientId) {
+    const key = `${pageId || 'default'}:${recipientId}`;
+    if (!this.recipients.has(key)) {
+      this.recipients.set(key, new TokenBucket(this.perRecipientPerSecond));
+    }
+    return this.recipients.get(key);
+  }
+
+  /**
+   * Queue a call.
+   *
+   * @param {Object} target
+   * @param {string} target.pageId Page the call is made for
+   * @param {string} [target.recipientId] PSID for Send API calls
+   * @param {boolean} [target.isMessage] True for Send API calls
+   * @param {Function} execute Async function performing the call
+   * @returns {Promise<*>} Resolves with the call's result
+   */
+  schedule(target, execute) {
+    return new Promise((resolve, reject) => {
+      const item = { ...target, execute, resolve, reject, attempts: 0, notBefore: 0 };
+      const refusal = this.getRefusal(item, Date.now());
+      if (refusal) {
+        this.counters.refused++;
+        reject(refusal);
+        return;
+      }
+      this.pending.push(item);
+      this.pump();
+    });
+  }
+
+  // Error for calls that must not be sent right now, or null
+  getRefusal(item, now) {
+    const page = this.getPage(item.pageId);
+    if (page.authPaused && (page.probing || now < page.authProbeAt)) {
+      return createPausedError(
+        `Graph API calls paused after a token error: ${page.authError}`,
+        190,
+        page.authProbeAt,
+      );
+    }
+    if (item.isMessage && page.blockedUntil > now) {
+      return createPausedError(
+        `Messages paused until ${new Date(page.blockedUntil).toISOString()} after a spam block (code 368)`,
+        368,
+        page.blockedUntil,
+      );
+    }
+    return null;
+  }
+
+  // Start every call whose limits allow it and schedule a wake-up for
+  // the rest. Calls for one recipient keep their order; a recipient at
+  // its limit or with a call in flight does not hold up others.
+  pump() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const now = Date.now();
+    let wait = Infinity;
+    const waitingRecipients = new Set();
+
+    for (let i = 0; i < this.pending.length && this.active < this.maxConcurrent;) {
+      const item = this.pending[i];
+      const page = this.getPage(item.pageId);
+      const recipientKey = item.recipientId ? `${item.pageId}:${item.recipientId}` : null;
+
+      const refusal = this.getRefusal(item, now);
+      if (refusal) {
+        this.pending.splice(i, 1);
+        this.counters.refused++;
+        item.reject(refusal);
+        continue;
+      }
+
+      let delay = Math.max(page.throttledUntil - now, item.notBefore - now, 0);
+      if (recipientKey && (waitingRecipients.has(recipientKey) || this.sendingTo.has(recipientKey))) {
+        i++;
+        continue;
+      }
+      if (delay === 0) delay = page.bucket.waitTime(now);
+      if (delay === 0 && item.recipientId) {
+        delay = this.getRecipientBucket(item.pageId, item.recipientId).waitTime(now);
+      }
+      if (delay > 0) {
+        if (recipientKey) waitingRecipients.add(recipientKey);
+        wait = Math.min(wait, delay);
+        i++;
+        continue;
+      }
+
+      this.pending.splice(i, 1);
+      page.bucket.take();
+      if (item.recipientId) {
+        this.getRecipientBucket(item.pageId, item.recipientId).take();
+      }
+      if (page.authPaused) {
+        // This call is the probe for a paused page
+        page.probing = true;
+        item.isProbe = true;
+      }
+      this.run(item, page, recipientKey);
+    }
+
+    this.pruneRecipients(now);
+    if (wait !== Infinity) {
+      this.timer = setTimeout(() => this.pump(), wait);
+    }
+  }
+
+  async run(item, page, recipientKey) {
+    this.active++;
+    if (recipientKey) this.sendingTo.add(recipientKey);
+    item.attempts++;
+    try {
+      const result = await item.execute();
+      this.counters.sent++;
+      page.throttleCount = 0;
+      if (page.authPaused) {
+        page.authPaused = false;
+        page.authError = null;
+        logger.info(`✅ Graph API calls resumed for page ${item.pageId || 'default'}`);
+      }
+      item.resolve(result);
+    } catch (error) {
+      this.handleFailure(item, page, error);
+    } finally {
+      // Calls started before the pause may settle while the probe is in
+      // flight; only the probe itself ends probe mode
+      if (item.isProbe) {
+        page.probing = false;
+        item.isProbe = false;
+      }
+      this.active--;
+      if (recipientKey) this.sendingTo.delete(recipientKey);
+      this.pump();
+    }
+  }
+
+  handleFailure(item, page, error) {
+    const kind = classifyError(error);
+    const canRetry = item.attempts <= this.maxRetries;
+
+    switch (kind) {
+      case 'rate_limit': {
+        page.throttleCount++;
+        const delay = this.getBackoffDelay(page.throttleCount);
+        page.throttledUntil = Math.max(page.throttledUntil, Date.now() + delay);
+        this.counters.throttled++;
+        logger.warn(`⏳ Rate limited on page ${item.pageId || 'default'}, backing off ${delay}ms`);
+        if (canRetry) return this.retry(item);
+        break;
+      }
+      case 'server':
+        if (canRetry) {
+          item.notBefore = Date.now() + this.getBackoffDelay(item.attempts);
+          return this.retry(item);
+        }
+        break;
+      case 'spam_block':
+        page.blockedUntil = Date.now() + this.spamBlockPauseMs;
+        logger.error(`🚫 Page ${item.pageId || 'default'} blocked for spam, pausing messages for ${this.spamBlockPauseMs}ms`);
+        this.refusePending(item.pageId);
+        break;
+      case 'auth':
+        if (!page.authPaused) {
+          logger.error(`🔒 Token error on page ${item.pageId || 'default'}, pausing all Graph API calls`);
+        }
+        page.authPaused = true;
+        page.authError = error.message || 'code 190';
+        page.authProbeAt = Date.now() + this.authRetryMs;
+        this.refusePending(item.pageId);
+        break;
+    }
+
+    this.counters.failed++;
+    item.reject(error);
+  }
+
+  retry(item) {
+    this.counters.retried++;
+    // Put the call back at the front so it keeps its place
+    this.pending.unshift(item);
+  }
+
+  // Reject queued calls that the page can no longer send
+  refusePending(pageId) {
+    const now = Date.now();
+    this.pending = this.pending.filter((item) => {
+      if (item.pageId !== pageId) return true;
+      const refusal = this.getRefusal(item, now);
+      if (!refusal) return true;
+      this.counters.refused++;
+      item.reject(refusal);
+      return false;
+    });
+  }
+
+  // Exponential backoff with jitter: a random delay between half and all
+  // of base * 2^(n-1), capped at maxDelayMs
+  getBackoffDelay(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  // Forget idle recipient buckets so the map does not grow forever
+  pruneRecipients(now) {
+    if (this.recipients.size < 1000) return;
+    for (const [key, bucket] of this.recipients) {
+      if (bucket.isFull(now)) this.recipients.delete(key);
+    }
+  }
+
+  /**
+   * Lift every pause and throttle, e.g. after replacing the page token.
+   */
+  resume() {
+    for (const page of this.pages.values()) {
+      page.authPaused = false;
+      page.authError = null;
+      page.blockedUntil = 0;
+      page.throttledUntil = 0;
+      page.throttleCount = 0;
+    }
+    this.pump();
+  }
+
+  getStats() {
+    const now = Date.now();
+    const pages = {};
+    for (const [pageId, page] of this.pages) {
+      let state = 'ok';
+      if (page.authPaused) state = 'paused';
+      else if (page.blockedUntil > now) state = 'blocked';
+      else if (page.throttledUntil > now) state = 'throttled';
+      pages[pageId] = {
+        state,
+        pending: this.pending.filter(item => (item.pageId || 'default') === pageId).length,
+        throttledUntil: page.throttledUntil > now ? page.throttledUntil : null,
+        blockedUntil: page.blockedUntil > now ? page.blockedUntil : null,
+        authError: page.authPaused ? page.authError : null,
+      };
+    }
+    return {
+      pending: this.pending.length,
+      active: this.active,
+      perPagePerSecond: this.perPagePerSecond,
+      perRecipientPerSecond: this.perRecipientPerSecond,
+      ...this.counters,
+      pages,
+    };
+  }
+}
+
+module.exports = {
+  SendQueue,
+  classifyError,
+};
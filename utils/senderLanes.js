@@ -0,0 +1,194 @@
+/**
+ * Per-Sender Execution Lanes
+ * Runs work for one sender serially, in timestamp order, while different
+ * senders run in parallel up to a global concurrency cap
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Two fast messages from the same user used to be handled at the same
+ * time, racing on the user store and replying out of order. Each sender
+ * now gets a lane: a task only starts once the previous task in the same
+ * lane has settled. A task still running after the timeout fails with a
+ * timeout error, which makes the queue retry or dead-letter its job, and
+ * its lane and concurrency slot go to the next task. The task itself
+ * cannot be cancelled; it is counted as overdue until it settles and its
+ * outcome is then ignored.
+ */
+
+const logger = require('./logger');
+const { getConfig } = require('./safeConfig');
+
+class SenderLanes {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 10;
+    this.timeoutMs = options.timeoutMs || 30000;
+
+    // key -> array of pending tasks sorted by timestamp
+    this.lanes = new Map();
+    // keys whose lane currently has a running task
+    this.busy = new Set();
+    this.active = 0;
+    // tasks that timed out and are still running
+    this.overdue = 0;
+    this.pumpScheduled = false;
+    this.idleWaiters = [];
+    this.counters = {
+      completed: 0,
+      failed: 0,
+      timedOut: 0,
+    };
+  }
+
+  /**
+   * Queue a task in the lane for `key`.
+   *
+   * @param {string} key Lane key, usually the sender PSID
+   * @param {number} timestamp Event timestamp used to order the lane
+   * @param {Function} task Async function to execute
+   * @returns {Promise<*>} Resolves or rejects with the task's outcome
+   */
+  run(key, timestamp, task) {
+    return new Promise((resolve, reject) => {
+      const laneKey = key || 'unknown';
+      const lane = this.lanes.get(laneKey) || [];
+      const entry = { timestamp: Number(timestamp) || Date.now(), task, resolve, reject };
+
+      // Insert after any task with an equal or earlier timestamp so that
+      // events with the same timestamp keep their arrival order.
+      let index = lane.length;
+      while (index > 0 && lane[index - 1].timestamp > entry.timestamp) {
+        index--;
+      }
+      lane.splice(index, 0, entry);
+      this.lanes.set(laneKey, lane);
+
+      this.schedulePump();
+    });
+  }
+
+  // Defer starting work to the next microtask so that a batch of events
+  // queued in the same tick is sorted before the first one starts.
+  schedulePump() {
+    if (this.pumpScheduled) return;
+    this.pumpScheduled = true;
+    queueMicrotask(() => {
+      this.pumpScheduled = false;
+      this.pump();
+    });
+  }
+
+  // Start tasks from idle lanes until the concurrency cap is reached
+  pump() {
+    for (const [key, lane] of this.lanes) {
+      if (this.active >= this.concurrency) return;
+      if (this.busy.has(key) || lane.length === 0) continue;
+      this.startNext(key, lane);
+    }
+    this.notifyIdle();
+  }
+
+  startNext(key, lane) {
+    const entry = lane.shift();
+    this.busy.add(key);
+    this.active++;
+
+    // Free the lane and slot once, on settle or timeout
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      this.active--;
+      this.busy.delete(key);
+      if (lane.length === 0 && this.lanes.get(key) === lane) {
+        this.lanes.delete(key);
+      }
+      this.pump();
+    };
+
+    const timer = setTimeout(() => {
+      entry.overdue = true;
+      this.overdue++;
+      this.counters.timedOut++;
+      logger.warn(`⏱️ Event for ${key} timed out after ${this.timeoutMs}ms; moving on to the next event`);
+      const error = new Error(`Event for ${key} timed out after ${this.timeoutMs}ms`);
+      error.code = 'EVENT_TIMEOUT';
+      entry.reject(error);
+      release();
+    }, this.timeoutMs);
+    if (timer.unref) timer.unref();
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(
+        (result) => {
+          if (entry.overdue) return;
+          this.counters.completed++;
+          entry.resolve(result);
+        },
+        (error) => {
+          if (entry.overdue) {
+            logger.warn(`Timed-out event for ${key} failed after all: ${error.message}`);
+            return;
+          }
+          this.counters.failed++;
+          entry.reject(error);
+        },
+      )
+      .finally(() => {
+        clearTimeout(timer);
+        if (entry.overdue) this.overdue--;
+        release();
+      });
+  }
+
+  // Number of tasks waiting for a slot
+  getQueuedCount() {
+    let queued = 0;
+    for (const lane of this.lanes.values()) {
+      queued += lane.length;
+    }
+    return queued;
+  }
+
+  // Resolve once no task is running or waiting
+  onIdle() {
+    if (this.active === 0 && this.getQueuedCount() === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  notifyIdle() {
+    if (this.active > 0 || this.getQueuedCount() > 0) return;
+    const waiters = this.idleWaiters;
+    this.idleWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  getStats() {
+    return {
+      active: this.active,
+      overdue: this.overdue,
+      queued: this.getQueuedCount(),
+      lanes: this.lanes.size,
+      concurrency: this.concurrency,
+      timeoutMs: this.timeoutMs,
+      ...this.counters,
+    };
+  }
+}
+
+// Lanes used for webhook processing
+function createSenderLanes() {
+  const config = getConfig();
+  const processing = config.processing || {};
+  return new SenderLanes({
+    concurrency: processing.concurrency,
+    timeoutMs: processing.eventTimeoutMs,
+  });
+}
+
+module.exports = {
+  SenderLanes,
+  senderLanes: createSenderLanes(),
+};
@@ -0,0 +1,242 @@
+/**
+ * Token Monitor
+ * Inspects the page access tokens and watches their expiry
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * A non-empty pageAccessToken can still be revoked, expired, issued for
+ * another page or lack permissions. The monitor inspects the token of
+ * every page the bot serves (see FacebookAPI.inspectToken) and records
+ * whether it works, the page it is bound to, its scopes and its expiry.
+ *
+ * server.js runs the inspection at startup and every
+ * `tokenCheck.intervalMs`; in serverless mode /status runs it when due.
+ * A page's token counts as invalid while its last inspection failed or
+ * Graph API calls for the page are paused after a token error, and
+ * /status then reports TOKEN_INVALID. Page admins get a message once a
+ * token expires within `tokenCheck.warnBeforeExpiryMs`.
+ */
+
+const logger = require('./logger');
+const { getConfig } = require('./safeConfig');
+const { runWithPage } = require('./pageContext');
+
+class TokenMonitor {
+  constructor() {
+    // Page ID -> result of the last inspection
+    this.results = new Map();
+    // Page ID -> expiry the admins were warned about
+    this.warned = new Map();
+    this.lastRun = 0;
+    this.running = null;
+    this.scheduler = null;
+  }
+
+  // Pages with a token: the `pages` entries and the `facebook` section's
+  // page unless it is one of them
+  getPages() {
+    const config = getConfig(null);
+    const pages = config.pages.map(page => ({ id: page.id, token: page.pageAccessToken }));
+    const { pageId, pageAccessToken } = config.facebook;
+    if (!pages.some(page => page.id === String(pageId))) {
+      pages.push({ id: String(pageId || ''), token: pageAccessToken });
+    }
+    return pages.filter(page => page.token);
+  }
+
+  /**
+   * Inspect the tokens of all pages. Concurrent calls share one run.
+   *
+   * @returns {Promise<Array<Object>>} The results, see getStatus
+   */
+  async checkAll() {
+    if (!this.running) {
+      this.running = (async () => {
+        const pages = this.getPages();
+        // Forget pages that were removed or lost their token
+        for (const pageId of this.results.keys()) {
+          if (!pages.some(page => page.id === pageId)) this.results.delete(pageId);
+        }
+        for (const page of pages) {
+          await this.checkPage(page.id);
+        }
+        this.lastRun = Date.now();
+      })().finally(() => {
+        this.running = null;
+      });
+    }
+    await this.running;
+    return this.getStatus();
+  }
+
+  // Run checkAll when `tokenCheck.intervalMs` has passed since the last run
+  async checkDue() {
+    const { tokenCheck } = getConfig();
+    if (!tokenCheck.enabled || Date.now() - this.lastRun < tokenCheck.intervalMs) {
+      return this.getStatus();
+    }
+    return this.checkAll();
+  }
+
+  async checkPage(pageId) {
+    const fbApi = require('./fbApi');
+    const config = getConfig(pageId || null);
+    const previous = this.results.get(pageId);
+    let info;
+    try {
+      info = await fbApi.forPage(pageId || null).inspectToken();
+    } catch (error) {
+      // Network and server errors say nothing about the token; keep the
+      // last result
+      logger.warn(`⚠️ Could not inspect the token of page ${pageId || 'default'}: ${error.message}`);
+      this.results.set(pageId, {
+        ...(previous || { pageId, valid: null, problems: [], missingScopes: [] }),
+        checkError: error.message,
+      });
+      return;
+    }
+
+    const problems = [];
+    if (!info.valid) problems.push(info.error || 'The token is not valid');
+    if (info.type && info.type !== 'PAGE') problems.push(`Not a page token (${info.type})`);
+    if (info.pageId && pageId && info.pageId !== pageId) {
+      problems.push(`The token belongs to page ${info.pageId}`);
+    }
+    const required = config.tokenCheck.requiredScopes || [];
+    const missingScopes = info.scopes ? required.filter(scope => !info.scopes.includes(scope)) : [];
+
+    const result = {
+      pageId,
+      checkedAt: Date.now(),
+      method: info.method,
+      valid: problems.length === 0,
+      problems,
+      type: info.type,
+      appId: info.appId,
+      boundPageId: info.pageId,
+      pageName: info.pageName,
+      scopes: info.scopes,
+      missingScopes,
+      expiresAt: info.expiresAt,
+      dataAccessExpiresAt: info.dataAccessExpiresAt,
+      checkError: null,
+    };
+    this.results.set(pageId, result);
+
+    const label = `page ${pageId || 'default'}`;
+    if (!result.valid && (!previous || previous.valid !== false)) {
+      logger.error(`🔒 Page access token of ${label} is invalid: ${problems.join('; ')}`);
+    } else if (result.valid && previous && previous.valid === false) {
+      logger.info(`✅ Page access token of ${label} is valid again`);
+    }
+    if (missingScopes.length > 0 &&
+      (!previous || String(previous.missingScopes) !== String(missingScopes))) {
+      logger.warn(`⚠️ Page access token of ${label} lacks permissions: ${missingScopes.join(', ')}`);
+    }
+    await this.warnBeforeExpiry(result, config);
+  }
+
+  // Tell the page's admins once about a token expiring soon
+  async warnBeforeExpiry(result, config) {
+    const { pageId, expiresAt } = result;
+    if (!result.valid || !expiresAt) return;
+    if (expiresAt - Date.now() > config.tokenCheck.warnBeforeExpiryMs) return;
+    if (this.warned.get(pageId) === expiresAt) return;
+    this.warned.set(pageId, expiresAt);
+
+    const name = (config.page && config.page.name) || result.pageName || `page ${pageId || 'default'}`;
+    const text = `⚠️ The page access token of ${name} expires on ${new Date(expiresAt).toUTCString()}. ` +
+      'Generate a new token and update config.json before then.';
+    logger.warn(text);
+    const fbApi = require('./fbApi');
+    const admins = (config.security && config.security.adminUIDs) || [];
+    for (const admin of admins) {
+      try {
+        // Admins often have not written to the page in the last 24 hours
+        await runWithPage(pageId, () => fbApi.sendMessage(admin, text, 'text', { humanAgent: true }));
+      } catch (error) {
+        // Usually the admin has not written to the page in the last 7 days
+        logger.warn(`⚠️ Could not warn admin ${admin} about the token expiry: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Whether a page's token is known to be broken: its last inspection
+   * failed or Graph API calls for the page are paused on a token error.
+   *
+   * @param {string} pageId
+   * @returns {boolean}
+   */
+  isInvalid(pageId) {
+    const result = this.results.get(pageId);
+    if (result && result.valid === false) return true;
+    const fbApi = require('./fbApi');
+    const outbound = fbApi.getQueueStats().pages[pageId || 'default'];
+    return !!(outbound && outbound.state === 'paused');
+  }
+
+  // Any served page with a broken token
+  hasInvalidToken() {
+    return this.getPages().some(page => this.isInvalid(page.id));
+  }
+
+  /**
+   * Inspection results for /status and the dashboard. Tokens themselves
+   * are never included.
+   *
+   * @returns {Array<Object>}
+   */
+  getStatus() {
+    const fbApi = require('./fbApi');
+    const outbound = fbApi.getQueueStats().pages;
+    return this.getPages().map(({ id }) => {
+      const result = this.results.get(id) || { pageId: id, valid: null, problems: [], missingScopes: [] };
+      const paused = outbound[id || 'default'];
+      if (paused && paused.state === 'paused') {
+        return {
+          ...result,
+          valid: false,
+          problems: [...result.problems, `Graph API calls paused: ${paused.authError}`],
+        };
+      }
+      return result;
+    });
+  }
+
+  // Inspect the tokens at startup and then periodically (server.js)
+  start(intervalMs) {
+    if (this.scheduler) return;
+    const tick = () => {
+      this.checkAll().catch(error => {
+        logger.error('Error inspecting page tokens:', error.message);
+      });
+    };
+    tick();
+    this.scheduler = setInterval(tick, intervalMs);
+    if (this.scheduler.unref) this.scheduler.unref();
+    logger.info(`🔑 Page tokens inspected every ${intervalMs}ms`);
+  }
+
+  stop() {
+    if (this.scheduler) {
+      clearInterval(this.scheduler);
+      this.scheduler = null;
+    }
+  }
+
+  // Forget results and warnings, e.g. between tests
+  reset() {
+    this.stop();
+    this.results.clear();
+    this.warned.clear();
+    this.lastRun = 0;
+  }
+}
+
+const tokenMonitor = new TokenMonitor();
+
+module.exports = {
+  TokenMonitor,
+  tokenMonitor,
+};
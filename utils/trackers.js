@@ -6,75 +6,171 @@
  */
 
 const moment = require('moment-timezone');
-const config = require('../config.json');
+// Load configuration via safeConfig. config.json may not contain a `bot`
+// section, so reading it directly would crash on `config.bot.timezone`.
+const { getConfig } = require('./safeConfig');
+const config = getConfig();
+const logger = require('./logger');
 
 class MessageTracker {
-  constructor() {
+  constructor(options = {}) {
     this.messageHistory = new Map();
     this.commentHistory = new Map();
     this.postbackHistory = new Map();
+    // Optional persistent seen-set (see utils/dedupeStore.js). The history
+    // maps above act as a fast in-process cache in front of it.
+    this.store = options.store || null;
+    this.ttlMs = options.ttlMs || 300000; // 5 minutes
+    // How long an event being handled stays claimed if its handler never
+    // finishes, e.g. because the process died
+    this.claimTtlMs = options.claimTtlMs || 120000; // 2 minutes
     this.dailyCounts = {
       messages: 0,
       comments: 0,
       postbacks: 0,
+      events: 0,
       duplicates: 0,
+      failures: 0,
     };
     this.lastReset = moment().tz(config.bot.timezone).format('YYYY-MM-DD');
   }
 
-  // Check for duplicate message
-  isDuplicate(senderId, timestamp, type = 'message') {
-    const key = `${senderId}_${timestamp}`;
+  // Check for duplicate message by its message ID (mid). The first call
+  // for an ID claims it for `owner`, the queue job handling it; later
+  // calls return true until the claim expires, except from the same
+  // owner. Once handled (completeMessage) the ID stays seen for the TTL.
+  async isDuplicate(messageId, owner) {
+    return this.claim(this.messageHistory, `message:${messageId}`, owner);
+  }
+
+  // Check for duplicate comment
+  async isDuplicateComment(commentId, owner) {
+    return this.claim(this.commentHistory, `comment:${commentId}`, owner);
+  }
+
+  // Check for duplicate postback. Postbacks carry a mid; older events
+  // without one fall back to sender, payload and timestamp.
+  async isDuplicatePostback(senderId, payload, timestamp, messageId, owner) {
+    return this.claim(
+      this.postbackHistory,
+      this.getPostbackKey(senderId, payload, timestamp, messageId),
+      owner,
+    );
+  }
+
+  // Mark a claimed message as handled
+  async completeMessage(messageId) {
+    await this.complete(this.messageHistory, `message:${messageId}`);
+  }
+
+  async completeComment(commentId) {
+    await this.complete(this.commentHistory, `comment:${commentId}`);
+  }
+
+  async completePostback(senderId, payload, timestamp, messageId) {
+    await this.complete(
+      this.postbackHistory,
+      this.getPostbackKey(senderId, payload, timestamp, messageId),
+    );
+  }
+
+  // State of the persistent dedupe store, e.g. whether Redis is down
+  getStoreStatus() {
+    return this.store ? this.store.getStatus() : { type: 'none', degraded: false };
+  }
+
+  // Release the persistent dedupe store, e.g. the Redis connection
+  async close() {
+    if (this.store) {
+      await this.store.close();
+    }
+  }
+
+  // Release a claimed message so a retry of it is processed again
+  async releaseMessage(messageId) {
+    await this.release(this.messageHistory, `message:${messageId}`);
+  }
+
+  async releaseComment(commentId) {
+    await this.release(this.commentHistory, `comment:${commentId}`);
+  }
+
+  async releasePostback(senderId, payload, timestamp, messageId) {
+    await this.release(
+      this.postbackHistory,
+      this.getPostbackKey(senderId, payload, timestamp, messageId),
+    );
+  }
+
+  getPostbackKey(senderId, payload, timestamp, messageId) {
+    return messageId
+      ? `postback:${messageId}`
+      : `postback:${senderId}_${JSON.stringify(payload)}_${timestamp}`;
+  }
+
+  // Claim a key for `owner` while its event is handled. Returns true if
+  // the key was already handled or is claimed by someone else.
+  async claim(history, key, owner) {
+    // Clean old entries before checking
+    this.cleanOldEntries();
     
-    // Check if we've processed this already
-    if (this.messageHistory.has(key)) {
+    const seen = history.get(key);
+    if (seen && (seen.handled || !owner || seen.owner !== owner)) {
       this.dailyCounts.duplicates++;
       return true;
     }
     
-    // Clean old entries (older than 5 minutes)
-    this.cleanOldEntries();
-    
-    // Add to history with expiration
-    this.messageHistory.set(key, {
+    history.set(key, {
+      owner,
+      handled: false,
       timestamp: Date.now(),
-      type,
-      expiresAt: Date.now() + 300000, // 5 minutes
+      expiresAt: Date.now() + this.claimTtlMs,
     });
     
+    // A key missing locally may still have been handled before a restart
+    // or by another instance
+    if (this.store) {
+      try {
+        const claimed = await this.store.claim(key, owner, this.claimTtlMs);
+        if (!claimed) {
+          history.delete(key);
+          this.dailyCounts.duplicates++;
+          return true;
+        }
+      } catch (error) {
+        // Fail open: processing twice is better than dropping an event
+        logger.warn(`Dedupe store check failed for ${key}: ${error.message}`);
+      }
+    }
+    
     return false;
   }
 
-  // Check for duplicate comment
-  isDuplicateComment(commentId) {
-    if (this.commentHistory.has(commentId)) {
-      this.dailyCounts.duplicates++;
-      return true;
-    }
-    
-    this.commentHistory.set(commentId, {
+  // Record a claimed key as handled for the full TTL
+  async complete(history, key) {
+    history.set(key, {
+      handled: true,
       timestamp: Date.now(),
-      expiresAt: Date.now() + 300000, // 5 minutes
+      expiresAt: Date.now() + this.ttlMs,
     });
-    
-    return false;
+    if (this.store) {
+      try {
+        await this.store.complete(key, this.ttlMs);
+      } catch (error) {
+        logger.warn(`Dedupe store update failed for ${key}: ${error.message}`);
+      }
+    }
   }
 
-  // Check for duplicate postback
-  isDuplicatePostback(senderId, payload, timestamp) {
-    const key = `${senderId}_${JSON.stringify(payload)}_${timestamp}`;
-    
-    if (this.postbackHistory.has(key)) {
-      this.dailyCounts.duplicates++;
-      return true;
+  async release(history, key) {
+    history.delete(key);
+    if (this.store) {
+      try {
+        await this.store.remove(key);
+      } catch (error) {
+        logger.warn(`Dedupe store release failed for ${key}: ${error.message}`);
+      }
     }
-    
-    this.postbackHistory.set(key, {
-      timestamp: Date.now(),
-      expiresAt: Date.now() + 300000, // 5 minutes
-    });
-    
-    return false;
   }
 
   // Track message
@@ -91,9 +187,23 @@ class MessageTracker {
       case 'postback':
         this.dailyCounts.postbacks++;
         break;
+      default:
+        this.dailyCounts.events++;
+        break;
     }
   }
 
+  // Track the outcome of a handled event
+  trackMessage(senderId, type = 'message', success = true) {
+    if (success) {
+      this.track(senderId, Date.now(), type);
+      return;
+    }
+    
+    this.checkDailyReset();
+    this.dailyCounts.failures++;
+  }
+
   // Track comment
   trackComment(commentId) {
     this.checkDailyReset();
@@ -148,7 +258,9 @@ class MessageTracker {
       messages: 0,
       comments: 0,
       postbacks: 0,
+      events: 0,
       duplicates: 0,
+      failures: 0,
     };
   }
 
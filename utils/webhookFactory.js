@@ -0,0 +1,192 @@
+/**
+ * Webhook Event Factory
+ * Builds page and Instagram webhook payloads shaped like the ones
+ * Facebook delivers
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Used by the conversation simulator and tests to drive the webhook route
+ * with realistic messages, quick reply taps, postbacks and feed comments.
+ */
+
+const crypto = require('crypto');
+
+let sequence = 0;
+
+// Unique ID with a recognisable prefix, e.g. m_sim_1700000000000_1
+function createId(prefix) {
+  sequence++;
+  return `${prefix}_${Date.now()}_${sequence}`;
+}
+
+/**
+ * Build a text message event, optionally as a quick reply tap.
+ *
+ * @param {string} senderId PSID of the user
+ * @param {string} pageId Page receiving the message
+ * @param {string} text Message text
+ * @param {Object} [options]
+ * @param {string} [options.quickReplyPayload] Payload of the tapped quick reply
+ * @param {number} [options.timestamp]
+ * @returns {Object} Messaging event
+ */
+function createMessageEvent(senderId, pageId, text, options = {}) {
+  const message = {
+    mid: createId('m_sim'),
+    text,
+  };
+  if (options.quickReplyPayload !== undefined) {
+    message.quick_reply = { payload: options.quickReplyPayload };
+  }
+  return {
+    sender: { id: senderId },
+    recipient: { id: pageId },
+    timestamp: options.timestamp || Date.now(),
+    message,
+  };
+}
+
+/**
+ * Build a postback event, as sent when a button is tapped.
+ *
+ * @param {string} senderId PSID of the user
+ * @param {string} pageId Page receiving the postback
+ * @param {string} payload Button payload
+ * @param {Object} [options]
+ * @param {string} [options.title] Button title
+ * @param {number} [options.timestamp]
+ * @returns {Object} Messaging event
+ */
+function createPostbackEvent(senderId, pageId, payload, options = {}) {
+  return {
+    sender: { id: senderId },
+    recipient: { id: pageId },
+    timestamp: options.timestamp || Date.now(),
+    postback: {
+      mid: createId('m_sim'),
+      title: options.title || payload,
+      payload,
+    },
+  };
+}
+
+/**
+ * Build a feed change for a new comment on a page post.
+ *
+ * @param {string} senderId ID of the commenting user
+ * @param {string} pageId Page owning the post
+ * @param {string} message Comment text
+ * @param {Object} [options]
+ * @param {string} [options.postId] Post ID, defaults to a fake post
+ * @param {string} [options.parentId] Parent comment for replies
+ * @param {string} [options.senderName]
+ * @returns {Object} Change for entry.changes
+ */
+function createCommentChange(senderId, pageId, message, options = {}) {
+  const postId = options.postId || `${pageId}_${crypto.randomInt(1e9, 1e10)}`;
+  const commentId = `${postId.split('_').pop()}_${crypto.randomInt(1e9, 1e10)}`;
+  return {
+    field: 'feed',
+    value: {
+      from: { id: senderId, name: options.senderName || `User ${senderId}` },
+      post: { id: postId, status_type: 'mobile_status_update', is_published: true },
+      post_id: postId,
+      comment_id: commentId,
+      parent_id: options.parentId || postId,
+      created_time: Math.floor(Date.now() / 1000),
+      item: 'comment',
+      verb: 'add',
+      message,
+    },
+  };
+}
+
+/**
+ * Build an Instagram `comments` change for a new comment on a media
+ * object of the linked Instagram account.
+ *
+ * @param {string} senderId Instagram-scoped ID of the commenting user
+ * @param {string} message Comment text
+ * @param {Object} [options]
+ * @param {string} [options.mediaId] Media ID, defaults to a fake media
+ * @param {string} [options.parentId] Parent comment for replies
+ * @param {string} [options.username]
+ * @returns {Object} Change for entry.changes
+ */
+function createInstagramCommentChange(senderId, message, options = {}) {
+  const value = {
+    from: { id: senderId, username: options.username || `user_${senderId}` },
+    media: {
+      id: options.mediaId || String(crypto.randomInt(1e9, 1e10)),
+      media_product_type: 'FEED',
+    },
+    id: String(crypto.randomInt(1e9, 1e10)),
+    text: message,
+  };
+  if (options.parentId) value.parent_id = options.parentId;
+  return { field: 'comments', value };
+}
+
+/**
+ * Build a handover protocol event, as sent when thread control changes.
+ *
+ * @param {string} senderId PSID of the user whose thread changed owner
+ * @param {string} pageId
+ * @param {string} type pass_thread_control, take_thread_control or
+ *   request_thread_control
+ * @param {Object} [data] e.g. { previous_owner_app_id, metadata }
+ * @returns {Object} Messaging event
+ */
+function createThreadControlEvent(senderId, pageId, type, data = {}) {
+  return {
+    sender: { id: senderId },
+    recipient: { id: pageId },
+    timestamp: Date.now(),
+    [type]: data,
+  };
+}
+
+/**
+ * Wrap messaging events and feed changes in a page webhook body.
+ *
+ * @param {string} pageId
+ * @param {Object} events
+ * @param {Array<Object>} [events.messaging]
+ * @param {Array<Object>} [events.changes]
+ * @param {Array<Object>} [events.standby] Events for threads another app owns
+ * @returns {Object} Body for POST /webhook
+ */
+function createPageWebhook(pageId, { messaging = [], changes = [], standby = [] } = {}) {
+  const entry = { id: pageId, time: Date.now() };
+  if (messaging.length > 0) entry.messaging = messaging;
+  if (changes.length > 0) entry.changes = changes;
+  if (standby.length > 0) entry.standby = standby;
+  return { object: 'page', entry: [entry] };
+}
+
+/**
+ * Wrap Instagram messaging events and comment changes in an Instagram
+ * webhook body. Message events use the Instagram account as recipient.
+ *
+ * @param {string} accountId Instagram professional account ID
+ * @param {Object} events
+ * @param {Array<Object>} [events.messaging]
+ * @param {Array<Object>} [events.changes]
+ * @returns {Object} Body for POST /webhook
+ */
+function createInstagramWebhook(accountId, { messaging = [], changes = [] } = {}) {
+  const entry = { id: accountId, time: Date.now() };
+  if (messaging.length > 0) entry.messaging = messaging;
+  if (changes.length > 0) entry.changes = changes;
+  return { object: 'instagram', entry: [entry] };
+}
+
+module.exports = {
+  createMessageEvent,
+  createPostbackEvent,
+  createCommentChange,
+  createInstagramCommentChange,
+  createThreadControlEvent,
+  createPageWebhook,
+  createInstagramWebhook,
+};
@@ -0,0 +1,92 @@
+/**
+ * Webhook Signature Verification
+ * Checks the X-Hub-Signature-256 header Meta attaches to webhook POSTs
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Verification is opt-in: it only runs when `facebook.appSecret` is set in
+ * the configuration. Without a secret every request is accepted, which
+ * keeps serverless deployments that never configured one working.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+// Counters surfaced on /status so rejected deliveries are visible
+const stats = {
+  verified: 0,
+  rejected: 0,
+  lastRejectedAt: null,
+  lastRejectReason: null,
+};
+
+/**
+ * Verify the HMAC-SHA256 signature of a raw request body.
+ *
+ * @param {Buffer|undefined} rawBody The unparsed request body
+ * @param {string|undefined} signatureHeader Value of X-Hub-Signature-256
+ * @param {string} appSecret The Facebook App Secret
+ * @returns {{valid: boolean, reason: (string|null)}}
+ */
+function verifySignature(rawBody, signatureHeader, appSecret) {
+  if (!signatureHeader) {
+    return { valid: false, reason: 'missing X-Hub-Signature-256 header' };
+  }
+  if (!signatureHeader.startsWith(SIGNATURE_PREFIX)) {
+    return { valid: false, reason: 'malformed signature header' };
+  }
+  if (!rawBody || rawBody.length === 0) {
+    return { valid: false, reason: 'empty or non-JSON request body' };
+  }
+
+  const expected = crypto
+    .createHmac('sha256', appSecret)
+    .update(rawBody)
+    .digest();
+  const received = Buffer.from(signatureHeader.slice(SIGNATURE_PREFIX.length), 'hex');
+
+  // timingSafeEqual throws on length mismatch, so compare lengths first
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return { valid: false, reason: 'signature mismatch' };
+  }
+  return { valid: true, reason: null };
+}
+
+/**
+ * Compute the X-Hub-Signature-256 header value for a body, as Meta does.
+ * Used by local tools that post webhooks to the app.
+ *
+ * @param {Buffer|string} rawBody The exact request body that will be sent
+ * @param {string} appSecret The Facebook App Secret
+ * @returns {string} `sha256=<hex digest>`
+ */
+function signPayload(rawBody, appSecret) {
+  return SIGNATURE_PREFIX + crypto
+    .createHmac('sha256', appSecret)
+    .update(rawBody)
+    .digest('hex');
+}
+
+// Record the outcome of a verification attempt
+function recordResult(result) {
+  if (result.valid) {
+    stats.verified++;
+  } else {
+    stats.rejected++;
+    stats.lastRejectedAt = new Date().toISOString();
+    stats.lastRejectReason = result.reason;
+  }
+}
+
+// Get verification counters
+function getSignatureStats() {
+  return { ...stats };
+}
+
+module.exports = {
+  verifySignature,
+  signPayload,
+  recordResult,
+  getSignatureStats,
+};
@@ -0,0 +1,82 @@
+/**
+ * Webhook Subscriptions
+ * Works out which page webhook fields the bot needs and compares them
+ * with the fields the page is subscribed to
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Facebook only delivers the webhook fields the app is subscribed to on
+ * the page (/{page-id}/subscribed_apps). The bot always needs the fields
+ * its own handlers use (messages, postbacks and the handover protocol);
+ * every loaded plugin type adds the field delivering its events, e.g.
+ * `feed` for comment plugins. FacebookAPI.syncSubscribedFields uses the
+ * diff to subscribe the missing fields, which the dashboard offers as a
+ * one-click action.
+ */
+
+// Plugin type -> webhook field delivering its events
+const PLUGIN_FIELDS = {
+  commands: 'messages',
+  postbacks: 'messaging_postbacks',
+  comments: 'feed',
+  feedEvents: 'feed',
+  echoes: 'message_echoes',
+  deliveries: 'message_deliveries',
+  reads: 'message_reads',
+  reactions: 'message_reactions',
+  referrals: 'messaging_referrals',
+  optins: 'messaging_optins',
+  accountLinking: 'messaging_account_linking',
+};
+
+// Fields handled by handlres/index.js whatever plugins are loaded
+const CORE_FIELDS = [
+  { field: 'messages', reason: 'incoming messages' },
+  { field: 'messaging_postbacks', reason: 'Get Started and menu buttons' },
+  { field: 'messaging_handovers', reason: 'handover protocol' },
+  { field: 'standby', reason: 'handover protocol' },
+];
+
+/**
+ * Fields the bot needs, each with the reasons it is needed.
+ *
+ * @param {Function} getPlugins Returns the enabled plugins of a type,
+ *   e.g. pluginLoader.getEnabledPlugins
+ * @returns {Array<{field: string, reasons: Array<string>}>}
+ */
+function getRequiredFields(getPlugins) {
+  const required = new Map();
+  const add = (field, reason) => {
+    if (!required.has(field)) required.set(field, { field, reasons: [] });
+    required.get(field).reasons.push(reason);
+  };
+  CORE_FIELDS.forEach(({ field, reason }) => add(field, reason));
+  for (const [type, field] of Object.entries(PLUGIN_FIELDS)) {
+    const count = getPlugins(type).length;
+    if (count > 0) add(field, `${count} ${type} plugin${count === 1 ? '' : 's'}`);
+  }
+  return Array.from(required.values());
+}
+
+/**
+ * Compare the subscribed fields with the required ones.
+ *
+ * @param {Array<string>} subscribed
+ * @param {Array<{field: string, reasons: Array<string>}>} required
+ * @returns {{missing: Array<Object>, extra: Array<string>}} Required fields
+ *   that are not subscribed, and subscribed fields nothing uses
+ */
+function diffSubscription(subscribed, required) {
+  const fields = required.map(entry => entry.field);
+  return {
+    missing: required.filter(entry => !subscribed.includes(entry.field)),
+    extra: subscribed.filter(field => !fields.includes(field)),
+  };
+}
+
+module.exports = {
+  PLUGIN_FIELDS,
+  CORE_FIELDS,
+  getRequiredFields,
+  diffSubscription,
+};